@@ -1,4 +1,5 @@
 import axios from "axios";
+import { log } from "./logger.js";
 
 /**
  * Note that these functions require the AnkiConnect plugin to be installed and running.
@@ -12,13 +13,13 @@ import axios from "axios";
  *
  * @param {string} ankiUrl - The URL of the AnkiConnect server
  * @param {string} deckName - The name of the deck to add the flashcard to.
- * @param {string} front - The front content of the flashcard.
- * @param {string} back - The back content of the flashcard.
+ * @param {string} modelName - The name of the note type (e.g. "Basic", "Cloze").
+ * @param {Object} fields - The note's field values, keyed by field name (see: buildNoteFields() in './anki_helper.js').
  * @param {Array<string>} tags - An array of tags to associate with the flashcard.
- * @returns {Promise<void>} - A promise that resolves when the flashcard is added.
+ * @returns {Promise<number|null>} - A promise that resolves to the ID of the added note, or null if it wasn't added.
  * @throws {Error} - Throws an error if there is an issue communicating with AnkiConnect.
  */
-async function addFlashcardToAnki(ankiUrl, deckName, front, back, tags) {
+async function addFlashcardToAnki(ankiUrl, deckName, modelName, fields, tags) {
   try {
     const response = await axios.post(ankiUrl, {
       action: "addNote",
@@ -26,8 +27,8 @@ async function addFlashcardToAnki(ankiUrl, deckName, front, back, tags) {
       params: {
         note: {
           deckName: deckName,
-          modelName: "Basic",
-          fields: { Front: front, Back: back },
+          modelName: modelName,
+          fields: fields,
           tags: tags,
         },
       },
@@ -35,9 +36,283 @@ async function addFlashcardToAnki(ankiUrl, deckName, front, back, tags) {
 
     if (response.data.error) {
       console.error(`Error adding note: ${response.data.error}`);
-    } else {
-      console.log(`Flashcard added successfully: ${response.data.result}`);
+      return null;
     }
+    log(`Flashcard added successfully: ${response.data.result}`);
+    return response.data.result;
+  } catch (error) {
+    console.error(`Error communicating with AnkiConnect: ${error}`);
+    return null;
+  }
+}
+
+/**
+ * Checks which of a batch of notes Anki would accept, without adding them. Notes are rejected if their first
+ * field duplicates an existing note of the same type in the deck, if it's empty, or if the deck or note type
+ * doesn't exist.
+ *
+ * @param {string} ankiUrl - The URL of the AnkiConnect API.
+ * @param {Array<Object>} notes - The notes, as passed to addNotes().
+ * @returns {Promise<Array<boolean>|undefined>} A promise that resolves to whether each note can be added, in order,
+ *   or undefined on error.
+ */
+async function canAddNotes(ankiUrl, notes) {
+  try {
+    const response = await axios.post(ankiUrl, {
+      action: "canAddNotes",
+      version: 6,
+      params: {
+        notes: notes,
+      },
+    });
+    if (response.data.error) {
+      console.error(`Error checking notes: ${response.data.error}`);
+    }
+    return response.data.result;
+  } catch (error) {
+    console.error(`Error communicating with AnkiConnect: ${error}`);
+  }
+}
+
+/**
+ * Checks which of a batch of notes Anki would accept, as canAddNotes() does, and why it would refuse each of the rest
+ * (e.g. "cannot create note because it is a duplicate", or "deck was not found: Biology").
+ *
+ * @param {string} ankiUrl - The URL of the AnkiConnect API.
+ * @param {Array<Object>} notes - The notes, as passed to addNotes().
+ * @returns {Promise<Array<{canAdd: boolean, error?: string}>|undefined>} A promise that resolves to whether each note
+ *   can be added, in order, with the reason for those that can't, or undefined on error.
+ */
+async function canAddNotesWithErrorDetail(ankiUrl, notes) {
+  try {
+    const response = await axios.post(ankiUrl, {
+      action: "canAddNotesWithErrorDetail",
+      version: 6,
+      params: {
+        notes: notes,
+      },
+    });
+    if (response.data.error) {
+      console.error(`Error checking notes: ${response.data.error}`);
+    }
+    return response.data.result;
+  } catch (error) {
+    console.error(`Error communicating with AnkiConnect: ${error}`);
+  }
+}
+
+/**
+ * Whether canAddNotesWithErrorDetail() refused a note as a duplicate of one already in the deck, rather than for
+ * any other reason (an empty first field, or a missing deck or note type).
+ *
+ * @param {{canAdd: boolean, error?: string}} detail - The check of the note.
+ * @returns {boolean} - True if the note is a duplicate.
+ */
+function isDuplicate(detail) {
+  return !detail.canAdd && /duplicate/i.test(detail.error || "");
+}
+
+/**
+ * Adds a batch of notes to Anki in a single AnkiConnect request.
+ *
+ * Newer versions of AnkiConnect reply with an error listing the problems if any note can't be added, and no
+ * result; older versions reply with null in place of the ID of each note that couldn't be added.
+ *
+ * @param {string} ankiUrl - The URL of the AnkiConnect API.
+ * @param {Array<{deckName: string, modelName: string, fields: Object, tags: Array<string>}>} notes - The notes to add.
+ * @returns {Promise<{ids: Array<number|null>, error: string|null, unreachable: boolean}>} A promise that resolves to
+ *   the ID of each note added, in order (null for those that weren't), any error reported, and whether AnkiConnect
+ *   couldn't be reached at all (no response), as when Anki isn't running.
+ */
+async function addNotes(ankiUrl, notes) {
+  try {
+    const response = await axios.post(ankiUrl, {
+      action: "addNotes",
+      version: 6,
+      params: {
+        notes: notes,
+      },
+    });
+    const error = response.data.error
+      ? [].concat(response.data.error).join("; ")
+      : null;
+    if (error) {
+      console.error(`Error adding notes: ${error}`);
+    }
+    return {
+      ids: response.data.result || notes.map(() => null),
+      error,
+      unreachable: false,
+    };
+  } catch (error) {
+    console.error(`Error communicating with AnkiConnect: ${error}`);
+    return {
+      ids: notes.map(() => null),
+      error: String(error),
+      unreachable: !error.response,
+    };
+  }
+}
+
+/**
+ * Stores a file in Anki's media folder, for notes to refer to by name (e.g. '<img src="heart-1a2b3c4d.png">').
+ * A file already stored under the same name is replaced.
+ *
+ * @param {string} ankiUrl - The URL of the AnkiConnect API.
+ * @param {string} filename - The name to store the file under.
+ * @param {string} data - The contents of the file, base64 encoded.
+ * @returns {Promise<{filename: string|null, unreachable: boolean}>} A promise that resolves to the name the file was
+ *   stored under (null if it wasn't), and whether AnkiConnect couldn't be reached at all.
+ */
+async function storeMediaFile(ankiUrl, filename, data) {
+  try {
+    const response = await axios.post(ankiUrl, {
+      action: "storeMediaFile",
+      version: 6,
+      params: {
+        filename: filename,
+        data: data,
+      },
+    });
+    if (response.data.error) {
+      console.error(`Error storing ${filename}: ${response.data.error}`);
+    }
+    return { filename: response.data.result || null, unreachable: false };
+  } catch (error) {
+    console.error(`Error communicating with AnkiConnect: ${error}`);
+    return { filename: null, unreachable: !error.response };
+  }
+}
+
+/**
+ * Adds a batch of notes to Anki, sending only those it will accept, so that one duplicate doesn't hide whether the
+ * rest were added. Each note is checked with canAddNotesWithErrorDetail() first; those it refuses, and any whose first
+ * field (the first of its note type, which is what Anki compares) repeats that of an earlier note of the same type in
+ * the batch, aren't sent. The rest are added with addNotes().
+ *
+ * If AnkiConnect still replies with an error and no result (a note it failed to add after all), the notes sent are
+ * checked again: those that could be added before and are duplicates now were added, though without their IDs.
+ *
+ * @param {string} ankiUrl - The URL of the AnkiConnect API.
+ * @param {Array<Object>} notes - The notes to add, as passed to addNotes().
+ * @returns {Promise<{ids: Array<number|null>, statuses: Array<string>, error: string|null, unreachable: boolean}>}
+ *   A promise that resolves to the ID of each note added, in order (null for those that weren't, or whose ID isn't
+ *   known), what became of each ("added", "duplicate" if it wasn't sent as it duplicates a note in the deck or the
+ *   batch, or "failed", as when Anki refuses it for any other reason), any error reported (including why notes were
+ *   refused), and whether AnkiConnect couldn't be reached at all.
+ */
+async function addNewNotes(ankiUrl, notes) {
+  const checks = await canAddNotesWithErrorDetail(ankiUrl, notes);
+  let firstFields = {};
+  for (const modelName of new Set(notes.map((note) => note.modelName))) {
+    firstFields[modelName] = ((await modelFieldNames(ankiUrl, modelName)) ||
+      [])[0];
+  }
+
+  let seen = new Set();
+  let refusals = [];
+  let statuses = notes.map(() => "failed");
+  const sent = notes
+    .map((note, i) => i)
+    .filter((i) => {
+      if (checks && !checks[i].canAdd) {
+        if (isDuplicate(checks[i])) {
+          statuses[i] = "duplicate";
+        } else {
+          refusals.push(checks[i].error);
+        }
+        return false;
+      }
+      const key = JSON.stringify([
+        notes[i].modelName,
+        notes[i].fields[firstFields[notes[i].modelName]],
+      ]);
+      if (seen.has(key)) {
+        statuses[i] = "duplicate";
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  const refused = refusals.length ? [...new Set(refusals)].join("; ") : null;
+  if (refused) {
+    console.error(`Anki refused ${refusals.length} note(s): ${refused}`);
+  }
+
+  let ids = notes.map(() => null);
+  if (!sent.length) {
+    return { ids, statuses, error: refused, unreachable: false };
+  }
+
+  const sentNotes = sent.map((i) => notes[i]);
+  const result = await addNotes(ankiUrl, sentNotes);
+  let added = result.ids.map(Boolean);
+  if (result.error && !result.unreachable && !added.some(Boolean)) {
+    const checksNow = await canAddNotesWithErrorDetail(ankiUrl, sentNotes);
+    if (checksNow) {
+      added = checksNow.map(isDuplicate);
+    }
+  }
+  sent.forEach((i, j) => {
+    ids[i] = result.ids[j] || null;
+    if (added[j]) {
+      statuses[i] = "added";
+    }
+  });
+  return {
+    ids,
+    statuses,
+    error: [refused, result.error].filter(Boolean).join("; ") || null,
+    unreachable: result.unreachable,
+  };
+}
+
+/**
+ * Finds the IDs of the notes matching an Anki search query (e.g. 'deck:"Biology"').
+ *
+ * @param {string} ankiUrl - The URL of the AnkiConnect API.
+ * @param {string} query - The search query, in Anki's search syntax.
+ * @returns {Promise<Array<number>|undefined>} A promise that resolves to the note IDs, or undefined on error.
+ */
+async function findNotes(ankiUrl, query) {
+  try {
+    const response = await axios.post(ankiUrl, {
+      action: "findNotes",
+      version: 6,
+      params: {
+        query: query,
+      },
+    });
+    if (response.data.error) {
+      console.error(`Error finding notes: ${response.data.error}`);
+    }
+    return response.data.result;
+  } catch (error) {
+    console.error(`Error communicating with AnkiConnect: ${error}`);
+  }
+}
+
+/**
+ * Fetches the note type, fields and tags of notes from AnkiConnect.
+ *
+ * @param {string} ankiUrl - The URL of the AnkiConnect API.
+ * @param {Array<number>} noteIds - The IDs of the notes.
+ * @returns {Promise<Array<Object>|undefined>} A promise that resolves to the notes, each with its noteId, modelName,
+ *   tags and fields (keyed by field name, each with a value and order), or undefined on error.
+ */
+async function notesInfo(ankiUrl, noteIds) {
+  try {
+    const response = await axios.post(ankiUrl, {
+      action: "notesInfo",
+      version: 6,
+      params: {
+        notes: noteIds,
+      },
+    });
+    if (response.data.error) {
+      console.error(`Error getting notes: ${response.data.error}`);
+    }
+    return response.data.result;
   } catch (error) {
     console.error(`Error communicating with AnkiConnect: ${error}`);
   }
@@ -71,7 +346,8 @@ async function deckNamesAndIds(ankiUrl) {
  *
  * @param {string} ankiUrl - The URL of the AnkiConnect API.
  * @param {string} deckName - The name of the deck to be created.
- * @returns {Promise<void>} - A promise that resolves when the deck is created.
+ * @returns {Promise<number|undefined>} - A promise that resolves to the ID of the deck created, or undefined if it
+ *   wasn't.
  * @throws {Error} - Throws an error if there is an issue communicating with AnkiConnect.
  */
 async function createDeck(ankiUrl, deckName) {
@@ -86,12 +362,75 @@ async function createDeck(ankiUrl, deckName) {
     if (response.data.error) {
       console.error(`Error creating deck ${deckName}: ${response.data.error}`);
       console.error(response.data);
-    } else {
-      console.log(`Deck ${deckName} created successfully.`);
+      return;
     }
+    log(`Deck ${deckName} created successfully.`);
+    return response.data.result;
+  } catch (error) {
+    console.error(`Error communicating with AnkiConnect: ${error}`);
+  }
+}
+
+/**
+ * Fetches the names of the note types (models) in the collection from AnkiConnect.
+ *
+ * @param {string} ankiUrl - The URL of the AnkiConnect API.
+ * @returns {Promise<Array<string>|undefined>} A promise that resolves to the note type names, or undefined on error.
+ */
+async function modelNames(ankiUrl) {
+  try {
+    const response = await axios.post(ankiUrl, {
+      action: "modelNames",
+      version: 6,
+    });
+    if (response.data.error) {
+      console.error(`Error getting note types: ${response.data.error}`);
+    }
+    return response.data.result;
+  } catch (error) {
+    console.error(`Error communicating with AnkiConnect: ${error}`);
+  }
+}
+
+/**
+ * Fetches the field names of a note type from AnkiConnect, in the order they appear in the note type.
+ *
+ * @param {string} ankiUrl - The URL of the AnkiConnect API.
+ * @param {string} modelName - The name of the note type.
+ * @returns {Promise<Array<string>|undefined>} A promise that resolves to the field names, or undefined on error.
+ */
+async function modelFieldNames(ankiUrl, modelName) {
+  try {
+    const response = await axios.post(ankiUrl, {
+      action: "modelFieldNames",
+      version: 6,
+      params: {
+        modelName: modelName,
+      },
+    });
+    if (response.data.error) {
+      console.error(
+        `Error getting fields of ${modelName}: ${response.data.error}`
+      );
+    }
+    return response.data.result;
   } catch (error) {
     console.error(`Error communicating with AnkiConnect: ${error}`);
   }
 }
 
-export { addFlashcardToAnki, deckNamesAndIds, createDeck };
+export {
+  addFlashcardToAnki,
+  canAddNotes,
+  canAddNotesWithErrorDetail,
+  isDuplicate,
+  addNotes,
+  addNewNotes,
+  storeMediaFile,
+  findNotes,
+  notesInfo,
+  deckNamesAndIds,
+  createDeck,
+  modelNames,
+  modelFieldNames,
+};
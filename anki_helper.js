@@ -1,6 +1,16 @@
 import inquirer from "inquirer";
-import { addFlashcardToAnki } from "./anki.js";
+import {
+  canAddNotesWithErrorDetail,
+  isDuplicate,
+  addNewNotes,
+} from "./anki.js";
 import { validateNewDeckName } from "./input_validation.js";
+import { findClosestNotes } from "./similarity.js";
+import { describeProvenance, sourceTag } from "./provenance.js";
+import { reviseFlashcard } from "./generate_flashcard_text.js";
+import { queueNotes } from "./outbox.js";
+import { renderImages, storeCardImages } from "./media.js";
+import { log, logTable } from "./logger.js";
 /**
  * Anki helper functions
  *
@@ -9,27 +19,419 @@ import { validateNewDeckName } from "./input_validation.js";
  */
 
 /**
- * Presents a flashcard for review and prompts the user to confirm if they want to add it to Anki.
+ * The parts of a generated card that can be mapped onto the fields of a note type with the fieldMapping setting:
+ *  - question: the front of the card; in cloze mode, the text with its cloze deletions.
+ *  - answer: the back of the card; empty in cloze mode.
+ *  - extra: further context given by the model, if any.
+ *  - source: where the card came from: its page title, section heading and page/chapter, and the URL or path
+ *    (see: describeProvenance() in './provenance.js').
+ */
+const cardParts = ["question", "answer", "extra", "source"];
+
+const defaultNoteType = "Basic";
+const defaultFieldMapping = { Front: "question", Back: "answer" };
+
+/**
+ * Builds the fields of a note from a generated card, filling each field with the card part mapped onto it.
+ * Fields of the note type that aren't mapped are left for Anki to leave empty.
+ * Images on the card ('![alt](url)') become <img> tags (see: renderImages() in './media.js').
+ *
+ * @param {Object} card - The generated card, with its provenance.
+ * @param {Object} [fieldMapping] - The part (see: cardParts) to put in each field, keyed by field name;
+ *                                  defaults to the question on the Front and answer on the Back.
+ * @param {boolean|Set<string>} [storedImages=true] - Whether images refer to the files they're stored under in
+ *   Anki's media folder, or, for notes exported to files, to their URLs; or the URLs of the images stored.
+ * @returns {Object} - The field values, keyed by field name.
+ */
+function buildNoteFields(card, fieldMapping, storedImages = true) {
+  const parts = {
+    question: renderImages(card.front, storedImages),
+    answer: renderImages(card.back, storedImages),
+    extra: renderImages(card.extra || "", storedImages),
+    source: describeProvenance(card),
+  };
+  let fields = {};
+  for (const [field, part] of Object.entries(
+    fieldMapping || defaultFieldMapping
+  )) {
+    if (cardParts.includes(part)) {
+      fields[field] = parts[part];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Builds the AnkiConnect note for a generated card, as a note of the note type in the settings with its fields
+ * filled as set out in the fieldMapping setting (see: buildNoteFields()).
+ *
+ * @param {Object} settings - The settings object containing various configurations.
+ * @param {string} [settings.noteType] - The name of the note type to add; defaults to "Basic".
+ * @param {Object} [settings.fieldMapping] - The card part to put in each of the note type's fields.
+ * @param {boolean} [settings.tagSource] - Whether to tag the note with its source, e.g. 'source::example.com'
+ *                                         (see: sourceTag() in './provenance.js').
+ * @param {string} deckName - The name of the Anki deck to add the note to.
+ * @param {Object} card - The generated card, with its provenance.
+ * @param {Array<string>} tags - An array of tags to be added to the note.
+ * @param {boolean|Set<string>} [storedImages=true] - Whether images refer to the files they're stored under in
+ *   Anki's media folder, or to their URLs; see buildNoteFields().
+ * @returns {{deckName: string, modelName: string, fields: Object, tags: Array<string>}} - The note.
+ */
+function buildNote(settings, deckName, card, tags, storedImages = true) {
+  return {
+    deckName: deckName,
+    modelName: settings.noteType || defaultNoteType,
+    fields: buildNoteFields(card, settings.fieldMapping, storedImages),
+    tags: settings.tagSource
+      ? (tags || []).concat(sourceTag(card.source) || [])
+      : tags || [],
+  };
+}
+
+/**
+ * Checks the generated cards against the deck with canAddNotesWithErrorDetail() in './anki.js' before review, and
+ * flags those Anki would reject as duplicates (duplicate: true), so that they can be pointed out in the preview.
+ * Cards Anki would refuse for any other reason (e.g. an empty first field, from a fieldMapping that leaves it out)
+ * aren't flagged as duplicates; the reason is printed instead.
+ * Each card is also given the closest card already in the deck, and flagged if it's a likely near-duplicate
+ * (see: findClosestNotes() in './similarity.js').
+ * If Anki can't be reached, no cards are flagged.
+ *
+ * @param {Object} settings - The settings object; see buildNote() and findClosestNotes().
+ * @param {string} deckName - The name of the Anki deck the cards are to be added to.
+ * @param {Array<Object>} cards - The generated cards.
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the cards, with likely duplicates flagged.
+ */
+async function flagDuplicates(settings, deckName, cards) {
+  if (!cards.length) {
+    return cards;
+  }
+  const checks = await canAddNotesWithErrorDetail(
+    settings.ankiUrl,
+    cards.map((card) => buildNote(settings, deckName, card, []))
+  );
+  if (!checks) {
+    log("Unable to check for duplicates; carrying on without.");
+    return cards;
+  }
+  const refusals = checks.filter(
+    (check) => !check.canAdd && !isDuplicate(check)
+  );
+  if (refusals.length) {
+    log(
+      `Anki would refuse ${refusals.length} card(s): ${[...new Set(refusals.map((check) => check.error))].join("; ")}`
+    );
+  }
+  return findClosestNotes(
+    settings,
+    deckName,
+    cards.map((card, i) =>
+      isDuplicate(checks[i]) ? { ...card, duplicate: true } : card
+    )
+  );
+}
+
+/**
+ * Removes the flags added by flagDuplicates() from a card, once it's been reviewed.
+ *
+ * @param {Object} card - The flagged card.
+ * @returns {Object} - The card without its duplicate, closest and similar properties.
+ */
+function withoutFlags(card) {
+  const { duplicate, closest, similar, ...unflagged } = card;
+  return unflagged;
+}
+
+/**
+ * Adds the accepted cards to Anki in a single request, sending only the notes Anki will accept (see: addNewNotes() in
+ * './anki.js'), and works out what became of each:
+ *  - "added": the note was added.
+ *  - "duplicate": the note wasn't sent, as Anki would reject it as a duplicate of a note in the deck, or of another
+ *    accepted card.
+ *  - "failed": the note wasn't added for any other reason, as when Anki refuses it for a missing deck or note type,
+ *    or an empty first field.
+ *  - "queued": AnkiConnect couldn't be reached, so the note was queued in the outbox, to be added by a later sync
+ *    (see: './outbox.js').
+ *
+ * The images on the cards are stored in Anki's media folder first (see: storeCardImages() in './media.js').
+ *
+ * @param {Object} settings - The settings object; see buildNote().
+ * @param {string} settings.logDirectory - The directory containing the outbox.
+ * @param {string} deckName - The name of the Anki deck to add the cards to.
+ * @param {Array<{card: Object, tags: Array<string>, deckName?: string}>} accepted - The accepted cards, each with its
+ *   tags, and the deck to add it to instead, if chosen per card (see: './review_server.js').
+ * @returns {Promise<Array<{card: Object, status: string, noteId: number|null}>>} - A promise that resolves to a report
+ *   entry per card, in order.
+ */
+async function addCardsToAnki(settings, deckName, accepted) {
+  if (!accepted.length) {
+    return [];
+  }
+  const notes = accepted.map((item) =>
+    buildNote(settings, item.deckName || deckName, item.card, item.tags)
+  );
+  await storeCardImages(
+    settings,
+    accepted.map(({ card }) => card)
+  );
+  const { ids, statuses, unreachable } = await addNewNotes(
+    settings.ankiUrl,
+    notes
+  );
+
+  if (
+    unreachable &&
+    queueNotes(
+      settings.logDirectory,
+      accepted.map(({ card }, i) => ({
+        card: withoutFlags(card),
+        note: notes[i],
+      }))
+    )
+  ) {
+    return accepted.map(({ card }) => ({
+      card,
+      status: "queued",
+      noteId: null,
+    }));
+  }
+
+  return accepted.map(({ card }, i) => ({
+    card,
+    status: statuses[i],
+    noteId: ids[i],
+  }));
+}
+
+/**
+ * Prints what became of each accepted card (see: addCardsToAnki()), followed by a count of each.
+ *
+ * @param {Array<{card: Object, status: string}>} report - The report entries.
+ */
+function printAddReport(report) {
+  if (!report.length) {
+    log("\nNo cards added.");
+    return;
+  }
+  log("\nCards:");
+  logTable(report.map(({ card, status }) => ({ status, front: card.front })));
+  const counts = { added: 0, duplicate: 0, failed: 0, queued: 0 };
+  for (const { status } of report) {
+    counts[status] += 1;
+  }
+  log(
+    `${counts.added} added, ${counts.duplicate} duplicate, ${counts.failed} failed.`
+  );
+  if (counts.queued) {
+    log(
+      `AnkiConnect couldn't be reached; ${counts.queued} card(s) queued in the outbox. ` +
+        "Sync the outbox once Anki is running to add them."
+    );
+  }
+}
+
+/**
+ * The actions offered for each card in review; see reviewCards().
+ */
+const reviewActions = [
+  { name: "Add to Anki", value: "add" },
+  { name: "Skip", value: "skip" },
+  { name: "Edit front/back in editor", value: "edit" },
+  { name: "Regenerate with the model", value: "regenerate" },
+  { name: "Simplify with the model", value: "simplify" },
+  { name: "Split into two cards with the model", value: "split" },
+  { name: "Accept all remaining", value: "acceptAll" },
+  { name: "Reject all remaining", value: "rejectAll" },
+  { name: "Back to previous card", value: "back" },
+];
+
+/**
+ * Presents a flashcard for review and prompts the user to choose what to do with it (see: reviewActions).
+ * Cloze cards have no back, so only their text (and any extra) is shown. Cards flagged as likely
+ * duplicates (see: flagDuplicates()) are pointed out, and the closest card already in the deck is shown
+ * alongside, with how similar it is.
  *
- * @param {string} front - The front text of the flashcard.
- * @param {string} back - The back text of the flashcard.
- * @returns {Promise<boolean>} - A promise that resolves to a boolean indicating whether the flashcard should be added to Anki.
+ * @param {Object} card - The flashcard to review.
+ * @param {string} card.front - The front text of the flashcard.
+ * @param {string} card.back - The back text of the flashcard.
+ * @param {string} [card.extra] - Further context given by the model, if any.
+ * @param {string} [card.location] - The page or chapter of the document the flashcard was generated from, if any.
+ * @param {string} [card.source] - Where the flashcard came from; shown with its title and heading, if any.
+ * @param {boolean} [card.duplicate] - Whether Anki is likely to reject the card as a duplicate.
+ * @param {{front: string, back: string, score: number}} [card.closest] - The closest card already in the deck.
+ * @param {boolean} [card.similar] - Whether the closest card is similar enough to be a near-duplicate.
+ * @param {number} position - The card's position in review, from 1.
+ * @param {number} total - The number of cards in review.
+ * @param {string} [previous] - The action chosen for the card before, if going back to it; the default choice.
+ * @returns {Promise<string>} - A promise that resolves to the value of the chosen action.
  */
-async function reviewFlashcard(front, back) {
-  console.log("\nFlashcard Preview:");
-  console.log(`Front: ${front}`);
-  console.log(`Back: ${back}`);
+async function reviewFlashcard(card, position, total, previous) {
+  log(`\nFlashcard Preview (card ${position}/${total}):`);
+  log(`Front: ${card.front}`);
+  if (card.back) {
+    log(`Back: ${card.back}`);
+  }
+  if (card.extra) {
+    log(`Extra: ${card.extra}`);
+  }
+  if (describeProvenance(card)) {
+    log(`From: ${describeProvenance(card)}`);
+  }
+  if (card.duplicate) {
+    log(
+      "Likely duplicate: Anki would reject this card, as its first field matches a note already in the deck."
+    );
+  } else if (card.closest) {
+    log(
+      `${card.similar ? "Possible near-duplicate; closest" : "Closest"} existing card (${Math.round(card.closest.score * 100)}% similar):`
+    );
+    log(`  Front: ${card.closest.front}`);
+    log(`  Back: ${card.closest.back}`);
+  }
 
-  const { addCard } = await inquirer.prompt([
+  const { action } = await inquirer.prompt([
     {
-      type: "confirm",
-      name: "addCard",
-      message: "Do you want to add this flashcard to Anki?",
-      default: false,
+      type: "list",
+      name: "action",
+      message: `Card ${position}/${total}: what do you want to do with this flashcard?`,
+      choices: reviewActions.map((choice) =>
+        choice.value === "back" && position === 1
+          ? { ...choice, disabled: "this is the first card" }
+          : choice
+      ),
+      default: previous || "skip",
+      pageSize: reviewActions.length,
     },
   ]);
 
-  return addCard;
+  return action;
+}
+
+/**
+ * Opens the front and back of a card in the user's editor (EDITOR/VISUAL), separated by a line of '---'.
+ *
+ * @param {Object} card - The card to edit.
+ * @returns {Promise<Object>} - A promise that resolves to the card with its edited front and back.
+ */
+async function editFlashcard(card) {
+  const { text } = await inquirer.prompt({
+    type: "editor",
+    name: "text",
+    message:
+      "Edit the card; the front goes above the '---' line, the back below:",
+    default: `${card.front}\n---\n${card.back}\n`,
+    validate: (input) =>
+      /^---\s*$/m.test(input) && input.split(/^---\s*$/m)[0].trim()
+        ? true
+        : "Keep the '---' line, with the front above it.",
+  });
+  const [front, ...back] = text.split(/^---\s*$/m);
+  return { ...card, front: front.trim(), back: back.join("---").trim() };
+}
+
+/**
+ * Prompts for the tags to add to a card (or to every remaining card).
+ *
+ * @param {string} message - The prompt message.
+ * @returns {Promise<Array<string>>} - A promise that resolves to the tags entered, if any.
+ */
+async function promptCardTags(message) {
+  const { tags } = await inquirer.prompt({
+    type: "input",
+    name: "tags",
+    message: message,
+    default: "",
+  });
+  return tags
+    ? tags
+        .split(",")
+        .map((tag) => tag.trim())
+        .filter(Boolean)
+    : [];
+}
+
+/**
+ * Runs the review loop over the generated cards, returning those accepted. For each card, the user can (see: reviewActions):
+ *  - add or skip it;
+ *  - edit its front and back in their editor, then review it again, once it's been checked against the deck again
+ *    (see: flagDuplicates()), so that its duplicate and near-duplicate flags are those of the edited card;
+ *  - have the model regenerate it, simplify it, or split it into two (see: reviseFlashcard() in
+ *    './generate_flashcard_text.js'), then review the new card(s), which are checked against the deck too;
+ *  - accept or reject all remaining cards, ending review;
+ *  - go back to the previous card and change what was decided for it.
+ *
+ * @param {Object} settings - The settings object; see buildNote() and reviseFlashcard().
+ * @param {string} deckName - The name of the Anki deck the cards are to be added to.
+ * @param {Array<Object>} cards - The cards to review, as flagged by flagDuplicates().
+ * @param {function(string): Promise<Array<string>>} getTags - Resolves to the tags for an accepted card, given
+ *   a prompt message (which notes when the tags are for every remaining card).
+ * @returns {Promise<Array<{card: Object, tags: Array<string>}>>} - A promise that resolves to the accepted cards,
+ *   each with its tags, in order.
+ */
+async function reviewCards(settings, deckName, cards, getTags) {
+  cards = [...cards];
+  let decisions = new Array(cards.length).fill(null);
+  let index = 0;
+
+  while (index < cards.length) {
+    const previous = decisions[index] && decisions[index].action;
+    const action = await reviewFlashcard(
+      cards[index],
+      index + 1,
+      cards.length,
+      previous
+    );
+
+    if (action === "add") {
+      const tags = await getTags(
+        "Enter tags to add to this card (separate with commas):"
+      );
+      decisions[index] = { action, tags };
+      index += 1;
+    } else if (action === "skip") {
+      decisions[index] = { action };
+      index += 1;
+    } else if (action === "edit") {
+      const edited = await editFlashcard(withoutFlags(cards[index]));
+      [cards[index]] = await flagDuplicates(settings, deckName, [edited]);
+    } else if (
+      action === "regenerate" ||
+      action === "simplify" ||
+      action === "split"
+    ) {
+      try {
+        const revised = await reviseFlashcard(
+          withoutFlags(cards[index]),
+          action,
+          settings
+        );
+        const flagged = await flagDuplicates(settings, deckName, revised);
+        cards.splice(index, 1, ...flagged);
+        decisions.splice(index, 1, ...flagged.map(() => null));
+      } catch (error) {
+        console.error(`Unable to ${action} the card: ${error.message}`);
+      }
+    } else if (action === "acceptAll") {
+      const tags = await getTags(
+        "Enter tags to add to every remaining card (separate with commas):"
+      );
+      for (let i = index; i < cards.length; i++) {
+        decisions[i] = { action: "add", tags };
+      }
+      index = cards.length;
+    } else if (action === "rejectAll") {
+      for (let i = index; i < cards.length; i++) {
+        decisions[i] = { action: "skip" };
+      }
+      index = cards.length;
+    } else if (action === "back") {
+      index = Math.max(0, index - 1);
+    }
+  }
+
+  return cards
+    .map((card, i) => ({ card, tags: decisions[i].tags || [] }))
+    .filter((_, i) => decisions[i].action === "add");
 }
 
 /**
@@ -40,24 +442,37 @@ async function reviewFlashcard(front, back) {
  *
  * Empty tags is a valid input; it simply means no tags will be added to the cards.
  *
- * cardsAdded is later used to log the cards that were added to Anki, should the user choose to save the fetched data to logs.
+ * The cards are checked for likely duplicates before review (see: flagDuplicates()), reviewed (see: reviewCards()),
+ * and those accepted are added together once review is finished (see: addCardsToAnki()), followed by a report
+ * of what became of each.
  *
- * @param {string} ankiUrl - The URL of the Anki server.
- * @param {Array<{front: string, back: string}>} flashcardText - An array of flashcards, each with a front and back text.
+ * cardsAdded is later used to log the cards that were added to Anki, should the user choose to save the fetched data to logs;
+ * only cards Anki actually added are included.
+ *
+ * @param {Object} settings - The settings object; see buildNote().
+ * @param {Array<{front: string, back: string, extra?: string, location?: string}>} flashcardText - An array of flashcards,
+ *   each with a front and back text, any extra context, and the page/chapter it came from for documents.
  * @param {string} deckName - The name of the Anki deck to add the flashcards to.
  * @param {Array<string>} tags - An array of tags to be added to each flashcard.
- * @returns {Promise<Array<{front: string, back: string}>>} - A promise that resolves to an array of added flashcards.
- */
-async function addCardsSameTags(ankiUrl, flashcardText, deckName, tags) {
-  let cardsAdded = [];
-  for (const card of flashcardText) {
-    const addCard = await reviewFlashcard(card.front, card.back);
-    if (addCard) {
-      cardsAdded.push({ front: card.front, back: card.back });
-      await addFlashcardToAnki(ankiUrl, deckName, card.front, card.back, tags);
-    }
-  }
-  return cardsAdded;
+ * @param {Array<Object>} [exported] - If the cards are to be exported to a file instead, where to collect them;
+ *   see finishAdding().
+ * @returns {Promise<Array<{front: string, back: string, extra?: string, location?: string}>>} - A promise that resolves to an array of added flashcards.
+ */
+async function addCardsSameTags(
+  settings,
+  flashcardText,
+  deckName,
+  tags,
+  exported
+) {
+  const cards = await flagDuplicates(settings, deckName, flashcardText);
+  const accepted = await reviewCards(
+    settings,
+    deckName,
+    cards,
+    async () => tags
+  );
+  return finishAdding(settings, deckName, accepted, exported);
 }
 
 /**
@@ -68,40 +483,61 @@ async function addCardsSameTags(ankiUrl, flashcardText, deckName, tags) {
  *
  * Empty tags is a valid input; it simply means no tags will be added to the cards.
  *
- * cardsAdded is later used to log the cards that were added to Anki, should the user choose to save the fetched data to logs.
+ * As with addCardsSameTags(), likely duplicates are flagged before review, the accepted cards are added together
+ * once review is finished, and only cards Anki actually added are returned in cardsAdded. Tags are entered for each
+ * card as it's added, or once for all of them when accepting all remaining cards.
  *
- * @param {string} ankiUrl - The URL of the Anki server.
- * @param {Array<{front: string, back: string}>} flashcardText - An array of flashcard objects containing front and back text.
+ * @param {Object} settings - The settings object; see buildNote().
+ * @param {Array<{front: string, back: string, extra?: string, location?: string}>} flashcardText - An array of flashcard objects
+ *   containing front and back text, any extra context, and the page/chapter it came from for documents.
  * @param {string} deckName - The name of the Anki deck to add the flashcards to.
- * @returns {Promise<Array<{front: string, back: string}>>} - A promise that resolves to an array of added flashcards.
- */
-async function addCardsDifferentTags(ankiUrl, flashcardText, deckName) {
-  let cardsAdded = [];
-  for (const card of flashcardText) {
-    const addCard = await reviewFlashcard(card.front, card.back);
-    if (addCard) {
-      const { tags } = await inquirer.prompt({
-        type: "input",
-        name: "tags",
-        message: "Enter tags to add to this card (separate with commas):",
-        default: "",
-      });
-      if (!tags) {
-        await addFlashcardToAnki(ankiUrl, deckName, card.front, card.back, "");
-      } else {
-        const cardTags = tags.split(",").map((tag) => tag.trim());
-        await addFlashcardToAnki(
-          ankiUrl,
-          deckName,
-          card.front,
-          card.back,
-          cardTags
-        );
-      }
-      cardsAdded.push({ front: card.front, back: card.back });
-    }
+ * @param {Array<Object>} [exported] - If the cards are to be exported to a file instead, where to collect them;
+ *   see finishAdding().
+ * @returns {Promise<Array<{front: string, back: string, extra?: string, location?: string}>>} - A promise that resolves to an array of added flashcards.
+ */
+async function addCardsDifferentTags(
+  settings,
+  flashcardText,
+  deckName,
+  exported
+) {
+  const cards = await flagDuplicates(settings, deckName, flashcardText);
+  const accepted = await reviewCards(settings, deckName, cards, promptCardTags);
+  return finishAdding(settings, deckName, accepted, exported);
+}
+
+/**
+ * Adds the cards accepted in review, prints the report, and returns the cards that were added.
+ *
+ * If the cards are being exported to a file (see: './exporters.js') rather than added to Anki, the accepted cards
+ * are instead collected in exported, each with its tags and deck, to be written once every source of the run has
+ * been reviewed; all of them are returned.
+ *
+ * @param {Object} settings - The settings object; see buildNote().
+ * @param {string} deckName - The name of the Anki deck to add the cards to.
+ * @param {Array<{card: Object, tags: Array<string>, deckName?: string}>} accepted - The accepted cards, each with its
+ *   tags and, optionally, its own deck; see addCardsToAnki().
+ * @param {Array<{card: Object, tags: Array<string>, deckName: string}>} [exported] - Where to collect the accepted
+ *   cards for export, if they're not to be added to Anki.
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the cards that were added (or collected for export).
+ */
+async function finishAdding(settings, deckName, accepted, exported) {
+  if (exported) {
+    exported.push(
+      ...accepted.map(({ card, tags, deckName: cardDeck }) => ({
+        card: withoutFlags(card),
+        tags,
+        deckName: cardDeck || deckName,
+      }))
+    );
+    log(`\n${accepted.length} card(s) accepted for export.`);
+    return accepted.map(({ card }) => withoutFlags(card));
   }
-  return cardsAdded;
+  const report = await addCardsToAnki(settings, deckName, accepted);
+  printAddReport(report);
+  return report
+    .filter(({ status }) => status === "added")
+    .map(({ card }) => withoutFlags(card));
 }
 
 /**
@@ -127,8 +563,19 @@ async function createDeckPrompt(ankiUrl, decks) {
   return deckName;
 }
 export {
+  cardParts,
+  defaultNoteType,
+  defaultFieldMapping,
+  buildNoteFields,
+  buildNote,
+  flagDuplicates,
+  withoutFlags,
+  addCardsToAnki,
   reviewFlashcard,
+  reviewCards,
   addCardsSameTags,
   addCardsDifferentTags,
+  printAddReport,
+  finishAdding,
   createDeckPrompt,
 };
@@ -0,0 +1,432 @@
+import { createHash } from "crypto";
+import { writeFileSync } from "fs";
+import initSqlJs from "sql.js";
+import JSZip from "jszip";
+import { buildNote } from "./anki_helper.js";
+import { downloadCardImages, mediaFileName } from "./media.js";
+import { stripHtml } from "./similarity.js";
+
+/**
+ * Offline export to an Anki package (.apkg).
+ *
+ * A package is a zip holding a SQLite collection (collection.anki2, in the schema every Anki version can import)
+ * and the images on its cards, numbered, with a media list mapping each number to the file name its notes use. It's written here without Anki or AnkiConnect, so cards can be generated on a machine with no
+ * Anki at all and the package imported later, on any Anki install, with File > Import.
+ *
+ * Notes are built exactly as they would be for AnkiConnect (see: buildNote() in './anki_helper.js'): of the
+ * noteType in the settings, with their fields filled as set out in fieldMapping, and tagged as they would be.
+ * As the note types in the collection can't be read offline, the package carries its own definition of the note
+ * type: Anki's own for "Basic", "Basic (and reversed card)" and "Cloze", and otherwise a note type with the fields
+ * named in fieldMapping, showing the first on the front of the card and the rest on the back.
+ *
+ * The IDs of decks and note types, and the GUIDs of notes, are derived from their names and content, so importing
+ * a package made from the same cards again updates the notes already imported instead of duplicating them.
+ */
+
+const answerSeparator = "{{FrontSide}}\n\n<hr id=answer>\n\n";
+
+const builtInNoteTypes = {
+  Basic: {
+    fields: ["Front", "Back"],
+    templates: [
+      { name: "Card 1", qfmt: "{{Front}}", afmt: `${answerSeparator}{{Back}}` },
+    ],
+  },
+  "Basic (and reversed card)": {
+    fields: ["Front", "Back"],
+    templates: [
+      { name: "Card 1", qfmt: "{{Front}}", afmt: `${answerSeparator}{{Back}}` },
+      { name: "Card 2", qfmt: "{{Back}}", afmt: `${answerSeparator}{{Front}}` },
+    ],
+  },
+  Cloze: {
+    cloze: true,
+    fields: ["Text", "Back Extra"],
+    templates: [
+      {
+        name: "Cloze",
+        qfmt: "{{cloze:Text}}",
+        afmt: "{{cloze:Text}}<br>\n{{Back Extra}}",
+      },
+    ],
+  },
+};
+
+const noteTypeCss =
+  ".card {\n  font-family: arial;\n  font-size: 20px;\n  text-align: center;\n  color: black;\n  background-color: white;\n}\n";
+
+const schema = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+  ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null,
+  models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null,
+  usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null,
+  flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null,
+  mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null,
+  ivl integer not null, factor integer not null, reps integer not null, lapses integer not null,
+  left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+  ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null,
+  type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+/**
+ * Hashes a string with SHA-1.
+ *
+ * @param {string} text - The text to hash.
+ * @returns {Buffer} - The digest.
+ */
+function sha1(text) {
+  return createHash("sha1").update(text).digest();
+}
+
+/**
+ * Derives a stable ID from a name, in the range of the millisecond timestamps Anki uses for IDs.
+ *
+ * @param {string} name - The name of the deck or note type.
+ * @returns {number} - The ID.
+ */
+function stableId(name) {
+  return 1e12 + (sha1(name).readUInt32BE(0) % 1e12);
+}
+
+/**
+ * Works out the definition of the note type the notes are exported as; see the module description.
+ *
+ * @param {Object} settings - The settings object; see buildNote() in './anki_helper.js'.
+ * @returns {{name: string, cloze: boolean, fields: string[], templates: Array<Object>}} - The note type.
+ */
+function exportNoteType(settings) {
+  const name = settings.noteType || "Basic";
+  if (builtInNoteTypes[name]) {
+    return { name, cloze: false, ...builtInNoteTypes[name] };
+  }
+  const fields = Object.keys(settings.fieldMapping || {});
+  if (!fields.length) {
+    throw new Error(`No fields mapped for note type ${name}`);
+  }
+  const cloze = settings.cardMode === "cloze";
+  const front = cloze ? `{{cloze:${fields[0]}}}` : `{{${fields[0]}}}`;
+  const rest = fields
+    .slice(1)
+    .map((field) => `{{${field}}}`)
+    .join("<br>\n");
+  return {
+    name,
+    cloze,
+    fields,
+    templates: [
+      {
+        name: cloze ? "Cloze" : "Card 1",
+        qfmt: front,
+        afmt: cloze ? `${front}<br>\n${rest}` : `${answerSeparator}${rest}`,
+      },
+    ],
+  };
+}
+
+/**
+ * Builds the note type JSON stored in the collection's models column.
+ *
+ * @param {Object} noteType - The note type; see exportNoteType().
+ * @param {number} id - The note type's ID.
+ * @param {number} deckId - The ID of the deck new cards of the note type go to by default.
+ * @param {number} mod - The modification time, in seconds.
+ * @returns {Object} - The note type JSON.
+ */
+function noteTypeJson(noteType, id, deckId, mod) {
+  return {
+    id: String(id),
+    name: noteType.name,
+    type: noteType.cloze ? 1 : 0,
+    mod,
+    usn: -1,
+    sortf: 0,
+    did: deckId,
+    tmpls: noteType.templates.map((template, ord) => ({
+      name: template.name,
+      ord,
+      qfmt: template.qfmt,
+      afmt: template.afmt,
+      did: null,
+      bqfmt: "",
+      bafmt: "",
+    })),
+    flds: noteType.fields.map((name, ord) => ({
+      name,
+      ord,
+      sticky: false,
+      rtl: false,
+      font: "Arial",
+      size: 20,
+      media: [],
+    })),
+    css: noteTypeCss,
+    latexPre:
+      "\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n" +
+      "\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n",
+    latexPost: "\\end{document}",
+    latexsvg: false,
+    req: noteType.templates.map((template, ord) => [
+      ord,
+      "any",
+      [shownField(noteType, template)],
+    ]),
+    tags: [],
+    vers: [],
+  };
+}
+
+/**
+ * Builds the deck JSON stored in the collection's decks column.
+ *
+ * @param {number} id - The deck's ID.
+ * @param {string} name - The deck's name.
+ * @param {number} mod - The modification time, in seconds.
+ * @returns {Object} - The deck JSON.
+ */
+function deckJson(id, name, mod) {
+  return {
+    id,
+    name,
+    mod,
+    usn: -1,
+    lrnToday: [0, 0],
+    revToday: [0, 0],
+    newToday: [0, 0],
+    timeToday: [0, 0],
+    collapsed: false,
+    desc: "",
+    dyn: 0,
+    conf: 1,
+    extendNew: 0,
+    extendRev: 0,
+  };
+}
+
+/**
+ * The default deck options, as Anki creates them.
+ */
+const defaultDeckConfig = {
+  1: {
+    id: 1,
+    name: "Default",
+    mod: 0,
+    usn: 0,
+    maxTaken: 60,
+    autoplay: true,
+    timer: 0,
+    replayq: true,
+    dyn: false,
+    new: {
+      bury: true,
+      delays: [1, 10],
+      initialFactor: 2500,
+      ints: [1, 4, 7],
+      order: 1,
+      perDay: 20,
+      separate: true,
+    },
+    lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 },
+    rev: {
+      bury: true,
+      ease4: 1.3,
+      fuzz: 0.05,
+      ivlFct: 1,
+      maxIvl: 36500,
+      minSpace: 1,
+      perDay: 100,
+    },
+  },
+};
+
+/**
+ * Works out which cards a note makes: a card per cloze number for cloze note types (e.g. {{c1::...}} and
+ * {{c2::...}} make two), otherwise a card per template whose front shows a field that isn't empty.
+ *
+ * @param {Object} noteType - The note type; see exportNoteType().
+ * @param {string[]} fields - The note's field values, in the note type's field order.
+ * @returns {number[]} - The ord of each card.
+ */
+function cardOrds(noteType, fields) {
+  if (noteType.cloze) {
+    const numbers = [...fields[0].matchAll(/\{\{c(\d+)::/g)].map((match) =>
+      Number(match[1])
+    );
+    return [...new Set(numbers)].sort((a, b) => a - b).map((n) => n - 1);
+  }
+  return noteType.templates
+    .map((template, ord) =>
+      fields[shownField(noteType, template)].trim() ? ord : null
+    )
+    .filter((ord) => ord !== null);
+}
+
+/**
+ * Finds the field a template shows on the front of its card, which must be filled for the card to be made.
+ *
+ * @param {Object} noteType - The note type; see exportNoteType().
+ * @param {Object} template - One of the note type's templates.
+ * @returns {number} - The index of the field; the first field if none is found.
+ */
+function shownField(noteType, template) {
+  const shown = template.qfmt.match(/\{\{(?:[^}:]+:)?([^}]+)\}\}/);
+  return Math.max(shown ? noteType.fields.indexOf(shown[1]) : 0, 0);
+}
+
+/**
+ * Writes the accepted cards to an Anki package. The images on the cards are downloaded and bundled in the package
+ * (see: downloadCardImages() in './media.js'), so that picture cards work offline, and keep working if the images are
+ * taken down; an image that can't be downloaded keeps its URL.
+ *
+ * @param {Object} settings - The settings object; see buildNote() in './anki_helper.js'.
+ * @param {string} [settings.cardMode] - "cloze" to export a note type not built in (see: exportNoteType()) as cloze.
+ * @param {string} apkgPath - The path of the package to write; overwritten if it exists.
+ * @param {string} deckName - The name of the deck to put the cards in.
+ * @param {Array<{card: Object, tags: Array<string>, deckName?: string}>} accepted - The cards to export, each with
+ *   its tags and, optionally, its own deck.
+ * @returns {Promise<{notes: number, cards: number}>} - A promise that resolves to the numbers of notes and cards
+ *   written. Cloze notes with no cloze deletions make no cards, and are left out.
+ * @throws {Error} - Throws an error if the note type can't be exported, or the package can't be written.
+ */
+async function writeApkg(settings, apkgPath, deckName, accepted) {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  const now = Date.now();
+  const mod = Math.floor(now / 1000);
+  let nextId = now;
+
+  const noteType = exportNoteType(settings);
+  const noteTypeId = stableId(`note type ${noteType.name}`);
+  let decks = {};
+  const deckId = (name) => {
+    const id = stableId(`deck ${name}`);
+    decks[id] = decks[id] || deckJson(id, name, mod);
+    return id;
+  };
+  const defaultDeckId = deckId(deckName);
+
+  const images = await downloadCardImages(
+    settings,
+    accepted.map(({ card }) => card)
+  );
+  const bundled = new Set(images.keys());
+
+  db.run(schema);
+  let noteCount = 0;
+  let cardCount = 0;
+  for (const { card, tags, deckName: cardDeck } of accepted) {
+    const note = buildNote(settings, cardDeck || deckName, card, tags, bundled);
+    const fields = noteType.fields.map((field) => note.fields[field] || "");
+    const ords = cardOrds(noteType, fields);
+    if (!ords.length) {
+      continue;
+    }
+
+    const noteId = nextId++;
+    const sortField = stripHtml(fields[0]);
+    db.run("INSERT INTO notes VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)", [
+      noteId,
+      sha1(`${noteType.name}\u001f${fields[0]}`)
+        .toString("base64")
+        .slice(0, 10),
+      noteTypeId,
+      mod,
+      -1,
+      note.tags.length ? ` ${note.tags.join(" ")} ` : "",
+      fields.join("\u001f"),
+      sortField,
+      parseInt(sha1(sortField).toString("hex").slice(0, 8), 16),
+      0,
+      "",
+    ]);
+    noteCount += 1;
+
+    const did = deckId(note.deckName);
+    for (const ord of ords) {
+      db.run(
+        "INSERT INTO cards VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+        [
+          nextId++,
+          noteId,
+          did,
+          ord,
+          mod,
+          -1,
+          0,
+          0,
+          noteCount,
+          0,
+          0,
+          0,
+          0,
+          0,
+          0,
+          0,
+          0,
+          "",
+        ]
+      );
+      cardCount += 1;
+    }
+  }
+
+  decks[1] = deckJson(1, "Default", mod);
+  db.run("INSERT INTO col VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)", [
+    1,
+    Math.floor(new Date(now).setHours(4, 0, 0, 0) / 1000),
+    now,
+    now,
+    11,
+    0,
+    0,
+    0,
+    JSON.stringify({
+      activeDecks: [1],
+      curDeck: 1,
+      newSpread: 0,
+      collapseTime: 1200,
+      timeLim: 0,
+      estTimes: true,
+      dueCounts: true,
+      curModel: String(noteTypeId),
+      nextPos: noteCount + 1,
+      sortType: "noteFld",
+      sortBackwards: false,
+      addToCur: true,
+    }),
+    JSON.stringify({
+      [noteTypeId]: noteTypeJson(noteType, noteTypeId, defaultDeckId, mod),
+    }),
+    JSON.stringify(decks),
+    JSON.stringify(defaultDeckConfig),
+    "{}",
+  ]);
+
+  const zip = new JSZip();
+  zip.file("collection.anki2", Buffer.from(db.export()));
+  let media = {};
+  for (const [url, data] of images) {
+    const index = String(Object.keys(media).length);
+    media[index] = mediaFileName(url);
+    zip.file(index, data);
+  }
+  zip.file("media", JSON.stringify(media));
+  db.close();
+  writeFileSync(
+    apkgPath,
+    await zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" })
+  );
+  return { notes: noteCount, cards: cardCount };
+}
+
+export { writeApkg };
@@ -0,0 +1,135 @@
+import { existsSync, readFileSync, writeFileSync } from "fs";
+import { JSDOM } from "jsdom";
+import { validateURL } from "./input_validation.js";
+
+/**
+ * Batch queue handling.
+ *
+ * A batch is read from a text file of URLs (one per line; blank lines and lines starting with '#' are ignored)
+ * or from a local sitemap.xml. Progress is kept in a queue file alongside the batch file, recording the status
+ * of each URL as it's processed, so that an interrupted batch can be re-run and will pick up where it stopped.
+ *
+ * Each queue item has:
+ *  - url: the URL to process.
+ *  - status: "pending", "done" or "failed". A URL is only done once its cards have been added to Anki or exported;
+ *    a dry run (neither) leaves it pending, so a later run adding the cards doesn't skip it.
+ *  - error: why the item failed, if it did.
+ *  - generated/added/duplicates/failed: the numbers of cards generated, added, rejected as duplicates, and that
+ *    failed to be added.
+ *  - exportedCards: with --export, the cards generated from the URL, each with its tags, so that every run's export
+ *    holds the cards of the whole batch (see: runBatch() in './cli.js').
+ *  - updated: when the item was last processed.
+ */
+
+/**
+ * Reads the URLs from a batch file. Sitemaps are recognised by their .xml extension or a leading '<', and
+ * read from their <loc> elements.
+ *
+ * @param {string} batchPath - The path of the text file or sitemap.
+ * @returns {string[]} - The URLs in the batch, in order, without duplicates.
+ * @throws {Error} - Throws an error if the file can't be read.
+ */
+function readBatchFile(batchPath) {
+  const content = readFileSync(batchPath, "utf8");
+  let urls;
+
+  if (
+    batchPath.toLowerCase().endsWith(".xml") ||
+    content.trim().startsWith("<")
+  ) {
+    const document = new JSDOM(content, { contentType: "application/xml" })
+      .window.document;
+    urls = Array.from(document.getElementsByTagName("loc")).map((loc) =>
+      loc.textContent.trim()
+    );
+  } else {
+    urls = content
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#"));
+  }
+  return [...new Set(urls)];
+}
+
+/**
+ * Works out where the queue file for a batch lives: next to the batch file, unless given explicitly.
+ *
+ * @param {string} batchPath - The path of the batch file.
+ * @param {string} [queuePath] - An explicit queue file path.
+ * @returns {string} - The path of the queue file.
+ */
+function getQueuePath(batchPath, queuePath) {
+  return queuePath || `${batchPath}.queue.json`;
+}
+
+/**
+ * Loads the queue for a batch, creating it if this is the first run. URLs added to the batch file since the
+ * last run are appended as pending. Invalid URLs are marked as failed straight away.
+ * With retryFailed, items that failed on a previous run are set back to pending.
+ *
+ * @param {string} queuePath - The path of the queue file.
+ * @param {string[]} urls - The URLs in the batch file.
+ * @param {boolean} [retryFailed=false] - Whether to retry items that failed on a previous run.
+ * @returns {Array<Object>} - The queue items.
+ */
+function loadQueue(queuePath, urls, retryFailed = false) {
+  let queue = [];
+  if (existsSync(queuePath)) {
+    try {
+      queue = JSON.parse(readFileSync(queuePath, "utf8"));
+    } catch (error) {
+      console.error(`Error reading ${queuePath}; starting a new queue:`, error);
+    }
+  }
+
+  const queued = new Set(queue.map((item) => item.url));
+  for (const url of urls) {
+    if (!queued.has(url)) {
+      queue.push({ url, status: "pending" });
+    }
+  }
+
+  for (const item of queue) {
+    if (retryFailed && item.status === "failed") {
+      item.status = "pending";
+      delete item.error;
+    }
+    if (item.status === "pending" && !validateURL(item.url).validUrl) {
+      item.status = "failed";
+      item.error = "Invalid URL";
+    }
+  }
+
+  saveQueue(queuePath, queue);
+  return queue;
+}
+
+/**
+ * Writes the queue to disk. Called after every item, so that progress survives an interruption.
+ *
+ * @param {string} queuePath - The path of the queue file.
+ * @param {Array<Object>} queue - The queue items.
+ */
+function saveQueue(queuePath, queue) {
+  try {
+    writeFileSync(queuePath, JSON.stringify(queue, null, 2));
+  } catch (error) {
+    console.error(`Error writing queue to ${queuePath}:`, error);
+  }
+}
+
+/**
+ * Counts the queue items in each status.
+ *
+ * @param {Array<Object>} queue - The queue items.
+ * @returns {{pending: number, done: number, failed: number}} - The number of items in each status.
+ */
+function countQueue(queue) {
+  const counts = { pending: 0, done: 0, failed: 0 };
+  for (const item of queue) {
+    counts[item.status] += 1;
+  }
+  return counts;
+}
+
+export { readBatchFile, getQueuePath, loadQueue, saveQueue, countQueue };
@@ -0,0 +1,335 @@
+import { createHash } from "crypto";
+import {
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  rmSync,
+  statSync,
+  writeFileSync,
+} from "fs";
+import { join } from "path";
+import { log, logTable } from "./logger.js";
+
+/**
+ * On-disk cache of fetched pages and model responses, so that re-running on the same source doesn't download the
+ * page or pay for the completions again when nothing has changed.
+ *
+ * The cache is kept in a 'cache' directory in the log directory, one JSON file per entry, named by a SHA-256 hash
+ * of its key:
+ *  - "pages": the HTML of fetched pages, keyed by URL, kept with the ETag and Last-Modified headers the server sent.
+ *    Each fetch still goes to the server, but asks only for a newer copy (If-None-Match/If-Modified-Since); if the
+ *    page hasn't changed (304 Not Modified), the cached HTML is used (see: fetchPage() in './scrape_page.js').
+ *    Pages sent without either header aren't cached, as there'd be no way to tell if they'd changed, and neither
+ *    are pages fetched with a request profile, whose content may be for its credentials only.
+ *  - "chat": the responses to flashcard requests, keyed by the provider and its endpoint (base URL or fixture file),
+ *    the model, the messages (context and input text) and the tool the model is asked to call (see:
+ *    requestFlashcards() in './generate_flashcard_text.js'). A cached response is used in place of sending the
+ *    request, and costs nothing, so tuning review or tagging settings and re-running doesn't pay for the same cards
+ *    twice; switching provider or server never reuses another's responses.
+ *
+ *  - "embeddings": the embeddings of the notes in a deck, for near-duplicate checks with embeddings (see:
+ *    findClosestNotes() in './similarity.js'), one entry per deck, provider endpoint and embeddings model, holding
+ *    each note's embedding by note ID, along with a hash of the text embedded. Only notes that are new, or whose
+ *    text has changed, are embedded again.
+ *
+ * Set cache to false in settings (or pass --no-cache) to neither read nor write the cache.
+ */
+
+const cacheDirectory = "cache";
+const cacheKinds = ["pages", "chat", "embeddings"];
+
+/**
+ * Checks whether the cache is in use.
+ *
+ * @param {Object} settings - The settings object.
+ * @param {boolean} [settings.cache=true] - Whether to use the cache.
+ * @param {string} settings.logDirectory - The directory holding the cache.
+ * @returns {boolean} - True unless the cache is turned off, or there's no log directory to keep it in.
+ */
+function cacheEnabled(settings) {
+  return settings.cache !== false && Boolean(settings.logDirectory);
+}
+
+/**
+ * Hashes a cache key.
+ *
+ * @param {*} key - The key; anything JSON can represent.
+ * @returns {string} - The SHA-256 hash of the key, in hex.
+ */
+function hashKey(key) {
+  return createHash("sha256").update(JSON.stringify(key)).digest("hex");
+}
+
+/**
+ * Reads an entry from the cache.
+ *
+ * @param {string} directory - The log directory, holding the cache directory.
+ * @param {string} kind - One of cacheKinds.
+ * @param {*} key - The entry's key; see hashKey().
+ * @returns {Object|null} - The entry, or null if there isn't one (or it can't be read).
+ */
+function readEntry(directory, kind, key) {
+  const filepath = join(
+    directory,
+    cacheDirectory,
+    kind,
+    `${hashKey(key)}.json`
+  );
+  if (!existsSync(filepath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(readFileSync(filepath, "utf8"));
+  } catch (error) {
+    console.error(`Error reading ${filepath}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Writes an entry to the cache, recording when it was cached.
+ *
+ * @param {string} directory - The log directory, holding the cache directory.
+ * @param {string} kind - One of cacheKinds.
+ * @param {*} key - The entry's key; see hashKey().
+ * @param {Object} entry - The entry.
+ * @returns {boolean} - Whether the entry was written.
+ */
+function writeEntry(directory, kind, key, entry) {
+  const kindDirectory = join(directory, cacheDirectory, kind);
+  const filepath = join(kindDirectory, `${hashKey(key)}.json`);
+  try {
+    mkdirSync(kindDirectory, { recursive: true });
+    writeFileSync(
+      filepath,
+      JSON.stringify({ cached: new Date().toISOString(), ...entry })
+    );
+    return true;
+  } catch (error) {
+    console.error(`Error writing cache entry to ${filepath}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Looks up a page in the cache.
+ *
+ * @param {Object} settings - The settings object.
+ * @param {string} settings.logDirectory - The directory holding the cache.
+ * @param {string} url - The URL of the page, as requested.
+ * @returns {{url: string, html: string, etag: string|null, lastModified: string|null, cached: string}|null} - The
+ *   cached page, or null if it isn't cached or the cache is turned off.
+ */
+function readCachedPage(settings, url) {
+  return cacheEnabled(settings)
+    ? readEntry(settings.logDirectory, "pages", url)
+    : null;
+}
+
+/**
+ * Caches a fetched page, if the server sent an ETag or Last-Modified header to revalidate it with.
+ *
+ * @param {Object} settings - The settings object; see readCachedPage().
+ * @param {string} url - The URL of the page, as requested.
+ * @param {Object} page - The page.
+ * @param {string} page.html - The HTML of the page.
+ * @param {string|null} page.etag - The ETag header sent with the page.
+ * @param {string|null} page.lastModified - The Last-Modified header sent with the page.
+ */
+function cachePage(settings, url, { html, etag, lastModified }) {
+  if (cacheEnabled(settings) && (etag || lastModified)) {
+    writeEntry(settings.logDirectory, "pages", url, {
+      url,
+      etag: etag || null,
+      lastModified: lastModified || null,
+      html,
+    });
+  }
+}
+
+/**
+ * Looks up the response to a chat request in the cache.
+ *
+ * @param {Object} settings - The settings object; see readCachedPage().
+ * @param {{provider: string, endpoint: string, model: string, messages: Array<Object>, tool: Object}} request - The
+ *   request, with the provider it's sent to (see: './providers.js').
+ * @returns {Object|null} - The cached response, or null if it isn't cached or the cache is turned off.
+ */
+function readCachedResponse(settings, request) {
+  if (!cacheEnabled(settings)) {
+    return null;
+  }
+  const entry = readEntry(settings.logDirectory, "chat", request);
+  return entry ? entry.response : null;
+}
+
+/**
+ * Caches the response to a chat request.
+ *
+ * @param {Object} settings - The settings object; see readCachedPage().
+ * @param {Object} request - The request; see readCachedResponse().
+ * @param {Object} response - The response.
+ * @param {string} source - Where the text came from (e.g. the URL scraped), recorded for inspecting the cache.
+ */
+function cacheResponse(settings, request, response, source) {
+  if (cacheEnabled(settings)) {
+    writeEntry(settings.logDirectory, "chat", request, {
+      provider: request.provider,
+      model: request.model,
+      source,
+      response,
+    });
+  }
+}
+
+/**
+ * Looks up the embeddings of a deck's notes in the cache.
+ *
+ * @param {Object} settings - The settings object; see readCachedPage().
+ * @param {{provider: string, endpoint: string, model: string, deckName: string}} key - The deck, and the provider
+ *   and model the embeddings came from.
+ * @returns {Object<string, {hash: string, vector: number[]}>} - Each note's embedding, and the hash of the text it
+ *   was made from, by note ID; empty if none are cached or the cache is turned off.
+ */
+function readCachedEmbeddings(settings, key) {
+  const entry = cacheEnabled(settings)
+    ? readEntry(settings.logDirectory, "embeddings", key)
+    : null;
+  if (!entry) {
+    return {};
+  }
+  return Object.fromEntries(
+    Object.entries(entry.notes).map(([noteId, { hash, vector }]) => {
+      const bytes = Buffer.from(vector, "base64");
+      return [
+        noteId,
+        {
+          hash,
+          vector: Array.from(
+            new Float32Array(
+              bytes.buffer,
+              bytes.byteOffset,
+              bytes.length / Float32Array.BYTES_PER_ELEMENT
+            )
+          ),
+        },
+      ];
+    })
+  );
+}
+
+/**
+ * Caches the embeddings of a deck's notes, replacing those cached before (so that notes no longer in the deck are
+ * dropped). Vectors are kept as base64 32-bit floats, which is plenty for similarity scores, at a fraction of the
+ * size of JSON numbers.
+ *
+ * @param {Object} settings - The settings object; see readCachedPage().
+ * @param {Object} key - The deck, provider and model; see readCachedEmbeddings().
+ * @param {Object<string, {hash: string, vector: number[]}>} notes - Each note's embedding and text hash, by note ID.
+ */
+function cacheEmbeddings(settings, key, notes) {
+  if (cacheEnabled(settings)) {
+    writeEntry(settings.logDirectory, "embeddings", key, {
+      model: key.model,
+      deckName: key.deckName,
+      notes: Object.fromEntries(
+        Object.entries(notes).map(([noteId, { hash, vector }]) => [
+          noteId,
+          {
+            hash,
+            vector: Buffer.from(new Float32Array(vector).buffer).toString(
+              "base64"
+            ),
+          },
+        ])
+      ),
+    });
+  }
+}
+
+/**
+ * Lists the entries of each kind in the cache.
+ *
+ * @param {string} directory - The log directory, holding the cache directory.
+ * @returns {Object<string, {entries: number, bytes: number, oldest: string|null, newest: string|null}>} - For each
+ *   of cacheKinds, the number of entries, their total size, and when the oldest and newest were cached.
+ */
+function cacheInfo(directory) {
+  return Object.fromEntries(
+    cacheKinds.map((kind) => {
+      const kindDirectory = join(directory, cacheDirectory, kind);
+      const files = existsSync(kindDirectory)
+        ? readdirSync(kindDirectory).filter((file) => file.endsWith(".json"))
+        : [];
+      const stats = files.map((file) => statSync(join(kindDirectory, file)));
+      const times = stats.map((stat) => stat.mtime.toISOString()).sort();
+      return [
+        kind,
+        {
+          entries: files.length,
+          bytes: stats.reduce((total, stat) => total + stat.size, 0),
+          oldest: times[0] || null,
+          newest: times[times.length - 1] || null,
+        },
+      ];
+    })
+  );
+}
+
+/**
+ * Prints the number of entries of each kind in the cache, their size, and when they were cached.
+ *
+ * @param {string} directory - The log directory, holding the cache directory.
+ */
+function printCacheInfo(directory) {
+  log(`\nCache (${join(directory, cacheDirectory)}):`);
+  logTable(
+    Object.entries(cacheInfo(directory)).map(([kind, info]) => ({
+      kind,
+      entries: info.entries,
+      size: `${(info.bytes / 1024).toFixed(1)} KB`,
+      oldest: info.oldest ? info.oldest.slice(0, 10) : "",
+      newest: info.newest ? info.newest.slice(0, 10) : "",
+    }))
+  );
+}
+
+/**
+ * Clears the cache.
+ *
+ * @param {string} directory - The log directory, holding the cache directory.
+ * @param {string} [kind="all"] - One of cacheKinds, or "all".
+ * @returns {number} - The number of entries removed.
+ * @throws {Error} - Throws an error if the kind is unknown.
+ */
+function clearCache(directory, kind = "all") {
+  if (kind !== "all" && !cacheKinds.includes(kind)) {
+    throw new Error(
+      `Unknown cache: ${kind} (expected one of ${cacheKinds.join(", ")} or all)`
+    );
+  }
+  const info = cacheInfo(directory);
+  let removed = 0;
+  for (const cleared of kind === "all" ? cacheKinds : [kind]) {
+    rmSync(join(directory, cacheDirectory, cleared), {
+      recursive: true,
+      force: true,
+    });
+    removed += info[cleared].entries;
+  }
+  return removed;
+}
+
+export {
+  cacheKinds,
+  readCachedPage,
+  cachePage,
+  readCachedResponse,
+  cacheResponse,
+  readCachedEmbeddings,
+  cacheEmbeddings,
+  cacheInfo,
+  printCacheInfo,
+  clearCache,
+};
@@ -0,0 +1,785 @@
+import { existsSync, statSync } from "fs";
+import { parseArgs } from "util";
+import { deckNamesAndIds, createDeck } from "./anki.js";
+import { flagDuplicates, withoutFlags, addCardsToAnki } from "./anki_helper.js";
+import generateFlashCardText from "./generate_flashcard_text.js";
+import { estimateRequestCost, getMonthlySpend } from "./cost_tracking.js";
+import { loadSettings } from "./settings.js";
+import { writeLogs } from "./utils.js";
+import { exportFormats, defaultExportPath, exportCards } from "./exporters.js";
+import { syncOutbox } from "./outbox.js";
+import { cacheKinds, cacheInfo, clearCache } from "./cache.js";
+import { extractionModes, comparePage } from "./scrape_page.js";
+import { listSourceFiles } from "./file_import.js";
+import { isDocumentFile } from "./document_import.js";
+import {
+  readBatchFile,
+  getQueuePath,
+  loadQueue,
+  saveQueue,
+  countQueue,
+} from "./batch.js";
+import {
+  getSourceSegments,
+  describeSource,
+  readPipedStdin,
+} from "./sources.js";
+import {
+  validateURL,
+  validateSourcePath,
+  validateDocumentPath,
+  validateRange,
+} from "./input_validation.js";
+import { setLogStream } from "./logger.js";
+
+/**
+ * Non-interactive (headless) mode, for running the whole pipeline from shell scripts and scheduled jobs.
+ *
+ * Runs when the script is started with any command line flags (e.g.: `node main.js --url https://... --deck Biology`),
+ * in place of the inquirer prompts used by main(). Cards are only added to Anki with --auto-accept; without it,
+ * cards are generated and reported but not added (a dry run). With --export, every generated card is also written
+ * to a file in the format given (see: './exporters.js'), e.g. an Anki package, which needs no AnkiConnect.
+ * If AnkiConnect can't be reached with --auto-accept, the cards are queued in the outbox instead, and --sync pushes
+ * them to Anki later (see: './outbox.js').
+ *
+ * Fetched pages and model responses are cached on disk (see: './cache.js'), so re-running on an unchanged source
+ * costs nothing; --no-cache skips the cache, and --cache-info and --clear-cache inspect and clear it.
+ *
+ * Everything the pipeline would normally print is sent to stderr (see: './logger.js'), so that stdout holds only the
+ * JSON summary of the run, which can be piped straight into other tools.
+ */
+
+/**
+ * Exit codes, so that scripts can tell what went wrong without parsing the summary.
+ */
+const exitCodes = {
+  success: 0,
+  error: 1,
+  usage: 2,
+  noText: 3,
+  budget: 4,
+  anki: 5,
+};
+
+const statusExitCodes = {
+  ok: exitCodes.success,
+  "no-text": exitCodes.noText,
+  budget: exitCodes.budget,
+  anki: exitCodes.anki,
+  error: exitCodes.error,
+};
+const exitCodeStatuses = Object.fromEntries(
+  Object.entries(statusExitCodes).map(([status, code]) => [code, status])
+);
+
+const cliOptions = {
+  url: { type: "string" },
+  file: { type: "string" },
+  stdin: { type: "boolean", default: false },
+  batch: { type: "string" },
+  queue: { type: "string" },
+  "retry-failed": { type: "boolean", default: false },
+  lines: { type: "string" },
+  pages: { type: "string" },
+  chapters: { type: "string" },
+  extraction: { type: "string" },
+  "compare-extraction": { type: "boolean", default: false },
+  images: { type: "boolean", default: false },
+  deck: { type: "string" },
+  tags: { type: "string" },
+  model: { type: "string" },
+  provider: { type: "string" },
+  "base-url": { type: "string" },
+  "auto-accept": { type: "boolean", default: false },
+  export: { type: "string", multiple: true },
+  apkg: { type: "string" },
+  log: { type: "boolean", default: false },
+  sync: { type: "boolean", default: false },
+  "no-cache": { type: "boolean", default: false },
+  "cache-info": { type: "boolean", default: false },
+  "clear-cache": { type: "string" },
+  settings: { type: "string", default: "settings.json" },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+const usage = `Usage: node main.js [options]
+
+Sources (choose one):
+  --url <url>           Scrape a web page
+  --file <path>         Import a .txt/.md/.html file, a directory of them, or a .pdf/.epub document
+  --stdin               Use text piped on stdin
+  --batch <path>        Scrape every URL in a text file (one per line) or a local sitemap.xml
+
+Source options:
+  --lines <range>       Lines of a single .txt/.md file to process (e.g.: 100-1000); not for directories
+  --pages <range>       Pages of a PDF to process (e.g.: 20-25)
+  --chapters <list>     Chapters of an EPUB to process (e.g.: 1,3,5)
+  --extraction <mode>   How the text of web pages and HTML is picked out: selectors (the include/exclude lists
+                        in settings) or auto (find the main content automatically), overriding the settings file
+  --compare-extraction  With --url, print the text each extraction mode picks out of the page, then exit
+  --images              Keep the images and figures of web pages, with their alt text and captions, for picture
+                        cards; the images are stored in Anki's media folder when the cards are added
+
+Batch options:
+  --queue <path>        Queue file recording the status of each URL (default: <batch file>.queue.json);
+                        re-running a batch skips URLs already done
+  --retry-failed        Retry URLs that failed on a previous run of the batch
+
+Output options:
+  --deck <name>         Deck to add cards to; created if it doesn't exist (default: defaultDeck in settings)
+  --tags <list>         Tags to add to every card (comma separated)
+  --model <model>       Model to use, overriding the settings file
+  --provider <name>     Provider to use: openai, openai-compatible or mock, overriding the settings file
+  --base-url <url>      Base URL of the provider's API, overriding the settings file
+  --auto-accept         Add every generated card to Anki; without this, cards are generated but not added.
+                        If AnkiConnect can't be reached, the cards are queued in the outbox for --sync
+  --export <format>[=<path>]
+                        Write every generated card to a file, to import later; needs no AnkiConnect. Formats:
+                        ${exportFormats.join(", ")}. The path defaults to one named after the deck (e.g.:
+                        --export markdown writes Biology.md). Repeat to export several formats
+  --apkg <path>         Short for --export apkg=<path>
+  --log                 Append added (or, without --auto-accept, exported) cards to the CSV log in the log directory
+  --settings <path>     Settings file to use (default: settings.json)
+  --sync                Add the cards queued in the outbox to Anki, creating any missing decks, then exit
+
+Cache options:
+  --no-cache            Neither use nor update the cache of fetched pages and model responses
+  --cache-info          Print the number, size and age of the cached pages, responses and embeddings, then exit
+  --clear-cache <kind>  Clear the cached ${cacheKinds.join(", ")}, or all of it, then exit
+  -h, --help            Show this message
+
+Prints a JSON summary to stdout. Exit codes: 0 success, 1 unexpected error, 2 invalid options or settings,
+3 no text or no cards, 4 monthly budget reached, 5 AnkiConnect error.`;
+
+/**
+ * Checks whether the script was started with command line flags, and so should run headless.
+ *
+ * @param {string[]} argv - The command line arguments, excluding the node executable and script path.
+ * @returns {boolean} - True if there are any arguments.
+ */
+function isHeadless(argv) {
+  return argv.length > 0;
+}
+
+/**
+ * Builds the source objects (see './sources.js') for the source flags given, validating them with the same
+ * functions used by the interactive prompts in './main_user_prompts.js'.
+ *
+ * @param {Object} values - The parsed command line flags.
+ * @param {string|null} stdinText - Text piped on stdin, if any.
+ * @returns {Array<Object>} - The source objects; one per file when a directory is given, and none for --batch,
+ *   whose URLs are read from its queue by runBatch().
+ * @throws {Error} - Throws an error if no source, more than one source, or an invalid source is given, or if
+ *   --lines is given with a directory, where it would apply to every file alike.
+ */
+function buildSources(values, stdinText) {
+  const given = ["url", "file", "stdin", "batch"].filter(
+    (flag) => values[flag]
+  );
+  if (given.length !== 1) {
+    throw new Error(
+      "Exactly one of --url, --file, --stdin or --batch is required"
+    );
+  }
+
+  for (const flag of ["lines", "pages"]) {
+    if (values[flag] && !validateRange(values[flag]).validRange) {
+      throw new Error(
+        `Invalid --${flag}: ${validateRange(values[flag]).error}`
+      );
+    }
+  }
+
+  if (values.url) {
+    const result = validateURL(values.url);
+    if (!result.validUrl) {
+      throw new Error(`Invalid --url: ${result.error}`);
+    }
+    return [{ type: "url", url: values.url }];
+  } else if (values.batch) {
+    if (!existsSync(values.batch)) {
+      throw new Error(`Invalid --batch: ${values.batch} does not exist`);
+    }
+    return [];
+  } else if (values.stdin) {
+    if (!stdinText) {
+      throw new Error("--stdin given, but nothing was piped on stdin");
+    }
+    return [{ type: "stdin", text: stdinText }];
+  }
+
+  if (isDocumentFile(values.file)) {
+    const result = validateDocumentPath(values.file);
+    if (!result.validPath) {
+      throw new Error(`Invalid --file: ${result.error}`);
+    }
+    const chapters = values.chapters
+      ? values.chapters.split(",").map((chapter) => Number(chapter.trim()))
+      : [];
+    if (chapters.some((chapter) => !Number.isInteger(chapter) || chapter < 1)) {
+      throw new Error("Invalid --chapters: must be a list of chapter numbers");
+    }
+    return [
+      { type: "document", path: values.file, pages: values.pages, chapters },
+    ];
+  }
+
+  const result = validateSourcePath(values.file);
+  if (!result.validPath) {
+    throw new Error(`Invalid --file: ${result.error}`);
+  }
+  if (values.lines && statSync(values.file).isDirectory()) {
+    throw new Error(
+      "--lines can only be used with a single file, not a directory"
+    );
+  }
+  return listSourceFiles(values.file).map((path) => ({
+    type: "file",
+    path,
+    lineRange: values.lines || "",
+  }));
+}
+
+/**
+ * Runs the pipeline headless from command line flags: fetches the text of each source, generates flashcards,
+ * adds them to Anki (with --auto-accept) and/or exports them to files (with --export), optionally logs them,
+ * and prints a JSON summary to stdout.
+ *
+ * Exports are written once every source has been processed, with the cards from all of them; for a batch,
+ * that's the cards from the URLs processed on this run.
+ *
+ * The monthly budget in settings is enforced before each source; once reached, the run stops.
+ * An AnkiConnect failure on one card doesn't stop the run, but is reflected in the exit code. If AnkiConnect
+ * can't be reached at all, cards are queued in the outbox rather than failing.
+ *
+ * With --sync, the outbox is synced instead (see: runSync()), and no sources are processed. With
+ * --compare-extraction, the page is only fetched, and the text each extraction mode picks out of it is compared.
+ * With --cache-info or --clear-cache, only the cache is inspected or cleared (see: runCacheCommand()).
+ *
+ * @param {string[]} argv - The command line arguments, excluding the node executable and script path.
+ * @returns {Promise<number>} - A promise that resolves to the exit code; see exitCodes.
+ */
+async function runCli(argv) {
+  const summary = { status: "ok", sources: [], errors: [] };
+  let exitCode = exitCodes.success;
+  let values;
+  let sources;
+  let settings;
+
+  setLogStream(process.stderr);
+
+  const finish = (code, status) => {
+    summary.status = status || summary.status;
+    process.stdout.write(JSON.stringify(summary, null, 2) + "\n");
+    return code;
+  };
+
+  try {
+    values = parseArgs({ args: argv, options: cliOptions }).values;
+  } catch (error) {
+    console.error(`${error.message}\n\n${usage}`);
+    summary.errors.push(error.message);
+    return finish(exitCodes.usage, "usage");
+  }
+  if (values.help) {
+    console.error(usage);
+    return exitCodes.success;
+  }
+
+  settings = loadSettings(values.settings);
+  if (!settings) {
+    summary.errors.push(`Could not load settings from ${values.settings}`);
+    return finish(exitCodes.usage, "usage");
+  }
+  if (values.model) {
+    settings.model = values.model;
+  }
+  if (values.provider) {
+    settings.provider = values.provider;
+  }
+  if (values["base-url"]) {
+    settings.baseUrl = values["base-url"];
+  }
+  if (values.extraction) {
+    if (!extractionModes.includes(values.extraction)) {
+      const error = `Invalid --extraction: ${values.extraction} (expected one of ${extractionModes.join(", ")})`;
+      console.error(`${error}\n\n${usage}`);
+      summary.errors.push(error);
+      return finish(exitCodes.usage, "usage");
+    }
+    settings.extractionMode = values.extraction;
+  }
+  if (values.images) {
+    settings.extractImages = true;
+  }
+  if (values["no-cache"]) {
+    settings.cache = false;
+  }
+  if (values.sync) {
+    const code = await runSync(settings, summary);
+    return finish(code, exitCodeStatuses[code]);
+  }
+  if (values["cache-info"] || values["clear-cache"]) {
+    try {
+      runCacheCommand(values, settings, summary);
+    } catch (error) {
+      console.error(`${error.message}\n\n${usage}`);
+      summary.errors.push(error.message);
+      return finish(exitCodes.usage, "usage");
+    }
+    return finish(exitCodes.success);
+  }
+
+  const deckName = values.deck || settings.defaultDeck;
+  let exports;
+  try {
+    const stdinText = values.stdin ? await readPipedStdin(false) : null;
+    sources = buildSources(values, stdinText);
+    exports = buildExports(values, deckName);
+    if (values["compare-extraction"] && !values.url) {
+      throw new Error("--compare-extraction needs --url");
+    }
+  } catch (error) {
+    console.error(`${error.message}\n\n${usage}`);
+    summary.errors.push(error.message);
+    return finish(exitCodes.usage, "usage");
+  }
+  if (values["compare-extraction"]) {
+    const code = await runComparison(values.url, settings, summary);
+    return finish(code, exitCodeStatuses[code]);
+  }
+
+  const tags = values.tags
+    ? values.tags
+        .split(",")
+        .map((tag) => tag.trim())
+        .filter(Boolean)
+    : [];
+  summary.deck = deckName;
+  summary.model = settings.model;
+  summary.provider = settings.provider || "openai";
+  summary.autoAccept = values["auto-accept"];
+  summary.exports = exports.map((entry) => ({ ...entry, notes: 0 }));
+
+  if (values["auto-accept"]) {
+    const decks = await deckNamesAndIds(settings.ankiUrl);
+    if (!decks) {
+      console.error(
+        `Could not reach AnkiConnect at ${settings.ankiUrl}; cards will be queued in the outbox.`
+      );
+    } else if (!Object.keys(decks).includes(deckName)) {
+      await createDeck(settings.ankiUrl, deckName);
+    }
+  }
+
+  const options = {
+    deckName,
+    tags,
+    autoAccept: values["auto-accept"],
+    exports,
+    exported: [],
+    log: values.log,
+  };
+  if (values.batch) {
+    const code = await runBatch(values, settings, options, summary);
+    return finish(
+      await exportAll(settings, options, summary, code),
+      exitCodeStatuses[code]
+    );
+  }
+
+  for (const source of sources) {
+    const result = await processSourceHeadless(source, settings, options);
+    summary.sources.push(result);
+    if (result.error) {
+      summary.errors.push(`${result.source}: ${result.error}`);
+    }
+    if (result.status === "budget") {
+      return finish(exitCodes.budget, "budget");
+    }
+    exitCode = mergeExitCodes(exitCode, statusExitCodes[result.status]);
+  }
+
+  exitCode = await exportAll(settings, options, summary, exitCode);
+  return finish(exitCode, exitCodeStatuses[exitCode]);
+}
+
+/**
+ * Works out the exports asked for with --export (and --apkg), each as a format and path.
+ *
+ * @param {Object} values - The parsed command line flags.
+ * @param {string} deckName - The deck the cards go to, which names the file if no path is given.
+ * @returns {Array<{format: string, path: string}>} - The exports; empty if none were asked for.
+ * @throws {Error} - Throws an error if a format is unknown.
+ */
+function buildExports(values, deckName) {
+  const given = (values.export || []).concat(
+    values.apkg ? [`apkg=${values.apkg}`] : []
+  );
+  return given.map((entry) => {
+    const [format, ...path] = entry.split("=");
+    if (!exportFormats.includes(format)) {
+      throw new Error(
+        `Invalid --export: ${format} (expected one of ${exportFormats.join(", ")})`
+      );
+    }
+    return {
+      format,
+      path: path.join("=") || defaultExportPath(format, deckName),
+    };
+  });
+}
+
+/**
+ * Writes the cards exported over the run to each file given with --export (see: exportCards() in
+ * './exporters.js'), recording the numbers written in the summary. Nothing is written if no cards were exported.
+ *
+ * @param {Object} settings - The settings object containing various configurations.
+ * @param {Object} options - The options for the run; see processSourceHeadless().
+ * @param {Object} summary - The run summary.
+ * @param {number} exitCode - The exit code so far.
+ * @returns {Promise<number>} - A promise that resolves to the exit code, with any error writing a file merged in.
+ */
+async function exportAll(settings, options, summary, exitCode) {
+  if (!options.exported.length) {
+    return exitCode;
+  }
+  summary.exports = [];
+  for (const { format, path } of options.exports) {
+    try {
+      const written = await exportCards(
+        format,
+        settings,
+        path,
+        options.deckName,
+        options.exported
+      );
+      summary.exports.push({ format, path, ...written });
+    } catch (error) {
+      summary.errors.push(`Error exporting to ${path}: ${error.message}`);
+      exitCode = mergeExitCodes(exitCode, exitCodes.error);
+    }
+  }
+  return exitCode;
+}
+
+/**
+ * Syncs the outbox (see: syncOutbox() in './outbox.js'), adding what became of each queued card to the summary.
+ *
+ * @param {Object} settings - The settings object containing various configurations.
+ * @param {Object} summary - The run summary.
+ * @returns {Promise<number>} - A promise that resolves to the exit code: exitCodes.anki if AnkiConnect couldn't be
+ *   reached or any card failed, else exitCodes.success.
+ */
+async function runSync(settings, summary) {
+  const { report, remaining, error } = await syncOutbox(settings);
+  summary.synced = report.map(({ card, deckName, status, noteId }) => ({
+    ...card,
+    deck: deckName,
+    status,
+    noteId,
+  }));
+  summary.remaining = remaining;
+  if (error) {
+    summary.errors.push(error);
+    return exitCodes.anki;
+  }
+  const failed = report.filter(({ status }) => status === "failed").length;
+  if (failed) {
+    summary.errors.push(`${failed} card(s) could not be added to Anki`);
+    return exitCodes.anki;
+  }
+  return exitCodes.success;
+}
+
+/**
+ * Clears the cache with --clear-cache (see: clearCache() in './cache.js'), adding the number of entries removed to
+ * the summary, then adds what's left in the cache to it (see: cacheInfo()).
+ *
+ * @param {Object} values - The parsed command line flags.
+ * @param {Object} settings - The settings object containing various configurations.
+ * @param {Object} summary - The run summary.
+ * @throws {Error} - Throws an error if the kind of cache to clear is unknown.
+ */
+function runCacheCommand(values, settings, summary) {
+  if (values["clear-cache"]) {
+    summary.cleared = {
+      kind: values["clear-cache"],
+      entries: clearCache(settings.logDirectory, values["clear-cache"]),
+    };
+  }
+  summary.cache = cacheInfo(settings.logDirectory);
+}
+
+/**
+ * Compares the text each extraction mode picks out of a page (see: comparePage() in './scrape_page.js'), adding
+ * the number of blocks and words each found, and the blocks themselves, to the summary.
+ *
+ * @param {string} url - The URL of the page.
+ * @param {Object} settings - The settings object containing various configurations.
+ * @param {Object} summary - The run summary.
+ * @returns {Promise<number>} - A promise that resolves to the exit code: exitCodes.noText if the page couldn't be
+ *   fetched (with why added to the summary's errors), else exitCodes.success.
+ */
+async function runComparison(url, settings, summary) {
+  let comparison;
+  try {
+    comparison = await comparePage(url, settings);
+  } catch (error) {
+    summary.errors.push(error.message);
+    return exitCodes.noText;
+  }
+  summary.comparison = Object.fromEntries(
+    Object.entries(comparison).map(([mode, { title, text }]) => [
+      mode,
+      {
+        title,
+        blocks: text.length,
+        words: text.join(" ").split(/\s+/).filter(Boolean).length,
+        text,
+      },
+    ])
+  );
+  return exitCodes.success;
+}
+
+/**
+ * Runs a batch: scrapes and generates cards for every pending URL in the batch's queue (see './batch.js'),
+ * updating the queue file after each one so that an interrupted batch can be resumed by running it again.
+ *
+ * A URL that fails (no text scraped, an OpenAI error, an AnkiConnect error) is marked as failed with its error,
+ * and the batch moves on to the next. Reaching the monthly budget stops the batch, leaving the remaining URLs
+ * pending. A URL whose cards were neither added (autoAccept) nor exported is left pending too, so that a dry run
+ * doesn't keep a later run from adding its cards.
+ *
+ * With exports, the cards generated from each URL are kept in its queue item, and once the batch stops,
+ * options.exported is set to the cards of every URL in the queue, so that the export written afterwards (see:
+ * exportAll()) holds the whole batch: an interrupted run loses no cards, and a resumed run doesn't write over the
+ * earlier run's export with only its own.
+ *
+ * @param {Object} values - The parsed command line flags.
+ * @param {Object} settings - The settings object containing various configurations.
+ * @param {Object} options - The options for the run; see processSourceHeadless().
+ * @param {Object} summary - The run summary, to which the result for each URL and the queue counts are added.
+ * @returns {Promise<number>} - A promise that resolves to the exit code; see exitCodes.
+ */
+async function runBatch(values, settings, options, summary) {
+  let exitCode = exitCodes.success;
+  let queue;
+
+  const queuePath = getQueuePath(values.batch, values.queue);
+  try {
+    queue = loadQueue(
+      queuePath,
+      readBatchFile(values.batch),
+      values["retry-failed"]
+    );
+  } catch (error) {
+    summary.errors.push(
+      `Error reading batch ${values.batch}: ${error.message}`
+    );
+    return exitCodes.usage;
+  }
+  summary.queue = queuePath;
+
+  const pending = queue.filter((item) => item.status === "pending");
+  const delivered = options.autoAccept || options.exports.length > 0;
+  for (const [index, item] of pending.entries()) {
+    console.error(`[${index + 1}/${pending.length}] ${item.url}`);
+    const exportedBefore = options.exported.length;
+    const result = await processSourceHeadless(
+      { type: "url", url: item.url },
+      settings,
+      options
+    );
+    summary.sources.push(result);
+
+    if (result.status === "budget") {
+      summary.errors.push("Monthly budget reached; batch stopped");
+      exitCode = exitCodes.budget;
+      break;
+    }
+
+    if (result.status !== "ok") {
+      item.status = "failed";
+    } else if (delivered) {
+      item.status = "done";
+    }
+    item.generated = result.generated;
+    item.added = result.added;
+    item.duplicates = result.duplicates;
+    item.failed = result.failed;
+    item.queued = result.queued;
+    item.exported = result.exported;
+    if (result.exported) {
+      item.exportedCards = options.exported.slice(exportedBefore);
+    } else {
+      delete item.exportedCards;
+    }
+    item.updated = new Date().toISOString();
+    if (result.error) {
+      item.error = result.error;
+      summary.errors.push(`${result.source}: ${result.error}`);
+    } else {
+      delete item.error;
+    }
+    saveQueue(queuePath, queue);
+    exitCode = mergeExitCodes(exitCode, statusExitCodes[result.status]);
+  }
+
+  options.exported = queue.flatMap((item) => item.exportedCards || []);
+  summary.counts = countQueue(queue);
+  return exitCode;
+}
+
+/**
+ * Generates flashcards from a single source and, with autoAccept, adds every one of them to Anki in a single
+ * request; cards Anki rejects as duplicates are counted as duplicates rather than failures (see: addCardsToAnki()
+ * in './anki_helper.js'). With exports, every card is also queued in options.exported, to be written to each
+ * export once the run is over (see: exportAll()).
+ * Nothing here throws; failures are reported through the status and error of the result, so that one
+ * bad source doesn't stop a run over several (see: runBatch()).
+ *
+ * Result statuses:
+ *  - "ok": cards were generated (and added, with autoAccept).
+ *  - "no-text": no text was found in the source, or no cards were generated from it.
+ *  - "budget": the monthly budget has been reached; nothing was sent.
+ *  - "anki": one or more cards couldn't be added to Anki, other than as duplicates.
+ *  - "error": anything else, e.g. an OpenAI error.
+ *
+ * @param {Object} source - The source object; see './sources.js'.
+ * @param {Object} settings - The settings object containing various configurations.
+ * @param {Object} options - The options for the run.
+ * @param {string} options.deckName - The deck to add cards to.
+ * @param {Array<string>} options.tags - The tags to add to every card.
+ * @param {boolean} options.autoAccept - Whether to add the generated cards to Anki.
+ * @param {Array<{format: string, path: string}>} options.exports - The files to export the generated cards to.
+ * @param {Array<{card: Object, tags: Array<string>}>} options.exported - The cards to be exported.
+ * @param {boolean} options.log - Whether to append the cards added (or, without autoAccept, exported) to the CSV log.
+ * @returns {Promise<Object>} - A promise that resolves to the result for the source: its description, status,
+ *   the numbers of cards generated, exported, added, rejected as duplicates, failed and queued in the outbox, the
+ *   cards themselves (each with its status: "generated" or "exported" without autoAccept, else "added", "duplicate",
+ *   "failed" or "queued"), the usage
+ *   estimate, and any error.
+ */
+async function processSourceHeadless(source, settings, options) {
+  const result = {
+    source: describeSource(source),
+    status: "ok",
+    generated: 0,
+    exported: 0,
+    added: 0,
+    duplicates: 0,
+    failed: 0,
+    queued: 0,
+    cards: [],
+  };
+
+  try {
+    const segments = await getSourceSegments(source, settings);
+    if (segments.length === 0) {
+      return { ...result, status: "no-text", error: "No text found" };
+    }
+
+    result.estimate = estimateRequestCost(
+      segments,
+      settings.context,
+      settings.model,
+      settings.maxChunkTokens,
+      settings.provider
+    );
+    if (
+      settings.monthlyBudget > 0 &&
+      getMonthlySpend(settings.logDirectory) >= settings.monthlyBudget
+    ) {
+      return { ...result, status: "budget", error: "Monthly budget reached" };
+    }
+
+    const cards = await generateFlashCardText(
+      segments,
+      settings,
+      describeSource(source)
+    );
+    result.generated = cards.length;
+    if (cards.length === 0) {
+      return { ...result, status: "no-text", error: "No cards generated" };
+    }
+
+    if (options.exports.length) {
+      options.exported.push(
+        ...cards.map((card) => ({ card, tags: options.tags }))
+      );
+      result.exported = cards.length;
+    }
+    if (!options.autoAccept) {
+      result.cards = cards.map((card) => ({
+        ...card,
+        status: options.exports.length ? "exported" : "generated",
+      }));
+      if (options.log && options.exports.length) {
+        writeLogs(settings.logDirectory, cards);
+      }
+      return result;
+    }
+
+    const flagged = await flagDuplicates(settings, options.deckName, cards);
+    const report = await addCardsToAnki(
+      settings,
+      options.deckName,
+      flagged.map((card) => ({ card, tags: options.tags }))
+    );
+    let cardsAdded = [];
+    for (const { card, status } of report) {
+      const reported = withoutFlags(card);
+      if (status === "added") {
+        result.added += 1;
+        cardsAdded.push(reported);
+      } else if (status === "duplicate") {
+        result.duplicates += 1;
+      } else if (status === "queued") {
+        result.queued += 1;
+      } else {
+        result.failed += 1;
+      }
+      result.cards.push(
+        card.closest
+          ? { ...reported, status, closest: card.closest }
+          : { ...reported, status }
+      );
+    }
+
+    if (options.log && cardsAdded.length) {
+      writeLogs(settings.logDirectory, cardsAdded);
+    }
+    if (result.failed) {
+      result.status = "anki";
+      result.error = `${result.failed} card(s) could not be added to Anki`;
+    }
+  } catch (error) {
+    result.status = "error";
+    result.error = error.message;
+  }
+  return result;
+}
+
+/**
+ * Combines the exit code so far with that of another source; the more serious of the two wins. A usage error or a
+ * budget stop outranks the rest, so that a later failure (e.g. writing an export) doesn't hide why the run stopped.
+ *
+ * @param {number} current - The exit code so far.
+ * @param {number} next - The exit code of the next source.
+ * @returns {number} - The combined exit code.
+ */
+function mergeExitCodes(current, next) {
+  const severity = [
+    exitCodes.success,
+    exitCodes.noText,
+    exitCodes.anki,
+    exitCodes.error,
+    exitCodes.budget,
+    exitCodes.usage,
+  ];
+  return severity.indexOf(next) > severity.indexOf(current) ? next : current;
+}
+
+export { isHeadless, runCli, exitCodes };
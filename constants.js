@@ -1,3 +1,4 @@
 import dotenv from "dotenv";
 dotenv.config();
 export const apiKey = process.env.OPENAI_API_KEY || "";
+export const compatibleApiKey = process.env.OPENAI_COMPATIBLE_API_KEY || "";
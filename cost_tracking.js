@@ -0,0 +1,250 @@
+import { existsSync, readFileSync, writeFileSync } from "fs";
+import { join } from "path";
+import { chunkSegments, countTokens, reservedOutputTokens } from "./tokens.js";
+import { log, logTable } from "./logger.js";
+
+/**
+ * Cost estimation and spend tracking for OpenAI requests.
+ *
+ * Prices are in USD per 1M tokens, as listed at https://openai.com/api/pricing at time of writing;
+ * check there if the numbers look off. Matched by prefix against the model ID, so more specific
+ * prefixes must come first. Models not listed here are estimated as having an unknown cost.
+ * The prices only apply to the hosted OpenAI API: a model of the same name served by an openai-compatible server
+ * (e.g. through Ollama or a gateway) has an unknown cost, and the mock provider's cost nothing.
+ *
+ * The ledger is a JSON file of one entry per completed request, stored in the log directory,
+ * recording the real token usage reported by the API.
+ */
+const modelPricing = [
+  { prefix: "gpt-4.1-nano", input: 0.1, output: 0.4 },
+  { prefix: "gpt-4.1-mini", input: 0.4, output: 1.6 },
+  { prefix: "gpt-4.1", input: 2, output: 8 },
+  { prefix: "gpt-4o-mini", input: 0.15, output: 0.6 },
+  { prefix: "gpt-4o", input: 2.5, output: 10 },
+  { prefix: "gpt-4-turbo", input: 10, output: 30 },
+  { prefix: "gpt-4-32k", input: 60, output: 120 },
+  { prefix: "gpt-4", input: 30, output: 60 },
+  { prefix: "gpt-3.5-turbo", input: 0.5, output: 1.5 },
+  { prefix: "o1-mini", input: 1.1, output: 4.4 },
+  { prefix: "o1-preview", input: 15, output: 60 },
+  { prefix: "o1", input: 15, output: 60 },
+  { prefix: "text-embedding-3-small", input: 0.02, output: 0 },
+  { prefix: "text-embedding-3-large", input: 0.13, output: 0 },
+  { prefix: "text-embedding-ada-002", input: 0.1, output: 0 },
+];
+
+// Rough ratio of response tokens to page text tokens, based on typical runs of the default context.
+const expectedOutputRatio = 0.4;
+
+const ledgerFile = "spend_ledger.json";
+
+/**
+ * Calculates the cost of a request from its token counts.
+ *
+ * @param {string} model - The model ID.
+ * @param {number} inputTokens - The number of prompt tokens.
+ * @param {number} outputTokens - The number of completion tokens.
+ * @param {string} [provider="openai"] - The provider the request goes to (see: './providers.js').
+ * @returns {number|null} - The cost in USD, or null if the model's pricing is unknown.
+ */
+function calculateCost(model, inputTokens, outputTokens, provider = "openai") {
+  if (provider === "mock") {
+    return 0;
+  }
+  if (provider !== "openai") {
+    return null;
+  }
+  const pricing = modelPricing.find((price) => model.startsWith(price.prefix));
+  if (!pricing) {
+    return null;
+  }
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1e6;
+}
+
+/**
+ * Estimates the tokens and cost of generating flashcards from the given segments of text, chunked the
+ * same way generateFlashCardText() in './generate_flashcard_text.js' will chunk them.
+ * Input tokens are counted exactly (system message included for each chunk); output tokens are
+ * a guess based on expectedOutputRatio.
+ *
+ * @param {Array<{location: string|null, text: string[]}>} segments - The segments of text extracted from the source.
+ * @param {string} context - The system message sent with each request.
+ * @param {string} model - The model ID.
+ * @param {number} [maxChunkTokens] - Optional upper bound on tokens per chunk.
+ * @param {string} [provider="openai"] - The provider the requests go to; see calculateCost().
+ * @returns {{requests: number, inputTokens: number, outputTokens: number, cost: number|null}}
+ *   - The estimated number of requests, input tokens, output tokens and cost in USD.
+ */
+function estimateRequestCost(
+  segments,
+  context,
+  model,
+  maxChunkTokens,
+  provider = "openai"
+) {
+  const chunks = chunkSegments(segments, context, model, maxChunkTokens);
+  const contextTokens = countTokens(context, model);
+  let inputTokens = 0;
+  let outputTokens = 0;
+
+  for (const chunk of chunks) {
+    const chunkTokens = countTokens(chunk.text, model);
+    inputTokens += contextTokens + chunkTokens;
+    outputTokens += Math.min(
+      Math.ceil(chunkTokens * expectedOutputRatio),
+      reservedOutputTokens
+    );
+  }
+
+  return {
+    requests: chunks.length,
+    inputTokens,
+    outputTokens,
+    cost: calculateCost(model, inputTokens, outputTokens, provider),
+  };
+}
+
+/**
+ * Loads the spend ledger from the given directory.
+ *
+ * @param {string} directory - The directory containing the ledger file.
+ * @returns {Array<Object>} - The ledger entries, or an empty array if there is no ledger yet.
+ */
+function loadLedger(directory) {
+  const filepath = join(directory, ledgerFile);
+  if (!existsSync(filepath)) {
+    return [];
+  }
+  try {
+    return JSON.parse(readFileSync(filepath, "utf8"));
+  } catch (error) {
+    console.error(`Error reading ${filepath}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Records the token usage reported in a chat completion response to the spend ledger.
+ *
+ * @param {string} directory - The directory containing the ledger file.
+ * @param {string} model - The model used for the request.
+ * @param {string} source - Where the text came from (e.g. the URL scraped).
+ * @param {Object} usage - The usage object from the completion response.
+ * @param {number} usage.prompt_tokens - The number of prompt tokens used.
+ * @param {number} usage.completion_tokens - The number of completion tokens used.
+ * @param {string} [provider="openai"] - The provider the request went to; see calculateCost().
+ */
+function recordUsage(directory, model, source, usage, provider = "openai") {
+  if (!usage) {
+    return;
+  }
+  const filepath = join(directory, ledgerFile);
+  const ledger = loadLedger(directory);
+
+  ledger.push({
+    date: new Date().toISOString(),
+    model,
+    source,
+    promptTokens: usage.prompt_tokens,
+    completionTokens: usage.completion_tokens,
+    cost: calculateCost(
+      model,
+      usage.prompt_tokens,
+      usage.completion_tokens,
+      provider
+    ),
+  });
+
+  try {
+    writeFileSync(filepath, JSON.stringify(ledger, null, 2));
+  } catch (error) {
+    console.error(`Error writing spend ledger to ${filepath}:`, error);
+  }
+}
+
+/**
+ * Totals the spend recorded in the ledger for the calendar month of the given date.
+ * Entries with an unknown cost are counted as zero.
+ *
+ * @param {string} directory - The directory containing the ledger file.
+ * @param {Date} [date=new Date()] - A date within the month to total.
+ * @returns {number} - The total spend in USD.
+ */
+function getMonthlySpend(directory, date = new Date()) {
+  const month = date.toISOString().slice(0, 7);
+  return loadLedger(directory)
+    .filter((entry) => entry.date.startsWith(month))
+    .reduce((total, entry) => total + (entry.cost || 0), 0);
+}
+
+/**
+ * Breaks the ledger down into spend and token totals by day, by model, and by source.
+ *
+ * @param {string} directory - The directory containing the ledger file.
+ * @returns {{byDay: Object, byModel: Object, bySource: Object}} - Totals keyed by day, model and source;
+ *   each total has requests, promptTokens, completionTokens and cost properties.
+ */
+function summariseLedger(directory) {
+  const summary = { byDay: {}, byModel: {}, bySource: {} };
+
+  const addTo = (group, key, entry) => {
+    group[key] = group[key] || {
+      requests: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      cost: 0,
+    };
+    group[key].requests += 1;
+    group[key].promptTokens += entry.promptTokens;
+    group[key].completionTokens += entry.completionTokens;
+    group[key].cost += entry.cost || 0;
+  };
+
+  for (const entry of loadLedger(directory)) {
+    addTo(summary.byDay, entry.date.split("T")[0], entry);
+    addTo(summary.byModel, entry.model, entry);
+    addTo(summary.bySource, entry.source, entry);
+  }
+  return summary;
+}
+
+/**
+ * Prints the ledger breakdown from summariseLedger() as tables, by day, model and source.
+ *
+ * @param {string} directory - The directory containing the ledger file.
+ */
+function printSpendSummary(directory) {
+  const summary = summariseLedger(directory);
+  if (!Object.keys(summary.byDay).length) {
+    log("No spend recorded yet.");
+    return;
+  }
+  log("\nSpend by day:");
+  logTable(summary.byDay);
+  log("Spend by model:");
+  logTable(summary.byModel);
+  log("Spend by source:");
+  logTable(summary.bySource);
+}
+
+/**
+ * Formats a cost in USD for display.
+ *
+ * @param {number|null} cost - The cost in USD, or null if unknown.
+ * @returns {string} - The formatted cost.
+ */
+function formatCost(cost) {
+  return cost === null
+    ? "unknown (no pricing for the model with this provider)"
+    : `$${cost.toFixed(4)}`;
+}
+
+export {
+  calculateCost,
+  estimateRequestCost,
+  recordUsage,
+  getMonthlySpend,
+  summariseLedger,
+  printSpendSummary,
+  formatCost,
+};
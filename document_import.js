@@ -0,0 +1,238 @@
+import { readFileSync } from "fs";
+import { extname, posix } from "path";
+import { JSDOM } from "jsdom";
+import JSZip from "jszip";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { extractText } from "./scrape_page.js";
+import { parseRange } from "./file_import.js";
+import { splitParagraphs } from "./utils.js";
+
+/**
+ * PDF and EPUB import.
+ *
+ * Documents are read into segments, one per PDF page or EPUB chapter, so that each generated card
+ * can record where in the document it came from. Each segment has:
+ *  - location: a label for the page or chapter (e.g. 'p. 21', 'Chapter 3: Cells').
+ *  - text: an array of text blocks, as produced by scrapePage() in './scrape_page.js'.
+ */
+
+const documentExtensions = [".pdf", ".epub"];
+
+/**
+ * Checks whether a file is a PDF or EPUB document.
+ *
+ * @param {string} filepath - The path of the file.
+ * @returns {boolean} - True if the file is a supported document.
+ */
+function isDocumentFile(filepath) {
+  return documentExtensions.includes(extname(filepath).toLowerCase());
+}
+
+/**
+ * Loads a PDF with pdf.js. Font and warning output is suppressed, as only the text is needed.
+ *
+ * @param {string} filepath - The path of the PDF.
+ * @returns {Promise<PDFDocumentProxy>} - A promise that resolves to the loaded PDF.
+ */
+async function loadPdf(filepath) {
+  const data = new Uint8Array(readFileSync(filepath));
+  return getDocument({ data, useSystemFonts: true, verbosity: 0 }).promise;
+}
+
+/**
+ * Counts the pages in a PDF.
+ *
+ * @param {string} filepath - The path of the PDF.
+ * @returns {Promise<number>} - A promise that resolves to the number of pages.
+ */
+async function getPdfPageCount(filepath) {
+  const pdf = await loadPdf(filepath);
+  const count = pdf.numPages;
+  await pdf.destroy();
+  return count;
+}
+
+/**
+ * Reads a range of pages from a PDF, one segment per page. Pages with no extractable text
+ * (e.g. scanned images) are skipped.
+ *
+ * @param {string} filepath - The path of the PDF.
+ * @param {string} pageRange - The pages to read (e.g. '20-25'), or an empty string for all pages.
+ * @returns {Promise<Array<{location: string, text: string[]}>>} - A promise that resolves to a segment per page.
+ * @throws {Error} - Throws an error if the range goes past the last page.
+ */
+async function readPdf(filepath, pageRange) {
+  const pdf = await loadPdf(filepath);
+  const range = parseRange(pageRange) || { start: 1, end: pdf.numPages };
+  if (
+    range.start > pdf.numPages ||
+    (range.end !== Infinity && range.end > pdf.numPages)
+  ) {
+    const pageCount = pdf.numPages;
+    await pdf.destroy();
+    throw new Error(
+      `Pages ${pageRange} go past the end of the document (${pageCount} pages)`
+    );
+  }
+  const end = Math.min(range.end, pdf.numPages);
+  let segments = [];
+
+  for (let pageNumber = range.start; pageNumber <= end; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+    const content = await page.getTextContent();
+    const pageText = content.items
+      .map((item) => item.str + (item.hasEOL ? "\n" : ""))
+      .join("");
+    const text = splitParagraphs(pageText);
+    if (text.length) {
+      segments.push({ location: `p. ${pageNumber}`, text });
+    }
+  }
+
+  await pdf.destroy();
+  return segments;
+}
+
+/**
+ * Parses an XML document (EPUB container and package files).
+ *
+ * @param {string} xml - The XML string.
+ * @returns {Document} - The parsed document.
+ */
+function parseXml(xml) {
+  return new JSDOM(xml, { contentType: "application/xml" }).window.document;
+}
+
+/**
+ * Loads the chapters of an EPUB, in reading order, from its package (.opf) file.
+ * Each content document in the spine counts as a chapter; its title is taken from its first
+ * heading, falling back to its <title>, and then to its position in the book.
+ *
+ * @param {string} filepath - The path of the EPUB.
+ * @returns {Promise<Array<{title: string, html: string}>>} - A promise that resolves to the chapters.
+ * @throws {Error} - Throws an error if the EPUB isn't a zip file, or has no container or package file.
+ */
+async function loadEpubChapters(filepath) {
+  const zip = await JSZip.loadAsync(readFileSync(filepath));
+  const containerFile = zip.file("META-INF/container.xml");
+  if (!containerFile) {
+    throw new Error(`No META-INF/container.xml found in ${filepath}`);
+  }
+  const container = parseXml(await containerFile.async("string"));
+  const rootfile = container.querySelector("rootfile");
+  const packagePath = rootfile && rootfile.getAttribute("full-path");
+  const packageFile = packagePath && zip.file(packagePath);
+  if (!packageFile) {
+    throw new Error(`No package file found in ${filepath}`);
+  }
+
+  const packageDir = posix.dirname(packagePath);
+  const opf = parseXml(await packageFile.async("string"));
+  const manifest = {};
+  opf.querySelectorAll("manifest > item").forEach((item) => {
+    manifest[item.getAttribute("id")] = item.getAttribute("href");
+  });
+
+  let chapters = [];
+  for (const itemref of opf.querySelectorAll("spine > itemref")) {
+    const href = manifest[itemref.getAttribute("idref")];
+    const file = href && zip.file(posix.join(packageDir, decodeURI(href)));
+    if (!file) {
+      continue;
+    }
+    const html = await file.async("string");
+    const document = new JSDOM(html).window.document;
+    const heading = document.querySelector("h1, h2, h3");
+    const title =
+      (heading && heading.textContent) ||
+      document.title ||
+      `Section ${chapters.length + 1}`;
+    chapters.push({ title: title.replace(/\s+/g, " ").trim(), html });
+  }
+  return chapters;
+}
+
+/**
+ * Lists the chapters of an EPUB, for the user to choose from.
+ *
+ * @param {string} filepath - The path of the EPUB.
+ * @returns {Promise<Array<{index: number, title: string}>>} - A promise that resolves to the chapter numbers (from 1) and titles.
+ */
+async function listEpubChapters(filepath) {
+  const chapters = await loadEpubChapters(filepath);
+  return chapters.map((chapter, i) => ({ index: i + 1, title: chapter.title }));
+}
+
+/**
+ * Reads the chosen chapters from an EPUB, one segment per chapter. Chapter HTML is filtered with the
+ * same include/exclude settings and extraction mode scrapePage() uses. Chapters with no text (e.g. cover images) are skipped.
+ *
+ * @param {string} filepath - The path of the EPUB.
+ * @param {Array<number>} chapterNumbers - The chapters to read (numbered from 1), or an empty array for all chapters.
+ * @param {Object} settings - The settings object; see readDocument().
+ * @returns {Promise<Array<{location: string, text: string[]}>>} - A promise that resolves to a segment per chapter.
+ * @throws {Error} - Throws an error if a chapter chosen is past the last one.
+ */
+async function readEpub(filepath, chapterNumbers, settings) {
+  const chapters = await loadEpubChapters(filepath);
+  const missing = chapterNumbers.filter((number) => number > chapters.length);
+  if (missing.length) {
+    throw new Error(
+      `Chapter(s) ${missing.join(", ")} go past the end of the document (${chapters.length} chapters)`
+    );
+  }
+  let segments = [];
+
+  chapters.forEach((chapter, i) => {
+    if (chapterNumbers.length && !chapterNumbers.includes(i + 1)) {
+      return;
+    }
+    const text = extractText(
+      chapter.html,
+      settings.excludeElements,
+      settings.excludeIDs,
+      settings.excludeClasses,
+      settings.includeElements,
+      settings.extractionMode
+    );
+    if (text.length) {
+      segments.push({ location: `Chapter ${i + 1}: ${chapter.title}`, text });
+    }
+  });
+  return segments;
+}
+
+/**
+ * Reads a PDF or EPUB document into segments, one per page or chapter.
+ *
+ * @param {Object} source - The document source; see './sources.js'.
+ * @param {string} source.path - The path of the document.
+ * @param {string} [source.pages] - The PDF pages to read (e.g. '20-25'), or an empty string for all pages.
+ * @param {Array<number>} [source.chapters] - The EPUB chapters to read, or an empty array for all chapters.
+ * @param {Object} settings - The settings object containing various configurations.
+ * @param {Array<string>} settings.excludeElements - List of elements to exclude from EPUB chapters.
+ * @param {Array<string>} settings.excludeIDs - List of element IDs to exclude from EPUB chapters.
+ * @param {Array<string>} settings.excludeClasses - List of element clasess to exclude from EPUB chapters.
+ * @param {Array<string>} settings.includeElements - List of elements to include from EPUB chapters.
+ * @param {string} settings.extractionMode - How the text of EPUB chapters is picked out ("selectors" or "auto").
+ * @returns {Promise<Array<{location: string, text: string[]}>>} - A promise that resolves to the document's segments.
+ */
+async function readDocument(source, settings) {
+  try {
+    if (extname(source.path).toLowerCase() === ".pdf") {
+      return await readPdf(source.path, source.pages);
+    }
+    return await readEpub(source.path, source.chapters || [], settings);
+  } catch (error) {
+    console.error(`Error reading ${source.path}: ${error}`);
+    return [];
+  }
+}
+
+export {
+  documentExtensions,
+  isDocumentFile,
+  getPdfPageCount,
+  listEpubChapters,
+  readDocument,
+};
@@ -0,0 +1,350 @@
+import { createHash } from "crypto";
+import { writeFileSync } from "fs";
+import JSZip from "jszip";
+import { buildNote, defaultFieldMapping } from "./anki_helper.js";
+import { writeApkg } from "./apkg_export.js";
+
+/**
+ * Exporters.
+ *
+ * Besides adding cards to Anki through AnkiConnect, the cards accepted in a run can be written to a file in any of
+ * the formats below, for importing into Anki later or into other spaced repetition tools. Each exporter has:
+ *  - description: what the format is, for prompts and help.
+ *  - extension: the file extension used for the default output path (see: defaultExportPath()).
+ *  - render(settings, deckName, accepted): returns the file's text; or, for binary formats,
+ *  - write(settings, path, deckName, accepted): writes the file itself, resolving to the numbers written.
+ *
+ * Formats:
+ *  - "apkg": an Anki package; see './apkg_export.js'.
+ *  - "tsv": Anki's text import format: tab-separated fields, with '#' header lines giving the note type, deck
+ *    and tags, so that File > Import needs no further choices. Fields are filled per fieldMapping, as for AnkiConnect.
+ *  - "json": every card, with its tags, deck and provenance.
+ *  - "markdown": a study sheet, grouped by the source and section each card came from.
+ *  - "quizlet": Quizlet's import format, a term and definition per line separated by a tab. Quizlet has no tags,
+ *    decks or extra text, so only the front and back are exported; cloze cards are exported as the text with
+ *    blanks, and the words blanked out.
+ *  - "mochi": a Mochi import file (.mochi): a zip holding data.json, with a deck and its cards, each card's sides
+ *    separated by '---'.
+ *
+ * Every exporter takes the accepted cards as [{ card, tags, deckName? }], as addCardsToAnki() in './anki_helper.js'.
+ */
+
+// Matches a cloze deletion: its number, the text deleted, and any hint.
+const clozePattern = /\{\{c(\d+)::(.*?)(?:::(.*?))?\}\}/g;
+
+const exporters = {
+  apkg: {
+    description: "Anki package (.apkg), to import with File > Import",
+    extension: ".apkg",
+    write: writeApkg,
+  },
+  tsv: {
+    description: "Anki text import (tab-separated, with deck and tags)",
+    extension: ".txt",
+    render: renderTsv,
+  },
+  json: {
+    description: "JSON, with each card's tags, deck and source",
+    extension: ".json",
+    render: renderJson,
+  },
+  markdown: {
+    description: "Markdown study sheet, grouped by section",
+    extension: ".md",
+    render: renderMarkdown,
+  },
+  quizlet: {
+    description: "Quizlet import (term and definition, tab-separated)",
+    extension: ".quizlet.txt",
+    render: renderQuizlet,
+  },
+  mochi: {
+    description: "Mochi import (.mochi)",
+    extension: ".mochi",
+    write: writeMochi,
+  },
+};
+
+const exportFormats = Object.keys(exporters);
+
+/**
+ * Works out where to write an export when no path is given: a file named after the deck, in the current directory.
+ *
+ * @param {string} format - The export format; one of exportFormats.
+ * @param {string} deckName - The name of the deck.
+ * @returns {string} - The path (e.g. 'Biology_Cells.md' for a Markdown export of the 'Biology::Cells' deck).
+ */
+function defaultExportPath(format, deckName) {
+  const name = deckName.replace(/::|[\\/:*?"<>|\s]+/g, "_") || "flashcards";
+  return `${name}${exporters[format].extension}`;
+}
+
+/**
+ * Writes the accepted cards to a file in the given format.
+ *
+ * @param {string} format - The export format; one of exportFormats.
+ * @param {Object} settings - The settings object; see buildNote() in './anki_helper.js'.
+ * @param {string} path - The path of the file to write; overwritten if it exists.
+ * @param {string} deckName - The deck the cards go in, unless one is given for a card.
+ * @param {Array<{card: Object, tags: Array<string>, deckName?: string}>} accepted - The cards to export.
+ * @returns {Promise<{notes: number, cards?: number}>} - A promise that resolves to the number of notes written
+ *   (and, for Anki packages, the number of cards they make).
+ * @throws {Error} - Throws an error if the format is unknown, or the file can't be written.
+ */
+async function exportCards(format, settings, path, deckName, accepted) {
+  const exporter = exporters[format];
+  if (!exporter) {
+    throw new Error(
+      `Unknown export format: ${format} (expected one of ${exportFormats.join(", ")})`
+    );
+  }
+  if (exporter.write) {
+    return exporter.write(settings, path, deckName, accepted);
+  }
+  writeFileSync(path, exporter.render(settings, deckName, accepted));
+  return { notes: accepted.length };
+}
+
+/**
+ * Builds the note for each accepted card, as it would be added to Anki (see: buildNote() in './anki_helper.js'),
+ * except that images refer to their URLs, as they aren't stored in Anki's media folder.
+ *
+ * @param {Object} settings - The settings object.
+ * @param {string} deckName - The deck the cards go in, unless one is given for a card.
+ * @param {Array<{card: Object, tags: Array<string>, deckName?: string}>} accepted - The cards.
+ * @returns {Array<Object>} - The notes, each with its card.
+ */
+function buildNotes(settings, deckName, accepted) {
+  return accepted.map(({ card, tags, deckName: cardDeck }) => ({
+    ...buildNote(settings, cardDeck || deckName, card, tags, false),
+    card,
+  }));
+}
+
+/**
+ * Renders Anki's text import format. Tags shared by every card go in the '#tags:' header, and any others in a
+ * Tags column; likewise, the deck goes in the '#deck:' header, or a Deck column if the cards go to several.
+ * Line breaks in fields are written as <br>, and fields containing quotes or tabs, or starting with '#', are quoted.
+ *
+ * @param {Object} settings - The settings object; see buildNote() in './anki_helper.js'.
+ * @param {string} deckName - The deck the cards go in, unless one is given for a card.
+ * @param {Array<{card: Object, tags: Array<string>, deckName?: string}>} accepted - The cards.
+ * @returns {string} - The file's text.
+ */
+function renderTsv(settings, deckName, accepted) {
+  const notes = buildNotes(settings, deckName, accepted);
+  const fields = Object.keys(settings.fieldMapping || defaultFieldMapping);
+  const decks = [...new Set(notes.map((note) => note.deckName))];
+  const sharedTags = notes.length
+    ? notes[0].tags.filter((tag) => notes.every((n) => n.tags.includes(tag)))
+    : [];
+  const otherTags = (note) =>
+    note.tags.filter((tag) => !sharedTags.includes(tag));
+  const tagsColumn = notes.some((note) => otherTags(note).length);
+
+  let columns = [...fields];
+  let header = [
+    "#separator:tab",
+    "#html:true",
+    `#notetype:${notes.length ? notes[0].modelName : settings.noteType}`,
+  ];
+  if (decks.length > 1) {
+    columns.push("Deck");
+    header.push(`#deck column:${columns.length}`);
+  } else {
+    header.push(`#deck:${decks[0] || deckName}`);
+  }
+  if (sharedTags.length) {
+    header.push(`#tags:${sharedTags.join(" ")}`);
+  }
+  if (tagsColumn) {
+    columns.push("Tags");
+    header.push(`#tags column:${columns.length}`);
+  }
+  header.push(`#columns:${columns.join("\t")}`);
+
+  const escape = (value) => {
+    const text = (value || "").replace(/\r?\n/g, "<br>");
+    return /["\t]|^#/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = notes.map((note) => {
+    let values = fields.map((field) => note.fields[field]);
+    if (decks.length > 1) {
+      values.push(note.deckName);
+    }
+    if (tagsColumn) {
+      values.push(otherTags(note).join(" "));
+    }
+    return values.map(escape).join("\t");
+  });
+
+  return header.concat(rows).join("\n") + "\n";
+}
+
+/**
+ * Renders every card as JSON: its front, back and extra, its tags and deck, and where it came from.
+ *
+ * @param {Object} settings - The settings object; see buildNote() in './anki_helper.js'.
+ * @param {string} deckName - The deck the cards go in, unless one is given for a card.
+ * @param {Array<{card: Object, tags: Array<string>, deckName?: string}>} accepted - The cards.
+ * @returns {string} - The file's text.
+ */
+function renderJson(settings, deckName, accepted) {
+  const cards = buildNotes(settings, deckName, accepted).map((note) => ({
+    front: note.card.front,
+    back: note.card.back,
+    extra: note.card.extra || "",
+    tags: note.tags,
+    deck: note.deckName,
+    source: note.card.source || "",
+    title: note.card.title || "",
+    heading: note.card.heading || "",
+    location: note.card.location || "",
+  }));
+  return (
+    JSON.stringify(
+      {
+        exported: new Date().toISOString(),
+        cardMode: settings.cardMode || "basic",
+        cards,
+      },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+/**
+ * Renders a Markdown study sheet: a heading per source (its title, or else the source itself), a subheading per
+ * section and page/chapter within it, and each card as a list item, with the question in bold and the answer
+ * beneath. Cloze cards are shown as their text, with the deleted words in bold. Sources and sections keep the
+ * order the cards came in.
+ *
+ * @param {Object} settings - The settings object.
+ * @param {string} deckName - The name of the deck, used as the sheet's title.
+ * @param {Array<{card: Object}>} accepted - The cards.
+ * @returns {string} - The file's text.
+ */
+function renderMarkdown(settings, deckName, accepted) {
+  let sources = new Map();
+  for (const { card } of accepted) {
+    const source = card.title || card.source || "Cards";
+    const section = [card.heading, card.location].filter(Boolean).join(", ");
+    if (!sources.has(source)) {
+      sources.set(source, new Map());
+    }
+    const sections = sources.get(source);
+    if (!sections.has(section)) {
+      sections.set(section, []);
+    }
+    sections.get(section).push(card);
+  }
+
+  const indent = (text) => (text || "").trim().replace(/\n/g, "\n  ");
+  let lines = [`# ${deckName}`, ""];
+  for (const [source, sections] of sources) {
+    lines.push(`## ${source}`, "");
+    for (const [section, cards] of sections) {
+      if (section) {
+        lines.push(`### ${section}`, "");
+      }
+      for (const card of cards) {
+        if (card.back) {
+          lines.push(`- **${indent(card.front)}**`, `  ${indent(card.back)}`);
+        } else {
+          lines.push(`- ${indent(card.front.replace(clozePattern, "**$2**"))}`);
+        }
+        if (card.extra) {
+          lines.push(`  *${indent(card.extra)}*`);
+        }
+        lines.push("");
+      }
+    }
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Renders Quizlet's import format: a term and definition per line, separated by a tab. Line breaks and tabs within
+ * a card are replaced with spaces, as Quizlet would read them as the start of the next term or card.
+ *
+ * @param {Object} settings - The settings object.
+ * @param {string} deckName - The name of the deck; unused, as Quizlet sets are named on import.
+ * @param {Array<{card: Object}>} accepted - The cards.
+ * @returns {string} - The file's text.
+ */
+function renderQuizlet(settings, deckName, accepted) {
+  const flatten = (text) => (text || "").replace(/\s+/g, " ").trim();
+  return (
+    accepted
+      .map(({ card }) => {
+        if (card.back) {
+          return `${flatten(card.front)}\t${flatten(card.back)}`;
+        }
+        const term = card.front.replace(clozePattern, (match, n, text, hint) =>
+          hint ? `_____ (${hint})` : "_____"
+        );
+        const definition = [...card.front.matchAll(clozePattern)]
+          .map((match) => match[2])
+          .join("; ");
+        return `${flatten(term)}\t${flatten(definition)}`;
+      })
+      .join("\n") + "\n"
+  );
+}
+
+/**
+ * Writes a Mochi import file: a zip holding data.json, with a deck per deck name and their cards. Each card's
+ * content is its front and back (and any extra, as a third side), separated by '---' lines, with its tags as
+ * Mochi tags. Cloze deletions are rewritten into Mochi's syntax (e.g. {{c1::ATP}} becomes {{1::ATP}}).
+ *
+ * @param {Object} settings - The settings object; see buildNote() in './anki_helper.js'.
+ * @param {string} path - The path of the file to write.
+ * @param {string} deckName - The deck the cards go in, unless one is given for a card.
+ * @param {Array<{card: Object, tags: Array<string>, deckName?: string}>} accepted - The cards.
+ * @returns {Promise<{notes: number}>} - A promise that resolves to the number of cards written.
+ */
+async function writeMochi(settings, path, deckName, accepted) {
+  const mochiId = (text) =>
+    createHash("sha1").update(text).digest("hex").slice(0, 8);
+  let decks = new Map();
+
+  buildNotes(settings, deckName, accepted).forEach((note, i) => {
+    if (!decks.has(note.deckName)) {
+      decks.set(note.deckName, {
+        id: mochiId(`deck ${note.deckName}`),
+        name: note.deckName,
+        cards: [],
+      });
+    }
+    const deck = decks.get(note.deckName);
+    const sides = [
+      note.card.front.replace(
+        clozePattern,
+        (match, n, text) => `{{${n}::${text}}}`
+      ),
+      note.card.back,
+      note.card.extra,
+    ].filter(Boolean);
+    deck.cards.push({
+      id: mochiId(`card ${i} ${note.card.front}`),
+      "deck-id": deck.id,
+      content: sides.join("\n---\n"),
+      "manual-tags": note.tags,
+      pos: String(i).padStart(6, "0"),
+    });
+  });
+
+  const zip = new JSZip();
+  zip.file(
+    "data.json",
+    JSON.stringify({ version: 2, decks: [...decks.values()] }, null, 2)
+  );
+  writeFileSync(
+    path,
+    await zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" })
+  );
+  return { notes: accepted.length };
+}
+
+export { exporters, exportFormats, defaultExportPath, exportCards };
@@ -0,0 +1,171 @@
+import { readFileSync, readdirSync, statSync } from "fs";
+import { extname, join } from "path";
+import { extractText } from "./scrape_page.js";
+import { splitParagraphs } from "./utils.js";
+
+/**
+ * Local file import.
+ *
+ * Plain text, Markdown and saved HTML files can be used as sources in place of a URL, either one
+ * at a time or as a whole directory of them. Each file is read into the same array of text blocks
+ * that scrapePage() in './scrape_page.js' produces.
+ */
+
+const textExtensions = [".txt"];
+const markdownExtensions = [".md", ".markdown"];
+const htmlExtensions = [".html", ".htm"];
+const supportedExtensions = textExtensions.concat(
+  markdownExtensions,
+  htmlExtensions
+);
+
+/**
+ * Checks whether a file has an extension that can be imported.
+ *
+ * @param {string} filepath - The path of the file.
+ * @returns {boolean} - True if the file can be imported.
+ */
+function isSupportedFile(filepath) {
+  return supportedExtensions.includes(extname(filepath).toLowerCase());
+}
+
+/**
+ * Checks whether a line range can be applied to a file; line ranges only make sense for
+ * text and Markdown, as slicing HTML by line would break up its markup.
+ *
+ * @param {string} filepath - The path of the file.
+ * @returns {boolean} - True if a line range can be applied.
+ */
+function supportsLineRange(filepath) {
+  const extension = extname(filepath).toLowerCase();
+  return (
+    textExtensions.includes(extension) || markdownExtensions.includes(extension)
+  );
+}
+
+/**
+ * Lists the files to import from a path. A file path is returned as-is; a directory is searched
+ * recursively for supported files, which are returned in sorted order.
+ *
+ * @param {string} sourcePath - The path of a file or directory.
+ * @returns {string[]} - The paths of the files to import.
+ */
+function listSourceFiles(sourcePath) {
+  if (!statSync(sourcePath).isDirectory()) {
+    return [sourcePath];
+  }
+
+  let files = [];
+  const entries = readdirSync(sourcePath, { withFileTypes: true }).sort(
+    (a, b) => a.name.localeCompare(b.name)
+  );
+  for (const entry of entries) {
+    const entryPath = join(sourcePath, entry.name);
+    if (entry.isDirectory()) {
+      files = files.concat(listSourceFiles(entryPath));
+    } else if (isSupportedFile(entry.name)) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Parses a range of lines or pages such as '100-1000' (inclusive, numbered from 1). An open-ended
+ * range such as '100-' runs to the end of the file, and a single number such as '20' is a range of one.
+ * The range should already have been checked by validateRange() in './input_validation.js'.
+ *
+ * @param {string} range - The range, or an empty string for the whole file.
+ * @returns {{start: number, end: number}|null} - The start and end lines/pages, or null for the whole file.
+ */
+function parseRange(range) {
+  if (!range || !range.trim()) {
+    return null;
+  }
+  const [start, end] = range.split("-").map((part) => part.trim());
+  if (end === undefined) {
+    return { start: Number(start), end: Number(start) };
+  }
+  return { start: Number(start), end: end ? Number(end) : Infinity };
+}
+
+/**
+ * Splits Markdown into blocks on its headings. Each heading becomes a block of its own, followed
+ * by the paragraphs of its section, so that chunking can keep sections together.
+ *
+ * @param {string} text - The Markdown text.
+ * @returns {string[]} - The headings and paragraphs, in order.
+ */
+function splitMarkdown(text) {
+  let blocks = [];
+  for (const section of text.split(/^(?=#{1,6}\s)/m)) {
+    const lines = section.split("\n");
+    if (/^#{1,6}\s/.test(lines[0])) {
+      blocks.push(lines[0].trim());
+      blocks = blocks.concat(splitParagraphs(lines.slice(1).join("\n")));
+    } else {
+      blocks = blocks.concat(splitParagraphs(section));
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Reads a text, Markdown or HTML file into an array of text blocks.
+ *
+ *  - Text files are split into paragraphs on blank lines.
+ *  - Markdown files are split on headings, then into paragraphs; see splitMarkdown().
+ *  - HTML files are filtered with the same include/exclude settings and extraction mode scrapePage() uses.
+ *
+ * @param {string} filepath - The path of the file.
+ * @param {string} lineRange - The lines to read (e.g. '100-1000'), or an empty string for the whole file.
+ * @param {Object} settings - The settings object containing various configurations.
+ * @param {Array<string>} settings.excludeElements - List of elements to exclude from HTML files.
+ * @param {Array<string>} settings.excludeIDs - List of element IDs to exclude from HTML files.
+ * @param {Array<string>} settings.excludeClasses - List of element clasess to exclude from HTML files.
+ * @param {Array<string>} settings.includeElements - List of elements to include from HTML files.
+ * @param {string} settings.extractionMode - How the text of HTML files is picked out ("selectors" or "auto").
+ * @returns {string[]} - An array of text blocks from the file.
+ */
+function readSourceFile(filepath, lineRange, settings) {
+  const extension = extname(filepath).toLowerCase();
+  let text;
+
+  try {
+    text = readFileSync(filepath, "utf8");
+  } catch (error) {
+    console.error(`Error reading ${filepath}: ${error}`);
+    return [];
+  }
+
+  const range = parseRange(lineRange);
+  if (range && supportsLineRange(filepath)) {
+    text = text
+      .split("\n")
+      .slice(range.start - 1, range.end)
+      .join("\n");
+  }
+
+  if (htmlExtensions.includes(extension)) {
+    return extractText(
+      text,
+      settings.excludeElements,
+      settings.excludeIDs,
+      settings.excludeClasses,
+      settings.includeElements,
+      settings.extractionMode
+    );
+  } else if (markdownExtensions.includes(extension)) {
+    return splitMarkdown(text);
+  }
+  return splitParagraphs(text);
+}
+
+export {
+  supportedExtensions,
+  isSupportedFile,
+  supportsLineRange,
+  listSourceFiles,
+  parseRange,
+  readSourceFile,
+};
@@ -1,62 +1,407 @@
-import openAI from "openai";
-import { apiKey } from "./constants.js";
+import { chunkSegments } from "./tokens.js";
+import { recordUsage } from "./cost_tracking.js";
+import { readCachedResponse, cacheResponse } from "./cache.js";
+import { createProvider } from "./providers.js";
+import { sectionBlocks, findSections } from "./provenance.js";
+import { imageInstructions, imagesIn } from "./media.js";
+import { log } from "./logger.js";
+
+/**
+ * The tool the model is required to call with the flashcards it generates. Its parameters are the flashcard
+ * schema: a list of cards, each with a front (question) and back (answer), and optional extra information.
+ */
+const flashcardTool = {
+  type: "function",
+  function: {
+    name: "add_flashcards",
+    description: "Add the flashcards generated from the text.",
+    parameters: {
+      type: "object",
+      properties: {
+        cards: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              front: {
+                type: "string",
+                description:
+                  "The question, asking for a single piece of information.",
+              },
+              back: {
+                type: "string",
+                description: "The concise answer.",
+              },
+              extra: {
+                type: "string",
+                description: "Optional further context or explanation.",
+              },
+            },
+            required: ["front", "back"],
+          },
+        },
+      },
+      required: ["cards"],
+    },
+  },
+};
+
+/**
+ * The tool the model is required to call in cloze mode, with each card's text containing its cloze deletions
+ * (e.g. "The {{c1::mitochondria}} produce most of a cell's {{c2::ATP}}."), for Cloze note types.
+ */
+const clozeTool = {
+  type: "function",
+  function: {
+    name: "add_cloze_cards",
+    description: "Add the cloze deletion cards generated from the text.",
+    parameters: {
+      type: "object",
+      properties: {
+        cards: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              text: {
+                type: "string",
+                description:
+                  "A statement with its key terms hidden as {{c1::term}}, {{c2::term}} &c.",
+              },
+              extra: {
+                type: "string",
+                description: "Optional further context or explanation.",
+              },
+            },
+            required: ["text"],
+          },
+        },
+      },
+      required: ["cards"],
+    },
+  },
+};
+
+// Appended to the context in cloze mode, as the context itself asks for question and answer pairs.
+const clozeInstructions =
+  "Instead of question and answer pairs, write each flashcard as a cloze deletion: a short statement from the text " +
+  "with its key term hidden as {{c1::term}} (use {{c2::term}} and so on to hide further terms on the same card). " +
+  "Return them by calling the add_cloze_cards function.";
+
+/**
+ * The card modes, chosen with the cardMode setting: the tool the model must call in each, and any instructions
+ * added to the context.
+ */
+const cardModes = {
+  basic: { tool: flashcardTool, instructions: "" },
+  cloze: { tool: clozeTool, instructions: clozeInstructions },
+};
+
+// Times to ask the model to fix a response that doesn't match the schema before giving up on a chunk.
+const maxRepairAttempts = 2;
+
 /**
  * Orchestrates the interaction between sendChatRequest(), formatResponse(),
  * and does some basic validation before sending the request along, based on data
- * provided by scrapePage() (found in './scrape_page.js', used here as param pageTextArray).
+ * provided by getSourceSegments() (found in './sources.js', used here as param segments).
+ *
+ * Long pages are split into chunks that fit the model's context window (see: chunkSegments() in
+ * './tokens.js'); each chunk is sent as its own request, and the cards from all chunks are
+ * merged and de-duplicated before being returned.
+ *
+ * Segments with a location (the pages/chapters of a document) are chunked separately, and each card
+ * generated from them records the location it came from. Every card also records its source, the page title
+ * (for web pages), and the heading of the section it came from; see './provenance.js'.
+ *
+ * The model returns flashcards as structured JSON through a tool call, which is validated against the flashcard
+ * schema and repaired if need be (see: requestFlashcards()). If a chunk still fails after every repair attempt, it's
+ * skipped with an error message, so long as there are other chunks; if every chunk fails, an error is thrown.
  *
- * @param {Array<string>} pageTextArray - An array of text extracted from the page.
- * @param {string} context - Instructions for ChatGPT to generate the flashcard text.
- * @param {string} model - The model to be used for generating the flashcard text.
- * @returns {Promise<string>} - A promise that resolves to the formatted flashcard text.
- * @throws {Error} - Throws an error if any of the required parameters are missing or if the pageTextArray is empty.
+ * The token usage reported for each request is recorded to the spend ledger (see: recordUsage()
+ * in './cost_tracking.js') against the source the text came from, except for the mock provider's, which costs nothing.
+ *
+ * @param {Array<{location: string|null, text: string[]}>} segments - The segments of text extracted from the source.
+ * @param {Object} settings - The settings object containing various configurations.
+ * @param {string} settings.context - Instructions for ChatGPT to generate the flashcard text.
+ * @param {string} settings.model - The model to be used for generating the flashcard text.
+ * @param {number} [settings.maxChunkTokens] - Optional upper bound on the number of tokens of page text per request.
+ * @param {string} settings.logDirectory - The directory where the spend ledger is kept.
+ * @param {string} [settings.provider] - The provider to send requests to; see createProvider() in './providers.js'.
+ * @param {string} [settings.cardMode="basic"] - "basic" for question/answer cards, or "cloze" for cloze deletions
+ *                                              (see: cardModes).
+ * @param {string} source - Where the text came from (e.g. the URL scraped), recorded in the spend ledger.
+ * @returns {Promise<Array<{front: string, back: string, extra?: string, source: string, title?: string, heading?: string, location?: string}>>}
+ *   - A promise that resolves to the formatted flashcard text, with each card's provenance.
+ * @throws {Error} - Throws an error if any of the required parameters are missing or if there are no segments.
  */
-async function generateFlashCardText(pageTextArray, context, model) {
-  if (pageTextArray.length === 0 || !pageTextArray) {
+async function generateFlashCardText(segments, settings, source) {
+  const { context, model, maxChunkTokens } = settings;
+  if (!segments || segments.length === 0) {
     throw new Error("No text extracted from the page");
   }
   if (!context) {
     throw new Error("No ChatGPT instructions provided");
   }
-  if (!apiKey) {
-    throw new Error("No API key provided");
-  }
   if (!model) {
     throw new Error("No model provided");
   }
+  if (!cardModes[settings.cardMode || "basic"]) {
+    throw new Error(`Unknown card mode: ${settings.cardMode}`);
+  }
+
+  const provider = createProvider(settings);
+
+  const chunks = chunkSegments(segments, context, model, maxChunkTokens);
+  let cards = [];
+  let failedChunks = 0;
+  let heading = null;
+
+  for (const [index, chunk] of chunks.entries()) {
+    if (chunks.length > 1) {
+      log(`Sending chunk ${index + 1} of ${chunks.length}...`);
+    }
+    if (index > 0 && chunk.location !== chunks[index - 1].location) {
+      heading = null;
+    }
+    const { blocks, headingAfter } = sectionBlocks(chunk.text, heading);
+    const headingBefore = heading;
+    heading = headingAfter;
+
+    try {
+      const chunkCards = await requestFlashcards(
+        provider,
+        chunk.text,
+        settings,
+        source
+      );
+      for (const card of findSections(chunkCards, blocks, headingBefore)) {
+        cards.push({
+          ...card,
+          source,
+          ...(chunk.title && { title: chunk.title }),
+          ...(chunk.location && { location: chunk.location }),
+        });
+      }
+    } catch (error) {
+      if (chunks.length === 1) {
+        throw error;
+      }
+      failedChunks += 1;
+      console.error(`Skipping chunk ${index + 1}: ${error.message}`);
+    }
+  }
+
+  if (failedChunks === chunks.length) {
+    throw new Error("No valid flashcards received for any chunk");
+  }
+  return dedupeCards(cards);
+}
+
+/**
+ * Removes duplicate cards, which are likely where chunks cover closely related material.
+ * Cards are compared on their front text, ignoring case, punctuation and whitespace;
+ * the first occurrence is kept.
+ *
+ * @param {Array<{front: string, back: string}>} cards - The cards generated from all chunks.
+ * @returns {Array<{front: string, back: string}>} - The cards with duplicates removed.
+ */
+function dedupeCards(cards) {
+  const seen = new Set();
+  return cards.filter((card) => {
+    const key = card.front.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "");
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * The ways a single card can be reworked in review (see: reviseFlashcard()): the instructions sent to the model with
+ * the card, and the number of cards expected back.
+ */
+const revisions = {
+  regenerate: {
+    instructions:
+      "Rewrite this flashcard so that it asks for the same information in a different, clearer way.",
+    count: 1,
+  },
+  simplify: {
+    instructions:
+      "Simplify this flashcard: make it shorter and plainer, without losing accuracy.",
+    count: 1,
+  },
+  split: {
+    instructions:
+      "Split this flashcard into two flashcards, each asking for a single piece of the information it covers.",
+    count: 2,
+  },
+};
+
+/**
+ * Asks the model to rework a single card during review: regenerate it, simplify it, or split it into two
+ * (see: revisions). The new cards are validated and repaired like any others (see: requestFlashcards()), and keep
+ * the provenance of the original card.
+ *
+ * @param {Object} card - The card to rework.
+ * @param {string} revision - One of "regenerate", "simplify" or "split".
+ * @param {Object} settings - The settings object; see generateFlashCardText().
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the new card(s).
+ * @throws {Error} - Throws an error if the revision is unknown, the request fails, or no valid response is received.
+ */
+async function reviseFlashcard(card, revision, settings) {
+  const { instructions, count } = revisions[revision] || {};
+  if (!instructions) {
+    throw new Error(`Unknown revision: ${revision}`);
+  }
 
-  const chatResponse = await sendChatRequest(
-    pageTextArray,
-    context,
-    model,
-    apiKey
+  const { front, back, extra, duplicate, closest, similar, ...provenance } =
+    card;
+  const text = [
+    `${instructions} Return exactly ${count} card(s).`,
+    "",
+    `Front: ${front}`,
+    back ? `Back: ${back}` : "",
+    extra ? `Extra: ${extra}` : "",
+    provenance.heading ? `Section: ${provenance.heading}` : "",
+  ]
+    .filter((line, i) => i < 2 || line)
+    .join("\n");
+
+  // Revisions aren't cached: asking again is asking for a different card.
+  const cards = await requestFlashcards(
+    createProvider(settings),
+    text,
+    { ...settings, cache: false },
+    provenance.source || "review",
+    count
   );
-  const formattedResponse = formatResponse(chatResponse);
-  return formattedResponse;
+  return cards.map((revised) => ({ ...provenance, ...revised }));
+}
+
+/**
+ * Asks for flashcards for a single chunk of text. If the response doesn't match the flashcard schema (see:
+ * formatResponse()), the model is told what was wrong and asked to try again, up to maxRepairAttempts times.
+ * The token usage of every attempt, repairs included, is recorded to the spend ledger.
+ *
+ * Responses are cached on disk, keyed by the provider and its endpoint, the model, the messages and the tool (see:
+ * './cache.js'); a request already answered is not sent again, and its response costs nothing. A response from one
+ * provider (e.g. the mock provider's fixtures) is never used for another.
+ *
+ * If the text holds images (see: './media.js'), the model is also told how to make picture cards from them.
+ *
+ * Also used by reviseFlashcard() to rework a single card, in which case the number of cards expected back is given,
+ * and a response with any other number of cards is sent back for repair too.
+ *
+ * @param {Object} provider - The provider to send requests to; see './providers.js'.
+ * @param {string} text - The chunk of text to generate flashcards from (or, for revisions, the revision instructions).
+ * @param {Object} settings - The settings object; see generateFlashCardText().
+ * @param {string} source - Where the text came from, recorded in the spend ledger.
+ * @param {number} [expectedCount] - The number of cards that must be returned; any number if omitted.
+ * @returns {Promise<Array<{front: string, back: string, extra?: string}>>} - A promise that resolves to the flashcards.
+ * @throws {Error} - Throws an error if the request fails, or if no valid response is received after every repair attempt.
+ */
+async function requestFlashcards(
+  provider,
+  text,
+  settings,
+  source,
+  expectedCount
+) {
+  const { context, model, logDirectory } = settings;
+  const mode = settings.cardMode || "basic";
+  const { tool, instructions } = cardModes[mode];
+  let messages = [
+    {
+      role: "system",
+      content: [
+        context,
+        instructions,
+        imagesIn(text).length ? imageInstructions : "",
+      ]
+        .filter(Boolean)
+        .join(" "),
+    },
+    { role: "user", content: text },
+  ];
+
+  // Checks a response's cards, and their number, if one was asked for.
+  const check = (response) => {
+    const { cards, error } = formatResponse(response, mode);
+    if (!error && expectedCount && cards.length !== expectedCount) {
+      return {
+        cards,
+        error: new Error(
+          `expected ${expectedCount} card(s), got ${cards.length}`
+        ),
+      };
+    }
+    return { cards, error };
+  };
+
+  for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+    const request = {
+      provider: provider.name,
+      endpoint: provider.endpoint,
+      model,
+      messages,
+      tool,
+    };
+
+    // Only valid responses are cached, but an invalid one cached before is sent for again rather than repaired.
+    let response = readCachedResponse(settings, request);
+    let { cards, error } = response ? check(response) : {};
+    if (response && !error) {
+      log("Using a cached response; no request sent.");
+      return cards;
+    }
+    response = await sendChatRequest(provider, messages, model, tool);
+    // The mock provider's usage is counted for realism, but nothing is spent.
+    if (provider.name !== "mock") {
+      recordUsage(logDirectory, model, source, response.usage, provider.name);
+    }
+    ({ cards, error } = check(response));
+    if (!error) {
+      cacheResponse(settings, request, response, source);
+      return cards;
+    }
+    if (attempt === maxRepairAttempts) {
+      throw new Error(
+        `No valid flashcards after ${maxRepairAttempts + 1} attempts: ${error.message}`
+      );
+    }
+    console.error(`Invalid response (${error.message}); asking for a repair.`);
+    messages = messages.concat(
+      repairMessages(response?.choices?.[0]?.message || {}, error, tool)
+    );
+  }
 }
 
 /**
- * Submits a chat request to OpenAI with the extracted text, context, model, and API key.
+ * Submits a chat request to the provider with the given messages and model, requiring the model to respond by calling
+ * the given tool (see: cardModes), so that the flashcards come back as structured JSON rather than text.
  * Context, here and throughout, is a system message that provides instructions to the model.
  * Essentially, the prompt to tell the model we want flashcards.
  *
- * @param {string[]} textArray - An array of text strings to be sent as the user message.
- * @param {string} context - The context or system message to be included in the request.
+ * @param {Object} provider - The provider to send the request to; see createProvider() in './providers.js'.
+ * @param {Array<Object>} messages - The messages to send: the context (system message), the text (user message),
+ *                                   and any repair messages.
  * @param {string} model - The model to be used for the chat completion.
- * @returns {Promise<Object>} The response from the OpenAI API.
+ * @param {Object} tool - The tool the model must call with the flashcards.
+ * @returns {Promise<Object>} The response, in the shape returned by the OpenAI API.
  * @throws Will throw an error if the request fails.
  */
-async function sendChatRequest(textArray, context, model) {
-  const openai = new openAI({ apiKey: apiKey });
+async function sendChatRequest(provider, messages, model, tool) {
   try {
-    const messages = [
-      { role: "system", content: context },
-      { role: "user", content: textArray.join("\n") },
-    ];
-
-    const response = await openai.chat.completions.create({
+    const response = await provider.createChatCompletion({
       model: model,
       messages: messages,
+      tools: [tool],
+      tool_choice: {
+        type: "function",
+        function: { name: tool.function.name },
+      },
     });
 
     return response;
@@ -70,37 +415,154 @@ async function sendChatRequest(textArray, context, model) {
 }
 
 /**
- * Extracts question and answer pairs from the response returned by the API call.
- * As it happens, this is where ChatGPT itself was most useful during the development process.
- * I hate regex. Thanks, ChatGPT.
- *
- * (note that alterations to the "context" field found in settings.json may result in unexpected responses,
- *  impacting the suitability of the regex pattern hardcoded here)
+ * Extracts the flashcards from the tool call for the card mode (see: cardModes) in the response returned by the
+ * API call, and checks them against the flashcard schema with validateFlashcards().
+ * Cloze cards are returned with their text as the front and an empty back.
  *
  * @param {Object} response - The response object from the API call.
- * @param {string} response.choices[0].message.content - The content of the message.
- * @returns {Array} An array of flashcard objects, each containing a 'front' and 'back' property.
- *                  (e.g. [{ front: 'Question', back: 'Answer' }])
- * @throws {Error} Throws an error if there is no content in the response.
+ * @param {string} [mode="basic"] - The card mode: "basic" or "cloze".
+ * @returns {Object} An object containing:
+ *   - {Array} cards - An array of flashcard objects, each containing a 'front' and 'back' property, and an 'extra'
+ *                     property if the model provided one (e.g. [{ front: 'Question', back: 'Answer' }]).
+ *   - {Error|null} error - An error object if the response doesn't contain valid flashcards, otherwise null.
  */
-function formatResponse(response) {
-  if (!response.choices[0].message.content) {
-    throw new Error("No content in the response");
+function formatResponse(response, mode = "basic") {
+  const { tool } = cardModes[mode];
+  const message = response?.choices?.[0]?.message;
+  if (!message) {
+    return { cards: [], error: new Error("no message in response") };
   }
+  const toolCall = (message.tool_calls || []).find(
+    (call) => call.function.name === tool.function.name
+  );
+  let data;
 
-  const content = String(response.choices[0].message.content);
-  const regex =
-    /(?:\d+\.\s*)?[\*]*\s*Q:\s*(.+?)\s*[\*]*\s*A:\s*(.+?)(?=\n\d+\.|\nQ:|\n$)/gms; // ^(?!<3$).*
-  let match;
-  let cards = [];
+  if (!toolCall) {
+    return {
+      cards: [],
+      error: new Error(`no ${tool.function.name} call in response`),
+    };
+  }
+  try {
+    data = JSON.parse(toolCall.function.arguments);
+  } catch (error) {
+    return {
+      cards: [],
+      error: new Error(`arguments are not valid JSON: ${error.message}`),
+    };
+  }
+
+  const validation = validateFlashcards(data, mode);
+  if (!validation.validCards) {
+    return { cards: [], error: validation.error };
+  }
+
+  const cards = data.cards.map((card) => {
+    const formatted =
+      mode === "cloze"
+        ? { front: card.text.trim(), back: "" }
+        : { front: card.front.trim(), back: card.back.trim() };
+    if (card.extra && card.extra.trim()) {
+      formatted.extra = card.extra.trim();
+    }
+    return formatted;
+  });
+  return { cards, error: null };
+}
+
+/**
+ * Checks parsed tool call arguments against the flashcard schema (see: cardModes): an object with a non-empty
+ * 'cards' array (so that a prompt the model answers with no cards is repaired rather than silently yielding none),
+ * each card having non-empty 'front' and 'back' strings (or, in cloze mode, a 'text' string with at least
+ * one cloze deletion) and, optionally, an 'extra' string.
+ *
+ * @param {*} data - The parsed tool call arguments.
+ * @param {string} [mode="basic"] - The card mode: "basic" or "cloze".
+ * @returns {Object} An object containing:
+ *   - {boolean} validCards - Indicates if the data matches the schema.
+ *   - {Error|null} error - An error object describing the first mismatch, otherwise null.
+ */
+function validateFlashcards(data, mode = "basic") {
+  const requiredFields = mode === "cloze" ? ["text"] : ["front", "back"];
 
-  while ((match = regex.exec(content)) !== null) {
-    const front = match[1].trim();
-    const back = match[2].trim();
-    cards.push({ front, back });
+  if (!data || typeof data !== "object" || !Array.isArray(data.cards)) {
+    return {
+      validCards: false,
+      error: new Error("expected an object with a 'cards' array"),
+    };
   }
+  if (!data.cards.length) {
+    return {
+      validCards: false,
+      error: new Error("expected at least one card in 'cards'"),
+    };
+  }
+
+  for (const [index, card] of data.cards.entries()) {
+    if (!card || typeof card !== "object") {
+      return {
+        validCards: false,
+        error: new Error(`cards[${index}] must be an object`),
+      };
+    }
+    for (const field of requiredFields) {
+      if (typeof card[field] !== "string" || !card[field].trim()) {
+        return {
+          validCards: false,
+          error: new Error(
+            `cards[${index}].${field} must be a non-empty string`
+          ),
+        };
+      }
+    }
+    if (mode === "cloze" && !/\{\{c\d+::.+?\}\}/.test(card.text)) {
+      return {
+        validCards: false,
+        error: new Error(
+          `cards[${index}].text must contain a cloze deletion like {{c1::term}}`
+        ),
+      };
+    }
+    if (card.extra !== undefined && typeof card.extra !== "string") {
+      return {
+        validCards: false,
+        error: new Error(`cards[${index}].extra must be a string`),
+      };
+    }
+  }
+  return { validCards: true, error: null };
+}
+
+/**
+ * Builds the messages asking the model to repair an invalid response. If the model called the tool, each call is
+ * answered with a tool message describing the error; otherwise, the model's reply is followed by a user message
+ * asking it to call the tool.
+ *
+ * @param {Object} message - The assistant message from the invalid response.
+ * @param {Error} error - What was wrong with the response.
+ * @param {Object} tool - The tool the model must call.
+ * @returns {Array<Object>} - The messages to append to the conversation before trying again.
+ */
+function repairMessages(message, error, tool) {
+  const instruction = `Call ${tool.function.name} again with arguments matching its schema.`;
 
-  return cards;
+  if (message.tool_calls && message.tool_calls.length) {
+    return [message].concat(
+      message.tool_calls.map((call) => ({
+        role: "tool",
+        tool_call_id: call.id,
+        content: `Error: ${error.message}. ${instruction}`,
+      }))
+    );
+  }
+  return [
+    { role: "assistant", content: message.content || "" },
+    {
+      role: "user",
+      content: `That response could not be used (${error.message}). ${instruction}`,
+    },
+  ];
 }
 
 export default generateFlashCardText;
+export { cardModes, reviseFlashcard };
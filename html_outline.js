@@ -0,0 +1,321 @@
+/**
+ * Turns HTML into an outline of text blocks, in a single walk of the DOM.
+ *
+ * Each block is one of:
+ *  - A heading, marked with leading '#'s by level (e.g. '## Mitochondria'), the same as Markdown headings; the
+ *    heading hierarchy is what gives each block its section (see: './provenance.js', and packBlocks() in
+ *    './tokens.js', which starts each chunk with the headings it falls under).
+ *  - A paragraph: the text of a block element (p, div, blockquote, etc.), or of inline content between blocks.
+ *  - A list, as one block with an item per line ('- item', or '1. item' for ordered lists), nested lists indented.
+ *  - A code block (pre), fenced with ``` and its whitespace kept, with the language if its class names one.
+ *  - A table, as one block of Markdown table rows ('| a | b |').
+ *  - An image, if images are asked for: a Markdown image ('![alt](url)'), or for a figure, its images followed by its
+ *    caption on the next line (see: './media.js'). Decorative images (empty alt text and no caption, hidden, or
+ *    tiny) and inline data: images are left out.
+ *
+ * Each element's text is emitted once, as part of the innermost block holding it, so nested elements (e.g. a list
+ * and its items, or a div and its paragraphs) don't repeat each other's text.
+ */
+
+const headingPattern = /^H([1-6])$/;
+const skippedTags = ["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "HEAD"];
+const blockTags = [
+  "ADDRESS",
+  "ARTICLE",
+  "ASIDE",
+  "BLOCKQUOTE",
+  "BODY",
+  "DD",
+  "DETAILS",
+  "DIV",
+  "DL",
+  "DT",
+  "FIELDSET",
+  "FIGCAPTION",
+  "FIGURE",
+  "FOOTER",
+  "FORM",
+  "HEADER",
+  "HR",
+  "LI",
+  "MAIN",
+  "NAV",
+  "P",
+  "SECTION",
+  "SUMMARY",
+];
+const listTags = ["UL", "OL"];
+const minimumImageSize = 32;
+
+/**
+ * Collapses the whitespace in a string of text.
+ *
+ * @param {string} text - The text.
+ * @returns {string} - The text, with runs of whitespace collapsed to single spaces and trimmed.
+ */
+function normalise(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Gets the text of an element, leaving out excluded elements, and any elements of the tags given.
+ *
+ * @param {Element} element - The element.
+ * @param {function(Element): boolean} isExcluded - Whether an element is excluded.
+ * @param {string[]} [skipTags=[]] - Tag names (upper case) of elements to leave out (e.g. nested lists).
+ * @returns {string} - The element's text, with whitespace normalised.
+ */
+function textOf(element, isExcluded, skipTags = []) {
+  let parts = [];
+  const visit = (node) => {
+    if (node.nodeType === node.TEXT_NODE) {
+      parts.push(node.textContent);
+      return;
+    }
+    if (
+      node.nodeType !== node.ELEMENT_NODE ||
+      skippedTags.includes(node.tagName) ||
+      skipTags.includes(node.tagName) ||
+      isExcluded(node)
+    ) {
+      return;
+    }
+    const spaced = blockTags.includes(node.tagName) || node.tagName === "BR";
+    if (spaced) {
+      parts.push(" ");
+    }
+    node.childNodes.forEach(visit);
+    if (spaced) {
+      parts.push(" ");
+    }
+  };
+  element.childNodes.forEach(visit);
+  return normalise(parts.join(""));
+}
+
+/**
+ * Renders a list as lines of items, nested lists indented beneath the item holding them.
+ *
+ * @param {Element} list - The ul or ol element.
+ * @param {function(Element): boolean} isExcluded - Whether an element is excluded.
+ * @param {number} [depth=0] - How deeply the list is nested.
+ * @returns {string[]} - A line per item.
+ */
+function listLines(list, isExcluded, depth = 0) {
+  let lines = [];
+  let number = Number(list.getAttribute("start")) || 1;
+  for (const item of list.children) {
+    if (item.tagName !== "LI" || isExcluded(item)) {
+      continue;
+    }
+    const marker = list.tagName === "OL" ? `${number}.` : "-";
+    number += 1;
+    const text = textOf(item, isExcluded, listTags);
+    if (text) {
+      lines.push(`${"  ".repeat(depth)}${marker} ${text}`);
+    }
+    for (const nested of item.querySelectorAll("ul, ol")) {
+      if (nested.parentElement.closest("li") === item && !isExcluded(nested)) {
+        lines.push(...listLines(nested, isExcluded, depth + 1));
+      }
+    }
+  }
+  return lines;
+}
+
+/**
+ * Renders a code block, fenced with ```, keeping its whitespace.
+ *
+ * @param {Element} pre - The pre element.
+ * @returns {string} - The fenced code; empty if there's no code.
+ */
+function codeBlock(pre) {
+  const code = pre.textContent.replace(/^\n+|\s+$/g, "");
+  if (!code.trim()) {
+    return "";
+  }
+  const classes = `${pre.className} ${pre.querySelector("code")?.className || ""}`;
+  const language = classes.match(/(?:^|\s)(?:language|lang)-([\w+#-]+)/);
+  return `\`\`\`${language ? language[1] : ""}\n${code}\n\`\`\``;
+}
+
+/**
+ * Renders a table as Markdown table rows, with a divider after the first row if it's a header row.
+ *
+ * @param {Element} table - The table element.
+ * @param {function(Element): boolean} isExcluded - Whether an element is excluded.
+ * @returns {string} - The rows; empty if the table has no text.
+ */
+function tableBlock(table, isExcluded) {
+  const rows = [...table.querySelectorAll("tr")].filter(
+    (row) => row.closest("table") === table && !isExcluded(row)
+  );
+  let lines = [];
+  for (const [index, row] of rows.entries()) {
+    const cells = [...row.children].filter(
+      (cell) => ["TD", "TH"].includes(cell.tagName) && !isExcluded(cell)
+    );
+    const texts = cells.map((cell) =>
+      textOf(cell, isExcluded).replace(/\|/g, "\\|")
+    );
+    if (!texts.some(Boolean)) {
+      continue;
+    }
+    lines.push(`| ${texts.join(" | ")} |`);
+    if (index === 0 && cells.every((cell) => cell.tagName === "TH")) {
+      lines.push(`|${" --- |".repeat(cells.length)}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Renders an image as a Markdown image, with its URL resolved against the document's, and its alt text as the
+ * description (or the caption given, if it has none).
+ *
+ * @param {Element} img - The img element.
+ * @param {string} [caption=""] - The caption of the figure holding the image, if any.
+ * @returns {string} - The Markdown image; empty if the image is decorative, inline, or has no usable URL.
+ */
+function imageMarkdown(img, caption = "") {
+  const src = img.getAttribute("src") || img.getAttribute("data-src") || "";
+  const alt = normalise(img.getAttribute("alt") || "").replace(/[[\]]/g, "");
+  const tiny = ["width", "height"].some((size) => {
+    const value = parseInt(img.getAttribute(size), 10);
+    return value > 0 && value < minimumImageSize;
+  });
+  if (
+    !src ||
+    src.startsWith("data:") ||
+    tiny ||
+    img.getAttribute("role") === "presentation" ||
+    img.getAttribute("aria-hidden") === "true" ||
+    (!alt && !caption)
+  ) {
+    return "";
+  }
+  let url;
+  try {
+    url = new URL(src, img.ownerDocument.baseURI);
+  } catch (error) {
+    return "";
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    return "";
+  }
+  const encoded = url.href.replace(
+    /[() ]/g,
+    (character) => `%${character.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `![${alt || caption.replace(/[[\]]/g, "")}](${encoded})`;
+}
+
+/**
+ * Renders a figure as its images, a line each, followed by its caption.
+ *
+ * @param {Element} figure - The figure element.
+ * @param {function(Element): boolean} isExcluded - Whether an element is excluded.
+ * @returns {string} - The images and caption; empty if none of its images are kept.
+ */
+function figureBlock(figure, isExcluded) {
+  const figcaption = [...figure.children].find(
+    (child) => child.tagName === "FIGCAPTION" && !isExcluded(child)
+  );
+  const caption = figcaption ? textOf(figcaption, isExcluded) : "";
+  const images = [...figure.querySelectorAll("img")]
+    .filter((img) => !isExcluded(img))
+    .map((img) => imageMarkdown(img, caption))
+    .filter(Boolean);
+  return images.length ? [...images, caption].filter(Boolean).join("\n") : "";
+}
+
+/**
+ * Walks an element once, depth first, and emits its outline; see the description at the top of this file.
+ *
+ * Only included text is emitted: that of elements for which isIncluded() is true, and of everything within them.
+ * Headings are always emitted, whether or not they're included. Excluded elements are skipped along with
+ * everything within them. Images are only emitted if filters.images is true.
+ *
+ * @param {Element} root - The element to walk (e.g. the body of a document).
+ * @param {Object} filters - Which elements to take text from.
+ * @param {function(Element): boolean} filters.isExcluded - Whether an element is excluded.
+ * @param {function(Element): boolean|null} filters.isIncluded - Whether an element is included; null to include
+ *   everything.
+ * @param {boolean} [filters.images=false] - Whether to emit images and figures; otherwise figures are emitted as
+ *   text, as other block elements are.
+ * @returns {string[]} - The blocks of the outline, in document order.
+ */
+function outlineBlocks(root, { isExcluded, isIncluded, images = false }) {
+  let blocks = [];
+  let inline = [];
+
+  const push = (text) => {
+    if (text) {
+      blocks.push(text);
+    }
+  };
+  const flush = () => {
+    push(normalise(inline.join("")));
+    inline = [];
+  };
+
+  const visit = (node, included) => {
+    if (node.nodeType === node.TEXT_NODE) {
+      if (included) {
+        inline.push(node.textContent);
+      }
+      return;
+    }
+    if (
+      node.nodeType !== node.ELEMENT_NODE ||
+      skippedTags.includes(node.tagName) ||
+      isExcluded(node)
+    ) {
+      return;
+    }
+
+    const tag = node.tagName;
+    const inside = included || isIncluded(node);
+    const heading = tag.match(headingPattern);
+    const figure =
+      images && inside && tag === "FIGURE" ? figureBlock(node, isExcluded) : "";
+    const image = images && inside && tag === "IMG" ? imageMarkdown(node) : "";
+    if (heading) {
+      flush();
+      const text = textOf(node, isExcluded);
+      push(text && `${"#".repeat(heading[1])} ${text}`);
+    } else if (
+      listTags.includes(tag) &&
+      (inside || [...node.children].some((item) => isIncluded(item)))
+    ) {
+      flush();
+      push(listLines(node, isExcluded).join("\n"));
+    } else if (tag === "PRE" && inside) {
+      flush();
+      push(codeBlock(node));
+    } else if (tag === "TABLE" && inside) {
+      flush();
+      push(tableBlock(node, isExcluded));
+    } else if (figure) {
+      flush();
+      push(figure);
+    } else if (image) {
+      flush();
+      push(image);
+    } else if (blockTags.includes(tag) || tag === "TABLE" || tag === "PRE") {
+      flush();
+      node.childNodes.forEach((child) => visit(child, inside));
+      flush();
+    } else if (tag === "BR") {
+      inline.push(" ");
+    } else {
+      node.childNodes.forEach((child) => visit(child, inside));
+    }
+  };
+
+  visit(root, !isIncluded);
+  flush();
+  return blocks;
+}
+
+export { outlineBlocks };
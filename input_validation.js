@@ -1,5 +1,13 @@
 import { statSync, accessSync, constants } from "fs";
 import path from "path";
+import { JSDOM } from "jsdom";
+import { isSupportedFile, listSourceFiles } from "./file_import.js";
+import { isDocumentFile } from "./document_import.js";
+import {
+  isEnvReference,
+  isSensitiveHeader,
+  readCookiesFile,
+} from "./request_profiles.js";
 
 /**
  * Confirms whether a given directory path is valid and writable.
@@ -127,4 +135,278 @@ async function validateNewDeckName(deckName, decks) {
   }
 }
 
-export { validateDirectory, validateURL, validateNewDeckName };
+/**
+ * Validates a path to import text from: either a supported file (see: supportedExtensions in './file_import.js'),
+ * or a directory containing at least one supported file.
+ *
+ * @param {string} sourcePath - The file or directory path to validate.
+ * @returns {Object} An object containing:
+ *   - {boolean} validPath - Indicates if the path can be imported.
+ *   - {Error|null} error - An error object if the path is invalid, otherwise null.
+ */
+function validateSourcePath(sourcePath) {
+  try {
+    const stats = statSync(sourcePath);
+    if (stats.isDirectory()) {
+      if (listSourceFiles(sourcePath).length === 0) {
+        return {
+          validPath: false,
+          error: new Error("Directory contains no supported files"),
+        };
+      }
+    } else if (!isSupportedFile(sourcePath)) {
+      return { validPath: false, error: new Error("Unsupported file type") };
+    }
+    accessSync(sourcePath, constants.R_OK);
+    return { validPath: true, error: null };
+  } catch (err) {
+    return { validPath: false, error: err };
+  }
+}
+
+/**
+ * Validates a range of lines or pages such as '100-1000', '100-' (to the end of the file) or '20' (a single page).
+ * An empty range is valid, and means the whole file.
+ *
+ * @param {string} range - The range to validate.
+ * @param {number} [last] - The last line or page there is, if known (e.g. a PDF's page count); ranges going past it
+ *   are invalid.
+ * @returns {Object} An object containing:
+ *   - {boolean} validRange - Indicates if the range is valid.
+ *   - {Error|null} error - An error object if the range is invalid, otherwise null.
+ */
+function validateRange(range, last) {
+  if (!range.trim()) {
+    return { validRange: true, error: null };
+  }
+  const match = range.trim().match(/^(\d+)(?:\s*-\s*(\d*))?$/);
+  if (!match) {
+    return {
+      validRange: false,
+      error: new Error("Range must look like 100-1000, 100- or 100"),
+    };
+  }
+  const start = Number(match[1]);
+  const end = match[2] ? Number(match[2]) : Infinity;
+  if (start < 1 || end < start) {
+    return {
+      validRange: false,
+      error: new Error(
+        "Range must start at 1 or later, and end after it starts"
+      ),
+    };
+  }
+  if (last && (start > last || (end !== Infinity && end > last))) {
+    return {
+      validRange: false,
+      error: new Error(`Range must not go past ${last}, the last line or page`),
+    };
+  }
+  return { validRange: true, error: null };
+}
+
+/**
+ * Validates the path of a PDF or EPUB document to import.
+ *
+ * @param {string} docPath - The document path to validate.
+ * @returns {Object} An object containing:
+ *   - {boolean} validPath - Indicates if the path is a readable PDF or EPUB.
+ *   - {Error|null} error - An error object if the path is invalid, otherwise null.
+ */
+function validateDocumentPath(docPath) {
+  try {
+    if (!statSync(docPath).isFile()) {
+      return { validPath: false, error: new Error("Path is not a file") };
+    }
+    if (!isDocumentFile(docPath)) {
+      return {
+        validPath: false,
+        error: new Error("File must be a .pdf or .epub"),
+      };
+    }
+    accessSync(docPath, constants.R_OK);
+    return { validPath: true, error: null };
+  } catch (err) {
+    return { validPath: false, error: err };
+  }
+}
+
+/**
+ * Validates a scraping profile's URL pattern (see: matchesPattern() in './scraping_profiles.js'): a hostname, a host
+ * and path, or a full URL, any of which may contain '*' wildcards.
+ *
+ * @param {string} pattern - The pattern to validate.
+ * @returns {Object} An object containing:
+ *   - {boolean} validPattern - Indicates if the pattern is valid.
+ *   - {Error|null} error - An error object if the pattern is invalid, otherwise null.
+ */
+function validateUrlPattern(pattern) {
+  if (!pattern.trim()) {
+    return { validPattern: false, error: new Error("Pattern cannot be empty") };
+  }
+  if (/\s/.test(pattern.trim())) {
+    return {
+      validPattern: false,
+      error: new Error("Pattern cannot contain spaces"),
+    };
+  }
+  if (!pattern.replace(/[*./:]/g, "")) {
+    return {
+      validPattern: false,
+      error: new Error(
+        "Pattern must name a host or URL (e.g. docs.python.org)"
+      ),
+    };
+  }
+  return { validPattern: true, error: null };
+}
+
+/**
+ * Validates a CSS selector, by matching it against an empty document.
+ *
+ * @param {string} selector - The selector to validate.
+ * @returns {Object} An object containing:
+ *   - {boolean} validSelector - Indicates if the selector is valid.
+ *   - {Error|null} error - An error object if the selector is invalid, otherwise null.
+ */
+function validateSelector(selector) {
+  if (!selector.trim()) {
+    return {
+      validSelector: false,
+      error: new Error("Selector cannot be empty"),
+    };
+  }
+  try {
+    new JSDOM("").window.document.querySelector(selector);
+    return { validSelector: true, error: null };
+  } catch (err) {
+    return {
+      validSelector: false,
+      error: new Error(`Not a valid CSS selector: ${selector}`),
+    };
+  }
+}
+
+/**
+ * Validates a request profile's header (see: './request_profiles.js'). Headers that carry credentials (e.g.
+ * Authorization, Cookie, X-Api-Key) must be given as '$NAME', to be read from the environment variable NAME, so
+ * that the secret is never written to settings.json.
+ *
+ * @param {string} name - The header name.
+ * @param {string} value - The header value, or '$NAME'.
+ * @returns {Object} An object containing:
+ *   - {boolean} validHeader - Indicates if the header is valid.
+ *   - {Error|null} error - An error object if the header is invalid, otherwise null.
+ */
+function validateHeader(name, value) {
+  if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name.trim())) {
+    return {
+      validHeader: false,
+      error: new Error("Not a valid header name (e.g. Accept-Language)"),
+    };
+  }
+  if (!value.trim()) {
+    return { validHeader: false, error: new Error("Value cannot be empty") };
+  }
+  if (isSensitiveHeader(name) && !isEnvReference(value)) {
+    return {
+      validHeader: false,
+      error: new Error(
+        `${name.trim()} may hold a secret; enter the environment variable to read it from (e.g. $WIKI_API_KEY)`
+      ),
+    };
+  }
+  return { validHeader: true, error: null };
+}
+
+/**
+ * Validates a request profile's proxy: an http(s) URL, or '$NAME' to read it from the environment variable NAME.
+ * A URL with a password must be given the second way, so that the password is never written to settings.json.
+ *
+ * @param {string} proxy - The proxy URL, or '$NAME'.
+ * @returns {Object} An object containing:
+ *   - {boolean} validProxy - Indicates if the proxy is valid.
+ *   - {Error|null} error - An error object if the proxy is invalid, otherwise null.
+ */
+function validateProxy(proxy) {
+  if (isEnvReference(proxy)) {
+    return { validProxy: true, error: null };
+  }
+  let url;
+  try {
+    url = new URL(proxy.trim());
+  } catch (err) {
+    return {
+      validProxy: false,
+      error: new Error("Not a URL (e.g. http://proxy.example.com:3128)"),
+    };
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    return {
+      validProxy: false,
+      error: new Error("Proxy must be an http:// or https:// URL"),
+    };
+  }
+  if (url.password) {
+    return {
+      validProxy: false,
+      error: new Error(
+        "Proxy URLs with a password must be read from an environment variable (e.g. $HTTP_PROXY_URL)"
+      ),
+    };
+  }
+  return { validProxy: true, error: null };
+}
+
+/**
+ * Validates the name of an environment variable.
+ *
+ * @param {string} name - The name, without a leading '$'.
+ * @returns {Object} An object containing:
+ *   - {boolean} validName - Indicates if the name is valid.
+ *   - {Error|null} error - An error object if the name is invalid, otherwise null.
+ */
+function validateEnvName(name) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name.trim())) {
+    return {
+      validName: false,
+      error: new Error(
+        "Must be an environment variable name (letters, digits and _)"
+      ),
+    };
+  }
+  return { validName: true, error: null };
+}
+
+/**
+ * Validates the path of a cookies.txt file, by reading the cookies from it (see: readCookiesFile() in
+ * './request_profiles.js').
+ *
+ * @param {string} cookiesPath - The path to validate.
+ * @returns {Object} An object containing:
+ *   - {boolean} validPath - Indicates if the path is a readable cookies.txt file holding cookies.
+ *   - {Error|null} error - An error object if the path is invalid, otherwise null.
+ */
+function validateCookiesFile(cookiesPath) {
+  try {
+    readCookiesFile(cookiesPath.trim());
+    return { validPath: true, error: null };
+  } catch (err) {
+    return { validPath: false, error: err };
+  }
+}
+
+export {
+  validateDirectory,
+  validateURL,
+  validateNewDeckName,
+  validateSourcePath,
+  validateRange,
+  validateDocumentPath,
+  validateUrlPattern,
+  validateSelector,
+  validateHeader,
+  validateProxy,
+  validateEnvName,
+  validateCookiesFile,
+};
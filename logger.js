@@ -0,0 +1,41 @@
+import { Console } from "console";
+
+/**
+ * Progress output.
+ *
+ * What the pipeline prints as it runs (progress messages, reports and tables) goes through log() and logTable()
+ * rather than console.log(), so that it can be sent elsewhere: headless runs send it to stderr (see: runCli() in
+ * './cli.js'), keeping stdout for the JSON summary alone. By default it goes to stdout, as console.log() would.
+ * Errors are printed with console.error(), as ever.
+ */
+
+let output = console;
+
+/**
+ * Sends progress output to a stream instead of stdout.
+ *
+ * @param {NodeJS.WritableStream} stream - The stream (e.g. process.stderr).
+ */
+function setLogStream(stream) {
+  output = new Console({ stdout: stream, stderr: process.stderr });
+}
+
+/**
+ * Prints a progress message, as console.log() would.
+ *
+ * @param {...*} args - The message, and anything to print after it.
+ */
+function log(...args) {
+  output.log(...args);
+}
+
+/**
+ * Prints a table, as console.table() would.
+ *
+ * @param {Array<Object>|Object} data - The rows of the table.
+ */
+function logTable(data) {
+  output.table(data);
+}
+
+export { log, logTable, setLogStream };
@@ -1,44 +1,92 @@
 import inquirer from "inquirer";
 import { addCardsSameTags, addCardsDifferentTags } from "./anki_helper.js";
-import scrapePage from "./scrape_page.js";
+import { reviewInBrowser } from "./review_server.js";
 import generateFlashCardText from "./generate_flashcard_text.js";
 import { writeLogs } from "./utils.js";
+import { exportCards } from "./exporters.js";
+import { countOutbox, syncOutbox, printSyncReport } from "./outbox.js";
+import { printCacheInfo } from "./cache.js";
 import { confirmSettings } from "./settings.js";
-import mainUserInputHandler from "./main_user_prompts.js";
+import { isHeadless, runCli } from "./cli.js";
+import mainUserInputHandler, {
+  confirmCostEstimate,
+  promptClearCache,
+} from "./main_user_prompts.js";
+import { estimateRequestCost, printSpendSummary } from "./cost_tracking.js";
+import {
+  getSourceSegments,
+  describeSource,
+  readPipedStdin,
+} from "./sources.js";
 
 /**
  * Main function to handle the execution flow of the application. It confirms the settings, runs the main handler, and prompts the user
  * to either run again, edit settings, or exit the application.
  *
+ * Any text piped to the script on stdin is read up front (see: readPipedStdin() in './sources.js'), and offered as a source
+ * on each run.
+ *
+ * Cards accepted while AnkiConnect couldn't be reached are queued in the outbox; syncing it pushes them to Anki once it's
+ * running (see: './outbox.js').
+ *
+ * Fetched pages and model responses are cached on disk (see: './cache.js'); managing the cache shows what's in it,
+ * and offers to clear it.
+ *
  * Editing settings will establish a secondary loop where the user can adjust the settings before returning to the primary execution loop.
  * Prompts and functions associated with the main execution flow are found in './main_user_prompts.js'.
  * Prompts and functions associated with editing settings are found in './settings.js'.
  *
  * The OpenAI API key is assumed to be stored in an environment variable named OPENAI_API_KEY, which is accessed in './constants.js', and
- * stored in the apiKey variable, which is subsequently used by:
- *  - generateFlashCardText() in './generate_flashcard_text.js'
- *  - sendChatRequest() in './generate_flashcard_text.js'
- *  - getModels() in './utils.js'
+ * stored in the apiKey variable, which is subsequently used by the "openai" provider in './providers.js'. All requests to the model,
+ * from generateFlashCardText() in './generate_flashcard_text.js' and getModels() in './utils.js', go through the provider chosen in
+ * the settings, which may instead be a local OpenAI-compatible server or the offline mock provider.
+ *
+ * If the script is started with command line flags, the prompts are skipped entirely and the pipeline runs
+ * headless instead; see runCli() in './cli.js'.
  *
  * @function main
  * @returns {Promise<void>} A promise that resolves when the application exits.
  */
 async function main() {
+  const argv = process.argv.slice(2);
+  if (isHeadless(argv)) {
+    process.exitCode = await runCli(argv);
+    return;
+  }
+
+  const stdinText = await readPipedStdin();
   const settings = await confirmSettings();
   let exit = false;
 
   while (!exit) {
-    await mainHandler(settings);
+    await mainHandler(settings, stdinText);
 
     const { runAgain } = await inquirer.prompt({
       type: "list",
       name: "runAgain",
       message: "Run again or edit settings?",
-      choices: ["Run again", "Edit settings", "Exit"],
+      choices: [
+        "Run again",
+        "Edit settings",
+        "View spend",
+        {
+          name: `Sync outbox (${countOutbox(settings.logDirectory)} queued)`,
+          value: "Sync outbox",
+        },
+        "Manage cache",
+        "Exit",
+      ],
     });
 
     if (runAgain === "Edit settings") {
       await confirmSettings();
+    } else if (runAgain === "View spend") {
+      printSpendSummary(settings.logDirectory);
+    } else if (runAgain === "Sync outbox") {
+      printSyncReport(await syncOutbox(settings));
+    } else if (runAgain === "Manage cache") {
+      printCacheInfo(settings.logDirectory);
+      await promptClearCache(settings.logDirectory);
     } else if (runAgain === "Exit") {
       exit = true;
     }
@@ -49,7 +97,74 @@ async function main() {
 
 /**
  * Main handler function that takes user in input (as returned by mainUserInputHandler() in './main_user_prompts.js'),
- * and passes this data along to the scrapePage() function in './scrape_page.js' to extract text from the webpage.
+ * and passes each chosen source, with the deck its cards are to be added to, along to processSource(). A single URL,
+ * pasted text or piped text makes for a single source; importing a directory makes a source of each file in it.
+ *
+ * If the user elects to export the cards to a file rather than add them to Anki, the cards accepted from every
+ * source are collected and written once all have been processed (see: exportCards() in './exporters.js').
+ *
+ * Finally, if the user elects to save the fetched data to logs, the generated flashcards are written to a log file using the
+ * writeLogs() function in './utils.js'.
+ * cardsToLog is populated with the front and back of each card that was added to Anki as well as the date of card generation.
+ * Only those cards selected for addition are logged.
+ *
+ * @param {Object} settings - The settings object containing various configurations; see processSource().
+ * @param {string} settings.logDirectory - The directory where logs and the spend ledger should be saved.
+ * @param {string|null} stdinText - Text piped to the script on stdin, if any.
+ * @returns {Promise<void>} - A promise that resolves when the main handler has completed its tasks.
+ */
+async function mainHandler(settings, stdinText) {
+  const { jobs, saveToLogs, addTags, tags, output } =
+    await mainUserInputHandler(settings, stdinText);
+  const exported = output ? [] : null;
+
+  for (const { source, deckName } of jobs) {
+    if (jobs.length > 1) {
+      console.log(`\nProcessing ${describeSource(source)}...`);
+    }
+    const cardsToLog = await processSource(
+      settings,
+      source,
+      deckName,
+      addTags,
+      tags,
+      exported
+    );
+
+    if (saveToLogs) {
+      writeLogs(settings.logDirectory, cardsToLog);
+    }
+  }
+
+  if (output && exported.length) {
+    try {
+      const written = await exportCards(
+        output.format,
+        settings,
+        output.path,
+        jobs[0].deckName,
+        exported
+      );
+      console.log(`\nExported ${written.notes} card(s) to ${output.path}.`);
+    } catch (error) {
+      console.error(
+        `Error exporting cards to ${output.path}: ${error.message}`
+      );
+    }
+  }
+}
+
+/**
+ * Generates flashcards from a single source and adds those the user accepts to the given deck.
+ *
+ * The source is passed to getSourceSegments() in './sources.js' to get the text to generate flashcards from;
+ * for URLs, this calls scrapePage() in './scrape_page.js' to extract text from the webpage. Pasted and piped text is
+ * split into paragraphs, local files are read by readSourceFile() in './file_import.js', and PDF/EPUB documents are
+ * read page-by-page or chapter-by-chapter by readDocument() in './document_import.js'. Sources with no text are skipped,
+ * as are web pages that can't be fetched (e.g. disallowed by robots.txt, or 'HTTP 404 Not Found'), saying why.
+ *
+ * Before any requests are sent, the estimated tokens and cost of the requests are displayed (see: estimateRequestCost()
+ * in './cost_tracking.js') and the user is prompted to confirm or abort. Runs are blocked once the monthly budget is reached.
  *
  * The extracted text is then passed to the generateFlashCardText() function in './generate_flashcard_text.js' to generate
  * question and answer pairs to be used for flashcards.
@@ -62,10 +177,8 @@ async function main() {
  * which prompts the user to review each flashcard as above, and if it is selected for addtion, the user is prompted to enter
  * tags for that specific card.
  *
- * Finally, if the user elects to save the fetched data to logs, the generated flashcards are written to a log file using the
- * writeLogs() function in './utils.js'.
- * cardsToLog is populated with the front and back of each card that was added to Anki as well as the date of card generation.
- * Only those cards selected for addition are logged.
+ * If reviewMode is set to "browser", the flashcards are instead reviewed all at once on a page served from localhost
+ * (see: reviewInBrowser() in './review_server.js'), where each card's tags start as those entered for all cards.
  *
  * @param {Object} settings - The settings object containing various configurations.
  * @param {string} settings.ankiUrl - The URL for the Anki API.
@@ -73,48 +186,83 @@ async function main() {
  * @param {Array<string>} settings.excludeIDs - List of element IDs to exclude during page scraping.
  * @param {Array<string>} settings.excludeClasses - List of element clasess to exclude during page scraping.
  * @param {Array<string>} settings.includeElements - List of elements to include during page scraping.
+ * @param {string} settings.extractionMode - How the text of web pages is picked out, unless chosen for the source.
  * @param {string} settings.context - The context for generating flashcard text.
  * @param {string} settings.model - The model to use for generating flashcard text.
- * @param {string} settings.logDirectory - The directory where logs should be saved.
- * @returns {Promise<void>} - A promise that resolves when the main handler has completed its tasks.
+ * @param {number} settings.maxChunkTokens - The maximum number of tokens of page text sent per request.
+ * @param {string} settings.logDirectory - The directory where the spend ledger should be saved.
+ * @param {number} settings.monthlyBudget - The monthly spend cap in USD; 0 for no cap.
+ * @param {string} settings.noteType - The note type cards are added as.
+ * @param {Object} settings.fieldMapping - The card part (question, answer, extra, source) to put in each of the note type's fields.
+ * @param {string} settings.cardMode - "basic" for question/answer cards, or "cloze" for cloze deletions.
+ * @param {boolean} settings.tagSource - Whether to tag each card with its source, e.g. 'source::example.com'.
+ * @param {string} settings.reviewMode - "terminal" to review cards one at a time, or "browser" to review them on a page.
+ * @param {Object} source - The source of the text; see './sources.js'.
+ * @param {string} deckName - The name of the deck to add cards to.
+ * @param {string} addTags - The user's choice for adding tags to the generated cards.
+ * @param {Array<string>} tags - The tags to add to all cards, if the same tags are added to all cards.
+ * @param {Array<Object>|null} exported - Where to collect the accepted cards if they're being exported to a file
+ *   rather than added to Anki; see finishAdding() in './anki_helper.js'.
+ * @returns {Promise<Array<{front: string, back: string}>>} - A promise that resolves to the cards added to Anki
+ *   (or accepted for export).
  */
-async function mainHandler(settings) {
-  let cardsToLog = [];
-  const { urlResponse, deckName, saveToLogs, addTags, tags } =
-    await mainUserInputHandler(settings.ankiUrl);
+async function processSource(
+  settings,
+  source,
+  deckName,
+  addTags,
+  tags,
+  exported
+) {
+  let segments;
+  try {
+    segments = await getSourceSegments(source, settings);
+  } catch (error) {
+    console.error(`${error.message}; skipping.`);
+    return [];
+  }
+  if (segments.length === 0) {
+    console.log(`No text found in ${describeSource(source)}; skipping.`);
+    return [];
+  }
 
-  const pageText = await scrapePage(
-    urlResponse,
-    settings.excludeElements,
-    settings.excludeIDs,
-    settings.excludeClasses,
-    settings.includeElements
+  const estimate = estimateRequestCost(
+    segments,
+    settings.context,
+    settings.model,
+    settings.maxChunkTokens,
+    settings.provider
   );
+  const proceed = await confirmCostEstimate(
+    estimate,
+    settings.logDirectory,
+    settings.monthlyBudget
+  );
+  if (!proceed) {
+    console.log("Run aborted; no requests sent.");
+    return [];
+  }
 
   const flashcardText = await generateFlashCardText(
-    pageText,
-    settings.context,
-    settings.model
+    segments,
+    settings,
+    describeSource(source)
   );
 
-  if (addTags !== "Choose tags per card") {
-    cardsToLog = await addCardsSameTags(
-      settings.ankiUrl,
+  if (settings.reviewMode === "browser") {
+    return reviewInBrowser(
+      settings,
       flashcardText,
       deckName,
-      tags
-    );
-  } else {
-    cardsToLog = await addCardsDifferentTags(
-      settings.ankiUrl,
-      flashcardText,
-      deckName
+      tags,
+      segments,
+      exported
     );
   }
-
-  if (saveToLogs) {
-    writeLogs(settings.logDirectory, cardsToLog);
+  if (addTags !== "Choose tags per card") {
+    return addCardsSameTags(settings, flashcardText, deckName, tags, exported);
   }
+  return addCardsDifferentTags(settings, flashcardText, deckName, exported);
 }
 
 main();
@@ -1,14 +1,30 @@
 import inquirer from "inquirer";
-import { validateURL } from "./input_validation.js";
+import {
+  validateURL,
+  validateSourcePath,
+  validateRange,
+  validateDocumentPath,
+} from "./input_validation.js";
 import { createDeckPrompt } from "./anki_helper.js";
 import { deckNamesAndIds, createDeck } from "./anki.js";
+import { getMonthlySpend, formatCost } from "./cost_tracking.js";
+import { listSourceFiles, supportsLineRange } from "./file_import.js";
+import { describeSource } from "./sources.js";
+import { getPdfPageCount, listEpubChapters } from "./document_import.js";
+import { comparePage } from "./scrape_page.js";
+import { exporters, exportFormats, defaultExportPath } from "./exporters.js";
+import { cacheKinds, clearCache } from "./cache.js";
 
 /**
  * Handles the main user input for fetching data, selecting or creating a deck,
  * saving logs, and adding tags to generated cards.
  *
- * Prompts the user for the URL to fetch data from, the deck to which cards will be added,
- * whether to save the fetched data to logs, and whether to add tags to the generated cards.
+ * Prompts the user for the source(s) of the text (see: promptSources()), the deck to which cards will be added,
+ * whether to add the cards to Anki or export them to a file (see: promptOutput()), whether to save the fetched
+ * data to logs, and whether to add tags to the generated cards.
+ *
+ * Each source is paired with the deck its cards will be added to (see: promptDecks()); when a directory of files
+ * is imported, the user can choose one deck for all of them, or a deck per file.
  *
  * If a new deck is required, the user is prompted to enter the deck name and resulting promise
  * is resolved into the deckName variable.
@@ -18,48 +34,38 @@ import { deckNamesAndIds, createDeck } from "./anki.js";
  * If all cards are to have the same tags or no tags, the user is prompted to enter the tags at
  * this stage, else tags are handled in the addCardsDifferentTags() function in './anki_helper.js'.
  *
- * currentDecks is populated here and passed along (to the deckResponse prompt here and to
+ * If AnkiConnect can't be reached (e.g. Anki isn't open), deck names are entered by hand instead (see: promptDeck()),
+ * and cards accepted for Anki are queued in the outbox, to be added by a later sync (see: './outbox.js').
+ *
+ * currentDecks is populated here and passed along (to the deckResponse prompt in promptDeck() and to
  * createDeckPrompt() in './anki_helper.js', should the user require a new deck being created);
  * this helps avoid overlapping API calls to the AnkiConnect server.
  *
- * @param {string} ankiUrl - The URL of the Anki server.
+ * @param {Object} settings - The settings object containing various configurations.
+ * @param {string} settings.ankiUrl - The URL of the Anki server.
+ * @param {string|null} stdinText - Text piped to the script on stdin, if any.
  * @returns {Promise<Object>} - A promise that resolves to an object containing user inputs:
- *   - urlResponse {string}: The URL entered by the user to fetch data from.
- *   - deckName {string}: The name of the selected or created deck.
+ *   - jobs {Array<{source: Object, deckName: string}>}: Each source of text (see './sources.js'),
+ *     with the name of the selected or created deck its cards will be added to.
  *   - saveToLogs {boolean}: Whether to save the fetched data to logs.
  *   - addTags {string}: The user's choice for adding tags to the generated cards.
  *   - tags {Array<string>}: An array of tags to add to the cards.
+ *   - output {{format: string, path: string}|null}: The format and path to export the cards to, or null to add
+ *     them to Anki.
  */
-async function mainUserInputHandler(ankiUrl) {
-  let deckName;
+async function mainUserInputHandler(settings, stdinText) {
+  const ankiUrl = settings.ankiUrl;
   let tags = [];
   const currentDecks = await deckNamesAndIds(ankiUrl);
-  const { urlResponse } = await inquirer.prompt({
-    type: "input",
-    name: "urlResponse",
-    message:
-      "Enter the absolute URL to fetch data from (e.g.: https://www.example.com):",
-    validate: function (input) {
-      const validationResponse = validateURL(input);
-      return (
-        validationResponse.validUrl ||
-        `Error with URL: ${validationResponse.error}`
-      );
-    },
-  });
-  const { deckResponse } = await inquirer.prompt({
-    type: "list",
-    name: "deckResponse",
-    message: "Select a deck to add cards to:",
-    choices: Object.keys(currentDecks).concat("Create new deck"),
-  });
-
-  if (deckResponse === "Create new deck") {
-    deckName = await createDeckPrompt(ankiUrl, currentDecks);
-    await createDeck(ankiUrl, deckName);
-  } else {
-    deckName = deckResponse;
+  if (!currentDecks) {
+    console.log(
+      `AnkiConnect can't be reached at ${ankiUrl}; enter deck names by hand.\n` +
+        "Cards accepted for Anki will be queued in the outbox, to sync once Anki is running."
+    );
   }
+  const sources = await promptSources(stdinText, settings);
+  const jobs = await promptDecks(ankiUrl, currentDecks, sources);
+  const output = await promptOutput(jobs[0].deckName);
 
   const { saveToLogs } = await inquirer.prompt({
     type: "confirm",
@@ -94,7 +100,450 @@ async function mainUserInputHandler(ankiUrl) {
   } else if (addTags === "No tags") {
     tags = [];
   }
-  return { urlResponse, deckName, saveToLogs, addTags, tags };
+  return { jobs, saveToLogs, addTags, tags, output };
+}
+
+/**
+ * Prompts the user to choose where the accepted cards go: into Anki, through AnkiConnect, or into a file in one
+ * of the export formats (see: './exporters.js'), at a path defaulting to one named after the deck.
+ *
+ * @param {string} deckName - The name of the (first) deck the cards go to.
+ * @returns {Promise<{format: string, path: string}|null>} - A promise that resolves to the export format and path,
+ *   or null to add the cards to Anki.
+ */
+async function promptOutput(deckName) {
+  const { format } = await inquirer.prompt({
+    type: "list",
+    name: "format",
+    message: "Where should the accepted cards go?",
+    choices: [{ name: "Add to Anki (AnkiConnect)", value: "anki" }].concat(
+      exportFormats.map((format) => ({
+        name: `Export: ${exporters[format].description}`,
+        value: format,
+      }))
+    ),
+    default: "anki",
+  });
+  if (format === "anki") {
+    return null;
+  }
+
+  const { path } = await inquirer.prompt({
+    type: "input",
+    name: "path",
+    message:
+      "Enter the path of the file to export to (overwritten if it exists):",
+    default: defaultExportPath(format, deckName),
+    validate: (input) => (input.trim() ? true : "Path cannot be empty."),
+  });
+  return { format, path: path.trim() };
+}
+
+/**
+ * Pairs each source with the deck its cards will be added to. A single source gets a single deck prompt;
+ * for several sources (i.e. a directory of files), the user can send all of them to one deck, or choose
+ * a deck per file.
+ *
+ * @param {string} ankiUrl - The URL of the Anki server.
+ * @param {Object} currentDecks - The names and IDs of existing decks.
+ * @param {Array<Object>} sources - The sources of text; see './sources.js'.
+ * @returns {Promise<Array<{source: Object, deckName: string}>>} - A promise that resolves to the sources paired with their decks.
+ */
+async function promptDecks(ankiUrl, currentDecks, sources) {
+  if (sources.length > 1) {
+    const { sameDeck } = await inquirer.prompt({
+      type: "confirm",
+      name: "sameDeck",
+      message: `Add cards from all ${sources.length} files to the same deck?`,
+      default: true,
+    });
+
+    if (!sameDeck) {
+      let jobs = [];
+      for (const source of sources) {
+        const deckName = await promptDeck(
+          ankiUrl,
+          currentDecks,
+          `Select a deck for cards from ${describeSource(source)}:`
+        );
+        jobs.push({ source, deckName });
+      }
+      return jobs;
+    }
+  }
+
+  const deckName = await promptDeck(
+    ankiUrl,
+    currentDecks,
+    "Select a deck to add cards to:"
+  );
+  return sources.map((source) => ({ source, deckName }));
+}
+
+/**
+ * Prompts the user to select a deck, or to create a new one. Newly created decks are added to currentDecks
+ * so that later prompts in the same run offer them too.
+ *
+ * If the decks couldn't be fetched, the deck name is entered instead; it's created when the outbox is synced, if
+ * it doesn't exist by then (see: syncOutbox() in './outbox.js').
+ *
+ * @param {string} ankiUrl - The URL of the Anki server.
+ * @param {Object|undefined} currentDecks - The names and IDs of existing decks; undefined if they couldn't be fetched.
+ * @param {string} message - The prompt message.
+ * @returns {Promise<string>} - A promise that resolves to the name of the selected or created deck.
+ */
+async function promptDeck(ankiUrl, currentDecks, message) {
+  if (!currentDecks) {
+    const { deckName } = await inquirer.prompt({
+      type: "input",
+      name: "deckName",
+      message: message.replace(/^Select/, "Enter the name of"),
+      validate: (input) => (input.trim() ? true : "Deck name cannot be empty."),
+    });
+    return deckName.trim();
+  }
+
+  const { deckResponse } = await inquirer.prompt({
+    type: "list",
+    name: "deckResponse",
+    message: message,
+    choices: Object.keys(currentDecks).concat("Create new deck"),
+  });
+
+  if (deckResponse !== "Create new deck") {
+    return deckResponse;
+  }
+
+  const deckName = await createDeckPrompt(ankiUrl, currentDecks);
+  await createDeck(ankiUrl, deckName);
+  currentDecks[deckName] = null;
+  return deckName;
+}
+
+/**
+ * Prompts the user to choose where the text for flashcard generation comes from:
+ *  - A URL to scrape, validated with validateURL() in './input_validation.js', and how to pick out its text (see:
+ *    promptExtractionMode()).
+ *  - Text pasted into an editor (opened per the EDITOR/VISUAL environment variables).
+ *  - Text piped to the script on stdin; only selectable if something was piped.
+ *  - A local text, Markdown or HTML file, or a directory of them (see './file_import.js'). For a single
+ *    text or Markdown file, the user can choose a range of lines to process.
+ *  - A PDF or EPUB document, from which the user chooses a range of pages or a list of chapters.
+ *
+ * @param {string|null} stdinText - Text piped to the script on stdin, if any.
+ * @param {Object} settings - The settings object; see promptExtractionMode().
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the source objects (one per file for directories);
+ *   see './sources.js'.
+ */
+async function promptSources(stdinText, settings) {
+  const { sourceType } = await inquirer.prompt({
+    type: "list",
+    name: "sourceType",
+    message: "Where should the text come from?",
+    choices: [
+      { name: "Scrape a URL", value: "url" },
+      { name: "Import a local file or directory", value: "file" },
+      { name: "Import a PDF or EPUB document", value: "document" },
+      { name: "Paste text into an editor", value: "paste" },
+      {
+        name: "Text piped on stdin",
+        value: "stdin",
+        disabled: stdinText ? false : "(nothing piped)",
+      },
+    ],
+  });
+
+  if (sourceType === "url") {
+    const { urlResponse } = await inquirer.prompt({
+      type: "input",
+      name: "urlResponse",
+      message:
+        "Enter the absolute URL to fetch data from (e.g.: https://www.example.com):",
+      validate: function (input) {
+        const validationResponse = validateURL(input);
+        return (
+          validationResponse.validUrl ||
+          `Error with URL: ${validationResponse.error}`
+        );
+      },
+    });
+    const extractionMode = await promptExtractionMode(urlResponse, settings);
+    return [{ type: "url", url: urlResponse, extractionMode }];
+  } else if (sourceType === "file") {
+    return promptFileSources();
+  } else if (sourceType === "document") {
+    return [await promptDocumentSource()];
+  } else if (sourceType === "paste") {
+    const { pastedText } = await inquirer.prompt({
+      type: "editor",
+      name: "pastedText",
+      message:
+        "Paste the text to generate flashcards from (save and close the editor when done):",
+      validate: function (input) {
+        return input.trim() ? true : "Text cannot be empty.";
+      },
+    });
+    return [{ type: "paste", text: pastedText }];
+  }
+  return [{ type: "stdin", text: stdinText }];
+}
+
+/**
+ * Prompts the user to choose how the text of a web page is picked out: by the include/exclude lists in settings,
+ * or by finding the page's main content automatically (see: extractPage() in './scrape_page.js'). The mode in
+ * settings is the default.
+ *
+ * The user can also compare the two first: the page is fetched and the text each mode picks out is printed (see:
+ * printExtractionComparison()), before the choice is offered again.
+ *
+ * @param {string} url - The URL of the web page.
+ * @param {Object} settings - The settings object containing various configurations.
+ * @param {string} settings.extractionMode - The default extraction mode.
+ * @returns {Promise<string>} - A promise that resolves to the extraction mode chosen.
+ */
+async function promptExtractionMode(url, settings) {
+  let extractionMode = "compare";
+
+  while (extractionMode === "compare") {
+    ({ extractionMode } = await inquirer.prompt({
+      type: "list",
+      name: "extractionMode",
+      message: "How should the text of the page be picked out?",
+      choices: [
+        {
+          name: "With the include/exclude lists in settings",
+          value: "selectors",
+        },
+        { name: "Find the main content automatically", value: "auto" },
+        { name: "Compare both first", value: "compare" },
+      ],
+      default: settings.extractionMode || "selectors",
+    }));
+    if (extractionMode === "compare") {
+      try {
+        printExtractionComparison(await comparePage(url, settings));
+      } catch (error) {
+        console.error(error.message);
+      }
+    }
+  }
+  return extractionMode;
+}
+
+/**
+ * Prints the text picked out of a page in each extraction mode (see: comparePage() in './scrape_page.js'): the
+ * number of blocks and words each found, then the blocks only one of them found.
+ *
+ * @param {Object<string, {title: string, text: string[]}>} comparison - The page as extracted in each mode.
+ */
+function printExtractionComparison(comparison) {
+  const modes = Object.keys(comparison);
+  console.table(
+    modes.map((mode) => ({
+      mode,
+      blocks: comparison[mode].text.length,
+      words: comparison[mode].text.join(" ").split(/\s+/).filter(Boolean)
+        .length,
+    }))
+  );
+  for (const mode of modes) {
+    const others = new Set(
+      modes
+        .filter((other) => other !== mode)
+        .flatMap((other) => comparison[other].text)
+    );
+    const only = comparison[mode].text.filter((block) => !others.has(block));
+    console.log(`\nOnly in ${mode} (${only.length} block(s)):`);
+    for (const block of only) {
+      console.log(
+        `  ${block.length > 100 ? `${block.slice(0, 100)}...` : block}`
+      );
+    }
+  }
+  console.log("");
+}
+
+/**
+ * Prompts the user for the path of a file or directory to import, validated with validateSourcePath()
+ * in './input_validation.js'. Directories are searched recursively for supported files.
+ *
+ * For a single text or Markdown file, the user is also prompted for a range of lines to process
+ * (validated with validateRange() in './input_validation.js'); left blank, the whole file is used.
+ *
+ * @returns {Promise<Array<Object>>} - A promise that resolves to a file source object for each file found.
+ */
+async function promptFileSources() {
+  let lineRange = "";
+  const { sourcePath } = await inquirer.prompt({
+    type: "input",
+    name: "sourcePath",
+    message:
+      "Enter the path of a .txt, .md or .html file, or a directory of them:",
+    validate: function (input) {
+      const result = validateSourcePath(input.trim());
+      return result.validPath ? true : `Error with path: ${result.error}`;
+    },
+  });
+  const files = listSourceFiles(sourcePath.trim());
+
+  if (files.length > 1) {
+    console.log(`Found ${files.length} files:\n${files.join("\n")}`);
+  } else if (supportsLineRange(files[0])) {
+    const response = await inquirer.prompt({
+      type: "input",
+      name: "lineRange",
+      message:
+        "Enter the range of lines to process (e.g.: 100-1000), or leave blank for the whole file:",
+      default: "",
+      validate: function (input) {
+        const result = validateRange(input);
+        return result.validRange ? true : `Error with range: ${result.error}`;
+      },
+    });
+    lineRange = response.lineRange;
+  }
+
+  return files.map((path) => ({ type: "file", path, lineRange }));
+}
+
+/**
+ * Prompts the user for the path of a PDF or EPUB document (validated with validateDocumentPath()
+ * in './input_validation.js', and by opening it, so that a corrupt or malformed document is asked for again),
+ * then for the part of it to process:
+ *  - For PDFs, a range of pages (e.g.: 20-25), validated with validateRange() against the number of pages; left
+ *    blank, every page is used.
+ *  - For EPUBs, a list of chapters chosen from the book's table of contents; if none are chosen, every chapter is used.
+ *
+ * @returns {Promise<Object>} - A promise that resolves to a document source object; see './sources.js'.
+ */
+async function promptDocumentSource() {
+  let pageCount;
+  let chapters;
+  const { docPath } = await inquirer.prompt({
+    type: "input",
+    name: "docPath",
+    message: "Enter the path of the .pdf or .epub file:",
+    validate: async function (input) {
+      const path = input.trim();
+      const result = validateDocumentPath(path);
+      if (!result.validPath) {
+        return `Error with path: ${result.error}`;
+      }
+      try {
+        if (path.toLowerCase().endsWith(".pdf")) {
+          pageCount = await getPdfPageCount(path);
+        } else {
+          chapters = await listEpubChapters(path);
+          if (!chapters.length) {
+            return "Error reading document: no chapters found";
+          }
+        }
+      } catch (error) {
+        return `Error reading document: ${error.message}`;
+      }
+      return true;
+    },
+  });
+  const path = docPath.trim();
+
+  if (path.toLowerCase().endsWith(".pdf")) {
+    const { pages } = await inquirer.prompt({
+      type: "input",
+      name: "pages",
+      message: `Enter the range of pages to process (1-${pageCount}, e.g.: 20-25), or leave blank for all pages:`,
+      default: "",
+      validate: function (input) {
+        const result = validateRange(input, pageCount);
+        return result.validRange ? true : `Error with range: ${result.error}`;
+      },
+    });
+    return { type: "document", path, pages: pages.trim() };
+  }
+
+  const { chapterNumbers } = await inquirer.prompt({
+    type: "checkbox",
+    name: "chapterNumbers",
+    message:
+      "Select the chapters to process (space to select, enter to confirm; none selected means all):",
+    choices: chapters.map((chapter) => ({
+      name: `${chapter.index}. ${chapter.title}`,
+      value: chapter.index,
+    })),
+    pageSize: 15,
+  });
+  return { type: "document", path, chapters: chapterNumbers };
+}
+
+/**
+ * Displays the estimated size and cost of the requests about to be sent to OpenAI (as returned by
+ * estimateRequestCost() in './cost_tracking.js') and prompts the user to confirm or abort.
+ *
+ * If a monthly budget is set (monthlyBudget > 0) and the spend recorded in the ledger this month has
+ * already reached it, the run is blocked without prompting. If the estimate would take spend over
+ * the budget, the user is warned but may still proceed.
+ *
+ * @param {Object} estimate - The estimated requests, inputTokens, outputTokens and cost.
+ * @param {string} logDirectory - The directory where the spend ledger is kept.
+ * @param {number} monthlyBudget - The monthly spend cap in USD; 0 for no cap.
+ * @returns {Promise<boolean>} - A promise that resolves to true if the requests should be sent.
+ */
+async function confirmCostEstimate(estimate, logDirectory, monthlyBudget) {
+  const spent = getMonthlySpend(logDirectory);
+
+  console.log("\nEstimated usage:");
+  console.log(`Requests: ${estimate.requests}`);
+  console.log(`Input tokens: ${estimate.inputTokens}`);
+  console.log(`Expected output tokens: ~${estimate.outputTokens}`);
+  console.log(`Estimated cost: ${formatCost(estimate.cost)}`);
+
+  if (monthlyBudget > 0) {
+    console.log(
+      `Spent this month: ${formatCost(spent)} of ${formatCost(monthlyBudget)}`
+    );
+    if (spent >= monthlyBudget) {
+      console.log(
+        "Monthly budget reached; raise monthlyBudget in settings to continue."
+      );
+      return false;
+    }
+    if (estimate.cost !== null && spent + estimate.cost > monthlyBudget) {
+      console.log("Warning: this run is likely to exceed the monthly budget.");
+    }
+  }
+
+  const { proceed } = await inquirer.prompt({
+    type: "confirm",
+    name: "proceed",
+    message: "Send the request(s)?",
+    default: true,
+  });
+  return proceed;
+}
+
+/**
+ * Prompts the user to clear the cache of fetched pages, of model responses, or all of it (see: './cache.js').
+ *
+ * @param {string} logDirectory - The directory holding the cache.
+ * @returns {Promise<void>} - A promise that resolves once the cache is cleared, or the user chooses not to.
+ */
+async function promptClearCache(logDirectory) {
+  const { kind } = await inquirer.prompt({
+    type: "list",
+    name: "kind",
+    message: "Clear the cache?",
+    choices: [
+      { name: "Keep it", value: null },
+      ...cacheKinds.map((cacheKind) => ({
+        name: `Clear cached ${cacheKind}`,
+        value: cacheKind,
+      })),
+      { name: "Clear everything", value: "all" },
+    ],
+  });
+  if (kind) {
+    console.log(`Removed ${clearCache(logDirectory, kind)} cache entries.`);
+  }
 }
 
 export default mainUserInputHandler;
+export { confirmCostEstimate, promptClearCache };
@@ -0,0 +1,204 @@
+import { createHash } from "crypto";
+import { storeMediaFile } from "./anki.js";
+import { politeGet } from "./polite_fetch.js";
+import { log } from "./logger.js";
+
+/**
+ * Images on cards.
+ *
+ * With extractImages on, the images and figures on a page are kept in its text as Markdown images, '![alt](url)',
+ * with any caption on the line after (see: outlineBlocks() in './html_outline.js'), and the model is asked to make
+ * picture cards by putting an image's Markdown on the front or back of a card (see: imageInstructions).
+ *
+ * When a card is turned into a note (see: buildNoteFields() in './anki_helper.js'), each image reference is rewritten
+ * as an <img> tag naming the file the image is stored under in Anki's media folder (see: mediaFileName()), and the
+ * images are downloaded and stored there through AnkiConnect before the notes are added (see: storeCardImages()).
+ * Anki packages bundle the images they refer to in the same way (see: writeApkg() in './apkg_export.js'); other
+ * exports keep each image's URL.
+ */
+
+const imagePattern = /!\[([^\]]*)\]\(([^)\s]+)\)/g;
+const imageExtensions = [
+  ".png",
+  ".jpg",
+  ".jpeg",
+  ".gif",
+  ".webp",
+  ".svg",
+  ".avif",
+  ".bmp",
+];
+
+/**
+ * The instructions sent to the model along with text holding images (see: requestFlashcards() in
+ * './generate_flashcard_text.js').
+ */
+const imageInstructions =
+  "Some of the text is images, given in Markdown as ![description](url), with any caption on the line after. " +
+  "Where an image is worth learning (e.g. a diagram, anatomy figure or floor plan), make picture cards: put the " +
+  "image's Markdown, exactly as given, on the front to ask what it shows or about a labelled part of it, or on the " +
+  "back to show it as the answer. Never invent image URLs.";
+
+/**
+ * Finds the images referred to in a piece of text.
+ *
+ * @param {string} text - The text (e.g. the front of a card).
+ * @returns {Array<{alt: string, url: string}>} - Each image's alt text and URL, in order.
+ */
+function imagesIn(text) {
+  return [...(text || "").matchAll(imagePattern)].map(([, alt, url]) => ({
+    alt,
+    url,
+  }));
+}
+
+/**
+ * Works out the name an image is stored under in Anki's media folder: the name of the file in its URL, made safe,
+ * followed by a hash of the whole URL, so that the same image is always stored under the same name, and different
+ * images with the same file name don't overwrite each other.
+ *
+ * @param {string} url - The URL of the image.
+ * @returns {string} - The file name (e.g. 'heart-diagram-1a2b3c4d.png').
+ */
+function mediaFileName(url) {
+  const hash = createHash("sha256").update(url).digest("hex").slice(0, 8);
+  let base = "image";
+  let extension = ".jpg";
+  try {
+    const name = decodeURIComponent(
+      new URL(url).pathname.split("/").pop() || ""
+    );
+    const dot = name.lastIndexOf(".");
+    if (dot > 0 && imageExtensions.includes(name.slice(dot).toLowerCase())) {
+      extension = name.slice(dot).toLowerCase();
+    }
+    base =
+      (dot > 0 ? name.slice(0, dot) : name)
+        .replace(/[^\w-]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 40) || base;
+  } catch (error) {
+    // Not a URL we can take a name from; the hash alone identifies it.
+  }
+  return `${base}-${hash}${extension}`;
+}
+
+/**
+ * Rewrites the image references in a piece of text as <img> tags, for a note field.
+ *
+ * @param {string} text - The text.
+ * @param {boolean|Set<string>} [stored=true] - Whether to refer to each image by the name it's stored under in Anki's
+ *   media folder (see: mediaFileName()), or by its URL, for notes exported to files rather than added to Anki; or the
+ *   URLs of the images to refer to by name, the rest keeping their URLs.
+ * @returns {string} - The text, with each '![alt](url)' replaced by '<img src="..." alt="...">'.
+ */
+function renderImages(text, stored = true) {
+  return (text || "").replace(imagePattern, (match, alt, url) => {
+    const src = (stored instanceof Set ? stored.has(url) : stored)
+      ? mediaFileName(url)
+      : url;
+    return `<img src="${src.replace(/"/g, "&quot;")}" alt="${alt.replace(/"/g, "&quot;")}">`;
+  });
+}
+
+// The images stored this session, so that an image on several cards is only downloaded once.
+const storedImages = new Set();
+
+/**
+ * Lists the URLs of the images on the given cards, each once.
+ *
+ * @param {Array<{front: string, back: string, extra?: string}>} cards - The cards.
+ * @returns {Set<string>} - The image URLs.
+ */
+function cardImageUrls(cards) {
+  return new Set(
+    cards.flatMap((card) =>
+      imagesIn([card.front, card.back, card.extra].join("\n")).map(
+        ({ url }) => url
+      )
+    )
+  );
+}
+
+/**
+ * Downloads the images on the given cards, politely (see: storeCardImages()), for bundling in an Anki package.
+ * An image that can't be downloaded is reported, and left out.
+ *
+ * @param {Object} settings - The settings object.
+ * @param {Array<{front: string, back: string, extra?: string}>} cards - The cards.
+ * @returns {Promise<Map<string, Buffer>>} - A promise that resolves to the contents of each image downloaded, by URL.
+ */
+async function downloadCardImages(settings, cards) {
+  let images = new Map();
+  for (const url of cardImageUrls(cards)) {
+    try {
+      images.set(url, (await politeGet(url, settings, {}, "arraybuffer")).data);
+    } catch (error) {
+      console.error(`Could not download image: ${error.message}`);
+    }
+  }
+  return images;
+}
+
+/**
+ * Downloads the images referred to on the given cards, and stores them in Anki's media folder under the names their
+ * notes refer to them by (see: mediaFileName()). Images are downloaded politely, with the same robots.txt checks,
+ * rate limits and request profiles as pages (see: politeGet() in './polite_fetch.js').
+ *
+ * An image that can't be downloaded or stored is reported, and left out; its cards are still added, with the image
+ * missing.
+ *
+ * @param {Object} settings - The settings object.
+ * @param {string} settings.ankiUrl - The URL of the AnkiConnect API.
+ * @param {Array<{front: string, back: string, extra?: string}>} cards - The cards.
+ * @returns {Promise<{stored: number, failed: number, unreachable: boolean}>} - A promise that resolves to the
+ *   number of images stored and that failed, and whether AnkiConnect couldn't be reached at all (in which case
+ *   nothing more was tried).
+ */
+async function storeCardImages(settings, cards) {
+  const urls = cardImageUrls(cards);
+  let stored = 0;
+  let failed = 0;
+
+  for (const url of urls) {
+    const filename = mediaFileName(url);
+    if (storedImages.has(filename)) {
+      continue;
+    }
+    let image;
+    try {
+      image = await politeGet(url, settings, {}, "arraybuffer");
+    } catch (error) {
+      console.error(`Could not download image: ${error.message}`);
+      failed += 1;
+      continue;
+    }
+    const result = await storeMediaFile(
+      settings.ankiUrl,
+      filename,
+      image.data.toString("base64")
+    );
+    if (result.unreachable) {
+      return { stored, failed, unreachable: true };
+    }
+    if (result.filename) {
+      storedImages.add(filename);
+      stored += 1;
+    } else {
+      failed += 1;
+    }
+  }
+  if (stored) {
+    log(`Stored ${stored} image(s) in Anki's media folder.`);
+  }
+  return { stored, failed, unreachable: false };
+}
+
+export {
+  imageInstructions,
+  imagesIn,
+  mediaFileName,
+  renderImages,
+  storeCardImages,
+  downloadCardImages,
+};
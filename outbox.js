@@ -0,0 +1,193 @@
+import { existsSync, readFileSync, writeFileSync } from "fs";
+import { join } from "path";
+import { randomUUID } from "crypto";
+import { deckNamesAndIds, createDeck, addNewNotes } from "./anki.js";
+import { storeCardImages } from "./media.js";
+import { log, logTable } from "./logger.js";
+
+/**
+ * Offline outbox.
+ *
+ * When AnkiConnect can't be reached as accepted cards are being added (e.g. Anki isn't open), the notes are
+ * queued in the outbox instead of being lost (see: addCardsToAnki() in './anki_helper.js'). The outbox is a JSON
+ * file in the log directory, kept until the cards are synced: each entry records when it was queued, the card
+ * (with its provenance), and the note exactly as it would have been sent to AnkiConnect, deck and tags included.
+ *
+ * Syncing (see: syncOutbox()) pushes the queued notes to Anki once it's running, creating any of their decks that
+ * don't exist yet. Notes that are added, or that Anki rejects as duplicates, leave the outbox; any that fail for
+ * another reason stay queued for the next sync.
+ */
+
+const outboxFile = "outbox.json";
+
+/**
+ * Loads the outbox from the given directory.
+ *
+ * @param {string} directory - The directory containing the outbox file.
+ * @returns {Array<{id: string, queued: string, card: Object, note: Object}>} - The queued entries, or an empty
+ *   array if there is no outbox yet.
+ */
+function loadOutbox(directory) {
+  const filepath = join(directory, outboxFile);
+  if (!existsSync(filepath)) {
+    return [];
+  }
+  try {
+    return JSON.parse(readFileSync(filepath, "utf8"));
+  } catch (error) {
+    console.error(`Error reading ${filepath}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Writes the outbox to the given directory.
+ *
+ * @param {string} directory - The directory containing the outbox file.
+ * @param {Array<Object>} entries - The queued entries.
+ * @returns {boolean} - Whether the outbox was written.
+ */
+function saveOutbox(directory, entries) {
+  const filepath = join(directory, outboxFile);
+  try {
+    writeFileSync(filepath, JSON.stringify(entries, null, 2));
+    return true;
+  } catch (error) {
+    console.error(`Error writing outbox to ${filepath}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Queues notes in the outbox, to be added to Anki by a later sync.
+ *
+ * @param {string} directory - The directory containing the outbox file.
+ * @param {Array<{card: Object, note: Object}>} queued - Each card, with the note built from it (see: buildNote()
+ *   in './anki_helper.js').
+ * @returns {boolean} - Whether the notes were queued.
+ */
+function queueNotes(directory, queued) {
+  const date = new Date().toISOString();
+  return saveOutbox(
+    directory,
+    loadOutbox(directory).concat(
+      queued.map(({ card, note }) => ({
+        id: randomUUID(),
+        queued: date,
+        card,
+        note,
+      }))
+    )
+  );
+}
+
+/**
+ * Counts the notes queued in the outbox.
+ *
+ * @param {string} directory - The directory containing the outbox file.
+ * @returns {number} - The number of queued notes.
+ */
+function countOutbox(directory) {
+  return loadOutbox(directory).length;
+}
+
+/**
+ * Pushes the notes queued in the outbox to Anki, in a single request sending only the notes Anki will accept (see:
+ * addNewNotes() in './anki.js'), creating any decks they go to that don't exist yet, and storing the images on their
+ * cards (see: storeCardImages() in './media.js'). Each note is reported as:
+ *  - "added": the note was added, and has left the outbox.
+ *  - "duplicate": Anki would reject the note as a duplicate of one already in the deck (or of another queued note),
+ *    so it wasn't sent; it has left the outbox.
+ *  - "failed": the note wasn't added for any other reason (e.g. its deck couldn't be created, or Anki refused it
+ *    for a missing note type or an empty first field), and stays queued, to be synced again once that's put right.
+ *
+ * @param {Object} settings - The settings object containing various configurations.
+ * @param {string} settings.ankiUrl - The URL of the AnkiConnect API.
+ * @param {string} settings.logDirectory - The directory containing the outbox file.
+ * @returns {Promise<{report: Array<{card: Object, deckName: string, status: string, noteId: number|null}>,
+ *   remaining: number, error: string|null}>} - A promise that resolves to what became of each queued note, the
+ *   number still queued, and an error if Anki couldn't be reached (in which case nothing was synced).
+ */
+async function syncOutbox(settings) {
+  const entries = loadOutbox(settings.logDirectory);
+  if (!entries.length) {
+    return { report: [], remaining: 0, error: null };
+  }
+
+  const decks = await deckNamesAndIds(settings.ankiUrl);
+  if (!decks) {
+    return {
+      report: [],
+      remaining: entries.length,
+      error: `Could not reach AnkiConnect at ${settings.ankiUrl}`,
+    };
+  }
+  let missingDecks = new Set();
+  for (const deckName of new Set(entries.map(({ note }) => note.deckName))) {
+    if (
+      !Object.keys(decks).includes(deckName) &&
+      !(await createDeck(settings.ankiUrl, deckName))
+    ) {
+      missingDecks.add(deckName);
+    }
+  }
+
+  const syncable = entries.filter(
+    ({ note }) => !missingDecks.has(note.deckName)
+  );
+  await storeCardImages(
+    settings,
+    syncable.map(({ card }) => card)
+  );
+  const { ids, statuses } = await addNewNotes(
+    settings.ankiUrl,
+    syncable.map(({ note }) => note)
+  );
+
+  const report = entries.map(({ card, note }) => {
+    const i = syncable.findIndex((entry) => entry.note === note);
+    return {
+      card,
+      deckName: note.deckName,
+      status: i === -1 ? "failed" : statuses[i],
+      noteId: i === -1 ? null : ids[i],
+    };
+  });
+  const remaining = entries.filter((entry, i) => report[i].status === "failed");
+  saveOutbox(settings.logDirectory, remaining);
+
+  return { report, remaining: remaining.length, error: null };
+}
+
+/**
+ * Prints what became of each note synced (see: syncOutbox()), followed by a count of each.
+ *
+ * @param {{report: Array<Object>, remaining: number, error: string|null}} result - The result of the sync.
+ */
+function printSyncReport({ report, remaining, error }) {
+  if (error) {
+    log(`${error}; ${remaining} card(s) still queued.`);
+    return;
+  }
+  if (!report.length) {
+    log("\nThe outbox is empty; nothing to sync.");
+    return;
+  }
+  log("\nSynced cards:");
+  logTable(
+    report.map(({ card, deckName, status }) => ({
+      status,
+      deck: deckName,
+      front: card.front,
+    }))
+  );
+  const counts = { added: 0, duplicate: 0, failed: 0 };
+  for (const { status } of report) {
+    counts[status] += 1;
+  }
+  log(
+    `${counts.added} added, ${counts.duplicate} duplicate, ${counts.failed} failed; ${remaining} still queued.`
+  );
+}
+
+export { queueNotes, countOutbox, syncOutbox, printSyncReport };
@@ -0,0 +1,478 @@
+import axios from "axios";
+import { requestOptions, requestProxy } from "./request_profiles.js";
+import { log } from "./logger.js";
+
+/**
+ * Polite fetching of web pages.
+ *
+ * Every page scraped (see: scrapePage() in './scrape_page.js') is fetched through politeGet(), which:
+ *  - Checks the site's robots.txt first, fetched once per site and cached for a day, unless it couldn't be fetched
+ *    (see: isAllowedByRobots()).
+ *    Pages it disallows for our user agent aren't fetched. Set obeyRobotsTxt to false in settings to skip the check.
+ *  - Identifies itself with the User-Agent in settings (userAgent).
+ *  - Waits at least requestDelay seconds between requests to the same host, or longer if robots.txt asks for a
+ *    longer Crawl-delay.
+ *  - Gives up on a request after requestTimeout seconds.
+ *  - Retries transient failures (timeouts, dropped connections, 429 Too Many Requests and 5xx server errors) up to
+ *    maxRetries times, waiting longer after each (1s, 2s, 4s...), or as long as the server's Retry-After asks.
+ *  - Follows redirects itself, checking each new URL against robots.txt, and reports each one.
+ *  - Sends the cookies, headers and bearer token of the request profile matching each URL, through its proxy, if
+ *    it has one (see: './request_profiles.js'); robots.txt goes through the proxy too, but without credentials.
+ *  - Passes along any extra request headers given, such as If-None-Match for a cached copy (see: './cache.js'),
+ *    in which case a 304 Not Modified response is returned rather than thrown.
+ * Failures are thrown as errors saying what went wrong (e.g. 'HTTP 404 Not Found: https://...'), rather than
+ * leaving the caller with an empty page.
+ */
+
+const defaultUserAgent = "pagetext-to-flashcards/1.0";
+const robotsMaxAge = 24 * 60 * 60 * 1000;
+const maxRedirects = 5;
+const maxBackoff = 60;
+const retryStatuses = [408, 425, 429, 500, 502, 503, 504];
+const retryErrorCodes = [
+  "ECONNABORTED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+  "ERR_SOCKET_CONNECTION_TIMEOUT",
+];
+
+// robots.txt rules by origin (e.g. 'https://example.com'), and when each host was last requested.
+const robotsCache = new Map();
+const lastRequests = new Map();
+
+/**
+ * Works out the fetch options from settings, filling in defaults for any not set.
+ *
+ * @param {Object} settings - The settings object.
+ * @param {string} [settings.userAgent] - The User-Agent to send.
+ * @param {boolean} [settings.obeyRobotsTxt=true] - Whether to check robots.txt.
+ * @param {number} [settings.requestDelay=1] - The minimum seconds between requests to the same host.
+ * @param {number} [settings.requestTimeout=30] - The seconds to wait for a response.
+ * @param {number} [settings.maxRetries=3] - How many times to retry a transient failure.
+ * @returns {{userAgent: string, obeyRobotsTxt: boolean, requestDelay: number, requestTimeout: number,
+ *   maxRetries: number}} - The fetch options.
+ */
+function fetchOptions(settings = {}) {
+  return {
+    userAgent: settings.userAgent || defaultUserAgent,
+    obeyRobotsTxt: settings.obeyRobotsTxt !== false,
+    requestDelay: settings.requestDelay ?? 1,
+    requestTimeout: settings.requestTimeout || 30,
+    maxRetries: settings.maxRetries ?? 3,
+  };
+}
+
+/**
+ * Waits for the given number of seconds.
+ *
+ * @param {number} seconds - The time to wait.
+ * @returns {Promise<void>} - A promise that resolves once the time is up.
+ */
+function sleep(seconds) {
+  return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+}
+
+/**
+ * Waits until a request to the host is allowed by the rate limit, then records the request.
+ *
+ * @param {string} host - The host about to be requested.
+ * @param {number} delay - The minimum seconds between requests to the host.
+ * @returns {Promise<void>} - A promise that resolves when the request can be sent.
+ */
+async function waitForHost(host, delay) {
+  const last = lastRequests.get(host);
+  const wait = last ? last + delay * 1000 - Date.now() : 0;
+  if (wait > 0) {
+    await sleep(wait / 1000);
+  }
+  lastRequests.set(host, Date.now());
+}
+
+/**
+ * Parses a robots.txt file, keeping the rules of the group for our user agent: the groups naming its product token
+ * (e.g. 'pagetext-to-flashcards'), or, if none does, the groups for '*'. As RFC 9309 asks, a group's user-agent
+ * must be our product token, matched case-insensitively (any '/version' is ignored); a part of it doesn't match.
+ *
+ * @param {string} text - The robots.txt file.
+ * @param {string} userAgent - Our User-Agent.
+ * @returns {{rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}} - The Allow and Disallow rules
+ *   that apply to us, and the Crawl-delay in seconds, if any.
+ */
+function parseRobots(text, userAgent) {
+  const token = userAgent.split("/")[0].trim().toLowerCase();
+  let groups = [];
+  let group = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const separator = line.indexOf(":");
+    if (separator === -1) {
+      continue;
+    }
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === "user-agent") {
+      if (!group || group.rules.length || group.crawlDelay !== null) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.split("/")[0].trim().toLowerCase());
+    } else if (!group) {
+      continue;
+    } else if ((field === "allow" || field === "disallow") && value) {
+      group.rules.push({ allow: field === "allow", path: value });
+    } else if (field === "crawl-delay" && Number(value) >= 0) {
+      group.crawlDelay = Number(value);
+    }
+  }
+
+  let matching = groups.filter((candidate) => candidate.agents.includes(token));
+  if (!matching.length) {
+    matching = groups.filter((candidate) => candidate.agents.includes("*"));
+  }
+  const delays = matching
+    .map((candidate) => candidate.crawlDelay)
+    .filter((delay) => delay !== null);
+  return {
+    rules: matching.flatMap((candidate) => candidate.rules),
+    crawlDelay: delays.length ? Math.max(...delays) : null,
+  };
+}
+
+/**
+ * Checks a path against robots.txt rules. The rule with the longest matching path wins; if an Allow and a Disallow
+ * rule match equally, Allow wins. Rule paths may use '*' for any characters and a trailing '$' to anchor the end.
+ *
+ * @param {string} path - The path and query of the URL (e.g. '/docs/page?id=1').
+ * @param {Array<{allow: boolean, path: string}>} rules - The rules; see parseRobots().
+ * @returns {boolean} - True if the path may be fetched.
+ */
+function robotsAllows(path, rules) {
+  let best = null;
+  for (const rule of rules) {
+    const anchored = rule.path.endsWith("$");
+    const pattern = (anchored ? rule.path.slice(0, -1) : rule.path)
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    if (!new RegExp(`^${pattern}${anchored ? "$" : ""}`).test(path)) {
+      continue;
+    }
+    if (
+      !best ||
+      rule.path.length > best.path.length ||
+      (rule.path.length === best.path.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+/**
+ * Fetches and caches a site's robots.txt rules. As robots.txt asks: if there's no robots.txt (a 4xx response),
+ * everything is allowed; if it can't be fetched (a 5xx response, or no response at all), nothing is. A failure to
+ * fetch it is likely to be temporary, so it isn't cached: the next request to the site tries robots.txt again.
+ *
+ * @param {URL} url - A URL on the site.
+ * @param {Object} options - The fetch options; see fetchOptions().
+ * @param {Object|null} [proxy=null] - The axios proxy option to fetch robots.txt through; null for the default.
+ * @returns {Promise<{rules: Array<Object>, crawlDelay: number|null, error: string|null}>} - A promise that
+ *   resolves to the rules for our user agent, and why the site is disallowed entirely, if it is.
+ */
+async function getRobots(url, options, proxy = null) {
+  const cached = robotsCache.get(url.origin);
+  if (cached && Date.now() - cached.fetched < robotsMaxAge) {
+    return cached.robots;
+  }
+
+  const robotsUrl = `${url.origin}/robots.txt`;
+  let robots;
+  try {
+    await waitForHost(url.host, options.requestDelay);
+    const response = await axios.get(robotsUrl, {
+      headers: { "User-Agent": options.userAgent },
+      timeout: options.requestTimeout * 1000,
+      responseType: "text",
+      validateStatus: () => true,
+      ...(proxy && { proxy }),
+    });
+    if (response.status >= 200 && response.status < 300) {
+      robots = { ...parseRobots(String(response.data), options.userAgent) };
+      robots.error = null;
+    } else if (response.status >= 400 && response.status < 500) {
+      robots = { rules: [], crawlDelay: null, error: null };
+    } else {
+      robots = {
+        rules: [],
+        crawlDelay: null,
+        error: `${robotsUrl} could not be fetched (HTTP ${response.status})`,
+      };
+    }
+  } catch (error) {
+    robots = {
+      rules: [],
+      crawlDelay: null,
+      error: `${robotsUrl} could not be fetched (${error.code || error.message})`,
+    };
+  }
+
+  if (!robots.error) {
+    robotsCache.set(url.origin, { robots, fetched: Date.now() });
+  }
+  return robots;
+}
+
+/**
+ * Checks whether robots.txt allows a URL to be fetched, and how long to wait between requests to its host.
+ *
+ * @param {string} url - The URL.
+ * @param {Object} [settings={}] - The settings object; see fetchOptions().
+ * @param {Object<string, Object>} [settings.requestProfiles] - Per-site request profiles, for the proxy to fetch
+ *   robots.txt through; see './request_profiles.js'.
+ * @returns {Promise<{allowed: boolean, crawlDelay: number|null, reason: string|null}>} - A promise that resolves
+ *   to whether the URL may be fetched (always, if obeyRobotsTxt is off), the site's Crawl-delay, and why not if
+ *   it may not.
+ */
+async function isAllowedByRobots(url, settings = {}) {
+  const options = fetchOptions(settings);
+  if (!options.obeyRobotsTxt) {
+    return { allowed: true, crawlDelay: null, reason: null };
+  }
+  const parsed = new URL(url);
+  if (parsed.pathname === "/robots.txt") {
+    return { allowed: true, crawlDelay: null, reason: null };
+  }
+
+  const robots = await getRobots(
+    parsed,
+    options,
+    requestProxy(url, settings.requestProfiles)
+  );
+  if (robots.error) {
+    return {
+      allowed: false,
+      crawlDelay: robots.crawlDelay,
+      reason: `${robots.error}, so the site is treated as disallowed`,
+    };
+  }
+  const allowed = robotsAllows(
+    `${parsed.pathname}${parsed.search}`,
+    robots.rules
+  );
+  return {
+    allowed,
+    crawlDelay: robots.crawlDelay,
+    reason: allowed ? null : `robots.txt on ${parsed.host} disallows ${url}`,
+  };
+}
+
+/**
+ * Works out how long to wait before retrying a request: as long as the server's Retry-After header asks (in
+ * seconds, or until a date), or else twice as long as last time, starting from a second.
+ *
+ * @param {number} attempt - The number of the retry, from 0.
+ * @param {Object} [headers] - The response headers, if there was a response.
+ * @returns {number} - The seconds to wait, up to a minute.
+ */
+function retryDelay(attempt, headers) {
+  const retryAfter = headers?.["retry-after"];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const wait = Number.isNaN(seconds)
+      ? (Date.parse(retryAfter) - Date.now()) / 1000
+      : seconds;
+    if (wait >= 0) {
+      return Math.min(wait, maxBackoff);
+    }
+  }
+  return Math.min(2 ** attempt, maxBackoff);
+}
+
+/**
+ * Describes a failed request.
+ *
+ * @param {string} url - The URL requested.
+ * @param {Object} options - The fetch options; see fetchOptions().
+ * @param {Object} [response] - The response, if there was one.
+ * @param {Error} [error] - The error, if there was no response.
+ * @returns {string} - What went wrong, e.g. 'HTTP 404 Not Found: https://...'.
+ */
+function describeFailure(url, options, response, error) {
+  if (response) {
+    return `HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ""}: ${url}`;
+  } else if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+    return `Timed out after ${options.requestTimeout}s: ${url}`;
+  } else if (error.code === "ENOTFOUND") {
+    return `Could not resolve ${new URL(url).hostname}: ${url}`;
+  } else if (error.code === "ECONNREFUSED") {
+    return `Connection refused: ${url}`;
+  }
+  return `${error.code || error.message}: ${url}`;
+}
+
+/**
+ * Sends a single GET request, without following redirects, retrying transient failures with backoff.
+ *
+ * @param {string} url - The URL.
+ * @param {Object} options - The fetch options; see fetchOptions().
+ * @param {number} delay - The minimum seconds between requests to the host.
+ * @param {Object<string, string>} [headers={}] - Extra request headers.
+ * @param {Object|null} [proxy=null] - The axios proxy option to send the request through; null for the default.
+ * @param {string} [responseType="text"] - "text" for a page, or "arraybuffer" for binary files such as images.
+ * @returns {Promise<Object>} - A promise that resolves to the axios response, whatever its status.
+ * @throws {Error} - Throws an error if there's still no response, or still a transient error status, once the
+ *   retries are used up.
+ */
+async function getWithRetries(
+  url,
+  options,
+  delay,
+  headers = {},
+  proxy = null,
+  responseType = "text"
+) {
+  const host = new URL(url).host;
+  for (let attempt = 0; ; attempt++) {
+    let response = null;
+    let error = null;
+    await waitForHost(host, delay);
+    try {
+      response = await axios.get(url, {
+        headers: {
+          "User-Agent": options.userAgent,
+          Accept:
+            responseType === "text"
+              ? "text/html,application/xhtml+xml;q=0.9,*/*;q=0.8"
+              : "*/*",
+          ...headers,
+        },
+        timeout: options.requestTimeout * 1000,
+        maxRedirects: 0,
+        responseType,
+        validateStatus: () => true,
+        ...(proxy && { proxy }),
+      });
+    } catch (requestError) {
+      error = requestError;
+    }
+
+    const transient = response
+      ? retryStatuses.includes(response.status)
+      : retryErrorCodes.includes(error.code);
+    if (!transient) {
+      if (error) {
+        throw new Error(describeFailure(url, options, null, error));
+      }
+      return response;
+    }
+    const failure = describeFailure(url, options, response, error);
+    if (attempt >= options.maxRetries) {
+      throw new Error(
+        `${failure} (after ${attempt} ${attempt === 1 ? "retry" : "retries"})`
+      );
+    }
+    const wait = retryDelay(attempt, response?.headers);
+    log(
+      `${failure}; retrying in ${wait}s (${attempt + 1} of ${options.maxRetries})...`
+    );
+    await sleep(wait);
+  }
+}
+
+/**
+ * Fetches a web page politely; see the description at the top of this file.
+ *
+ * @param {string} url - The URL of the page.
+ * @param {Object} [settings={}] - The settings object; see fetchOptions().
+ * @param {Object<string, Object>} [settings.requestProfiles] - Per-site request profiles; see
+ *   './request_profiles.js'.
+ * @param {Object<string, string>} [headers={}] - Extra request headers (e.g. If-None-Match).
+ * @param {string} [responseType="text"] - "text" for a page, or "arraybuffer" for binary files such as images,
+ *   which are returned as a Buffer.
+ * @returns {Promise<{data: string|Buffer|null, status: number, headers: Object, url: string,
+ *   redirects: Array<{from: string, to: string, status: number}>, profiles: string[]}>} - A promise that resolves to
+ *   the body of the page (null if it's 304 Not Modified), its status and response headers, the URL it was finally
+ *   fetched from, each redirect followed on the way, and the request profiles used for it, on any hop.
+ * @throws {Error} - Throws an error saying what went wrong if the page is disallowed by robots.txt, redirects too
+ *   many times, can't be reached, or responds with an error status, or if its request profile can't be used (e.g.
+ *   an environment variable it refers to isn't set).
+ */
+async function politeGet(
+  url,
+  settings = {},
+  headers = {},
+  responseType = "text"
+) {
+  const options = fetchOptions(settings);
+  let redirects = [];
+  let profiles = [];
+  let current = url;
+
+  while (true) {
+    const robots = await isAllowedByRobots(current, settings);
+    if (!robots.allowed) {
+      throw new Error(`Not fetched: ${robots.reason}`);
+    }
+    const delay = Math.max(options.requestDelay, robots.crawlDelay || 0);
+    const request = requestOptions(current, settings.requestProfiles);
+    if (request.profile) {
+      log(`Using the "${request.profile}" request profile.`);
+      profiles.push(request.profile);
+    }
+    const response = await getWithRetries(
+      current,
+      options,
+      delay,
+      { ...request.headers, ...headers },
+      request.proxy,
+      responseType
+    );
+
+    if (response.status === 304) {
+      return {
+        data: null,
+        status: response.status,
+        headers: response.headers,
+        url: current,
+        redirects,
+        profiles,
+      };
+    }
+    if (response.status >= 300 && response.status < 400) {
+      const location = response.headers.location;
+      if (!location) {
+        throw new Error(
+          `${describeFailure(current, options, response)} (redirect with no Location)`
+        );
+      }
+      if (redirects.length >= maxRedirects) {
+        throw new Error(`Too many redirects (over ${maxRedirects}): ${url}`);
+      }
+      const next = new URL(location, current).href;
+      log(`Redirected (HTTP ${response.status}): ${current} -> ${next}`);
+      redirects.push({ from: current, to: next, status: response.status });
+      current = next;
+      continue;
+    }
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(describeFailure(current, options, response));
+    }
+    return {
+      data:
+        responseType === "text"
+          ? String(response.data)
+          : Buffer.from(response.data),
+      status: response.status,
+      headers: response.headers,
+      url: current,
+      redirects,
+      profiles,
+    };
+  }
+}
+
+export { politeGet, isAllowedByRobots, parseRobots, robotsAllows };
@@ -0,0 +1,185 @@
+import { basename } from "path";
+import { isHeading } from "./tokens.js";
+import { textOverlap } from "./similarity.js";
+
+/**
+ * Card provenance.
+ *
+ * Every generated card records where it came from, so that a card that looks wrong later can be traced back to
+ * the passage it was generated from:
+ *  - source: the URL scraped, or the file/document path (see: describeSource() in './sources.js').
+ *  - title: the page title, for web pages and HTML files.
+ *  - heading: the nearest heading above the passage the card was generated from, if any.
+ *  - location: the page or chapter, for documents.
+ *
+ * The model isn't asked where each card came from; instead, each card is matched to the block of text in its chunk
+ * that shares the most words with it, and given the heading that block falls under (see: findSections()).
+ *
+ * Provenance goes into whichever field the 'source' part is mapped onto (see: buildNoteFields() in './anki_helper.js'),
+ * into a tag such as 'source::example.com' if tagSource is set, and into the CSV log.
+ */
+
+/**
+ * Strips the leading '#'s from a heading block.
+ *
+ * @param {string} block - The heading block (e.g. '## Mitochondria').
+ * @returns {string} - The heading text.
+ */
+function headingText(block) {
+  return block.replace(/^#{1,6}\s+/, "").trim();
+}
+
+/**
+ * Splits a chunk of text back into its blocks, noting the heading each falls under. Lines within code blocks
+ * (fenced with ```; see: './html_outline.js') are never taken for headings, e.g. '# a comment'.
+ *
+ * @param {string} chunkText - The chunk of text, as sent to the model.
+ * @param {string|null} headingBefore - The heading in force where the chunk starts (from earlier chunks of the segment).
+ * @returns {{blocks: Array<{text: string, heading: string|null}>, headingAfter: string|null}} - The blocks of the chunk,
+ *   and the heading in force where it ends.
+ */
+function sectionBlocks(chunkText, headingBefore) {
+  let heading = headingBefore;
+  let blocks = [];
+  let inCode = false;
+  for (const line of chunkText.split("\n")) {
+    if (line.startsWith("```")) {
+      inCode = !inCode;
+      continue;
+    }
+    if (!line.trim()) {
+      continue;
+    }
+    if (isHeading(line) && !inCode) {
+      heading = headingText(line);
+    } else {
+      blocks.push({ text: line, heading });
+    }
+  }
+  return { blocks, headingAfter: heading };
+}
+
+/**
+ * Gives each card the heading of the block of its chunk it most likely came from: the block containing most of the
+ * words of the card. Cards matching no block are given the heading the chunk starts under.
+ *
+ * @param {Array<Object>} cards - The cards generated from the chunk.
+ * @param {Array<{text: string, heading: string|null}>} blocks - The blocks of the chunk; see sectionBlocks().
+ * @param {string|null} headingBefore - The heading in force where the chunk starts.
+ * @returns {Array<Object>} - The cards, each with a heading if one was found.
+ */
+function findSections(cards, blocks, headingBefore) {
+  return cards.map((card) => {
+    const cardText = [card.front, card.back, card.extra].join(" ");
+    let heading = blocks.length ? blocks[0].heading : headingBefore;
+    let bestScore = 0;
+
+    for (const block of blocks) {
+      const score = textOverlap(cardText, block.text);
+      if (score > bestScore) {
+        bestScore = score;
+        heading = block.heading;
+      }
+    }
+    return heading ? { ...card, heading } : card;
+  });
+}
+
+/**
+ * Finds the passage of the source text a card most likely came from (the block containing most of the words of the
+ * card, as in findSections()), with the blocks either side of it in the same section, for showing the card in context.
+ *
+ * @param {Object} card - The card, with its provenance.
+ * @param {Array<{location?: string, text: string[]}>} segments - The segments of text the card was generated from;
+ *   see './sources.js'. Only those at the card's location are searched, if it has one.
+ * @param {number} [around=2] - The number of blocks to include either side of the passage.
+ * @returns {{heading: string|null, blocks: string[], match: number}|null} - The heading of the section, its blocks
+ *   around the passage, and the index of the passage among them; null if no block shares any words with the card.
+ */
+function findPassage(card, segments, around = 2) {
+  const cardText = [card.front, card.back, card.extra].join(" ");
+  let best = null;
+  let bestScore = 0;
+
+  for (const segment of segments) {
+    if (card.location && segment.location !== card.location) {
+      continue;
+    }
+    let sections = [{ heading: null, blocks: [] }];
+    for (const block of segment.text) {
+      if (isHeading(block)) {
+        sections.push({ heading: headingText(block), blocks: [] });
+      } else if (block.trim()) {
+        sections[sections.length - 1].blocks.push(block);
+      }
+    }
+    for (const section of sections) {
+      section.blocks.forEach((block, i) => {
+        const score = textOverlap(cardText, block);
+        if (score > bestScore) {
+          bestScore = score;
+          best = { section, index: i };
+        }
+      });
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+  const start = Math.max(0, best.index - around);
+  return {
+    heading: best.section.heading,
+    blocks: best.section.blocks.slice(start, best.index + around + 1),
+    match: best.index - start,
+  };
+}
+
+/**
+ * Describes where a card came from in a line, for the mapped source field and review.
+ *
+ * @param {Object} card - The card, with its provenance.
+ * @returns {string} - The title, heading and location, followed by the source (e.g.
+ *   'Cell biology > Mitochondria (https://example.com/cells)'); empty if the card has no provenance.
+ */
+function describeProvenance(card) {
+  const where = [card.title, card.heading, card.location]
+    .filter(Boolean)
+    .join(" > ");
+  if (where && card.source) {
+    return `${where} (${card.source})`;
+  }
+  return where || card.source || "";
+}
+
+/**
+ * Makes a tag for the source a card came from, under 'source::': the host name for URLs (e.g. 'source::example.com'),
+ * the file name for files and documents, and 'pasted_text' or 'stdin' otherwise. Anki tags can't contain spaces,
+ * so any are replaced with underscores.
+ *
+ * @param {string} source - The source description; see describeSource() in './sources.js'.
+ * @returns {string|null} - The tag, or null if there's no source.
+ */
+function sourceTag(source) {
+  if (!source) {
+    return null;
+  }
+  let name = null;
+  try {
+    name = new URL(source).hostname;
+  } catch (error) {
+    // Not a URL.
+  }
+  if (!name) {
+    name = basename(source.replace(/ \((lines|pp\.|chapters) .*\)$/, ""));
+  }
+  return `source::${name.replace(/\s+/g, "_")}`;
+}
+
+export {
+  sectionBlocks,
+  findSections,
+  findPassage,
+  describeProvenance,
+  sourceTag,
+};
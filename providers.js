@@ -0,0 +1,213 @@
+import { createHash } from "crypto";
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import openAI from "openai";
+import { apiKey, compatibleApiKey } from "./constants.js";
+import { countTokens } from "./tokens.js";
+
+/**
+ * LLM providers.
+ *
+ * Every request for a chat completion or list of models goes through a provider, chosen with the 'provider'
+ * setting:
+ *  - "openai": the hosted OpenAI API, authenticated with OPENAI_API_KEY. 'baseUrl' may be set to use a proxy.
+ *  - "openai-compatible": any server implementing the OpenAI API at 'baseUrl', such as Ollama
+ *    (http://localhost:11434/v1) or the llama.cpp server (http://localhost:8080/v1). An API key is only sent
+ *    if OPENAI_COMPATIBLE_API_KEY is set, so text never leaves the machine running the server.
+ *  - "mock": a deterministic offline provider returning fixture responses from the file at 'mockFixtures' (by
+ *    default, fixtures/mock_responses.json alongside this module, wherever it's run from); see createMockProvider().
+ *
+ * Only the "openai" provider is charged at OpenAI's prices (see: calculateCost() in './cost_tracking.js').
+ *
+ * Each provider has:
+ *  - name: the provider setting it was created from.
+ *  - endpoint: where its responses come from: the base URL of the API (or "default" for the library's default), or
+ *    for "mock", the fixture file. Cached responses are keyed by it, along with name (see: './cache.js').
+ *  - createChatCompletion(request): takes the same request as the OpenAI chat completions API and resolves
+ *    to a response of the same shape.
+ *  - listModels(): resolves to the IDs of the models that can be used for generating flashcards.
+ *  - createEmbeddings(texts, model): resolves to { embeddings, usage }, an embedding vector per text and the usage
+ *    reported. Only providers backed by the OpenAI client library have this; check for it before use.
+ */
+
+const providerNames = ["openai", "openai-compatible", "mock"];
+
+const defaultMockFixtures = fileURLToPath(
+  new URL("./fixtures/mock_responses.json", import.meta.url)
+);
+
+/**
+ * Creates the provider chosen in the settings.
+ *
+ * @param {Object} settings - The settings object containing various configurations.
+ * @param {string} [settings.provider="openai"] - One of providerNames.
+ * @param {string} [settings.baseUrl] - The base URL of the API; required for "openai-compatible".
+ * @param {string} [settings.mockFixtures] - The path of the fixture file for "mock".
+ * @returns {Object} - The provider.
+ * @throws {Error} - Throws an error if the provider is unknown, or is missing its API key or base URL.
+ */
+function createProvider(settings) {
+  const name = settings.provider || "openai";
+
+  if (name === "openai") {
+    if (!apiKey) {
+      throw new Error("No API key provided");
+    }
+    return createOpenAIProvider(name, apiKey, settings.baseUrl, true);
+  } else if (name === "openai-compatible") {
+    if (!settings.baseUrl) {
+      throw new Error(
+        "No base URL provided for the openai-compatible provider"
+      );
+    }
+    // The client library refuses to start without a key; local servers ignore it.
+    return createOpenAIProvider(
+      name,
+      compatibleApiKey || "not-needed",
+      settings.baseUrl,
+      false
+    );
+  } else if (name === "mock") {
+    return createMockProvider(settings.mockFixtures || defaultMockFixtures);
+  }
+  throw new Error(
+    `Unknown provider: ${name} (expected one of ${providerNames.join(", ")})`
+  );
+}
+
+/**
+ * Creates a provider backed by the OpenAI client library, for the hosted API or a compatible server.
+ *
+ * @param {string} name - The provider setting.
+ * @param {string} key - The API key to send.
+ * @param {string} [baseUrl] - The base URL of the API; the library's default (the hosted API) if empty.
+ * @param {boolean} filterModels - Whether to list only gpt/o1 chat models, excluding audio, realtime and image
+ *   models. Compatible servers name their models freely, so everything they serve is listed.
+ * @returns {Object} - The provider.
+ */
+function createOpenAIProvider(name, key, baseUrl, filterModels) {
+  const openai = new openAI({ apiKey: key, baseURL: baseUrl || undefined });
+
+  return {
+    name,
+    endpoint: baseUrl || "default",
+    createChatCompletion: (request) => openai.chat.completions.create(request),
+    createEmbeddings: async (texts, model) => {
+      const response = await openai.embeddings.create({ model, input: texts });
+      return {
+        embeddings: response.data
+          .sort((a, b) => a.index - b.index)
+          .map((item) => item.embedding),
+        usage: response.usage,
+      };
+    },
+    listModels: async () => {
+      let ids = [];
+      const list = await openai.models.list();
+      for (const model of list.data) {
+        if (
+          !filterModels ||
+          (model.id.match(/gpt|o1/gi) &&
+            !model.id.match(/audio|realtime|tts|embedding|dall/gi))
+        ) {
+          ids.push(model.id);
+        }
+      }
+      return ids;
+    },
+  };
+}
+
+/**
+ * Creates the mock provider, which makes no network requests.
+ *
+ * The fixture file is JSON with:
+ *  - models: the model IDs to list.
+ *  - responses: the responses to choose from, keyed by the name of the tool the request requires (e.g.
+ *    add_flashcards, add_cloze_cards), or a single array used whatever the tool. Each is either { cards: [...] },
+ *    returned as the arguments of a tool call to the first tool in the request, or { content: "..." }, returned
+ *    as a plain message (e.g. to exercise the repair path in './generate_flashcard_text.js').
+ *
+ * The response is chosen by a hash of the request's messages, so the same input always gets the same response.
+ * Token usage is counted from the messages and response, as the hosted API would report it.
+ *
+ * @param {string} fixturesPath - The path of the fixture file.
+ * @returns {Object} - The provider.
+ * @throws {Error} - Throws an error if the fixture file can't be read or has no responses, or has none for
+ *   the tool a request requires.
+ */
+function createMockProvider(fixturesPath) {
+  const fixtures = JSON.parse(readFileSync(fixturesPath, "utf8"));
+  if (!fixtures.responses) {
+    throw new Error(`No responses in mock fixtures ${fixturesPath}`);
+  }
+
+  return {
+    name: "mock",
+    endpoint: fixturesPath,
+    createChatCompletion: async (request) => {
+      const input = request.messages
+        .map((message) => message.content || "")
+        .join("\n");
+      const hash = createHash("sha256").update(input).digest();
+      const tool = request.tools && request.tools[0];
+      const responses = Array.isArray(fixtures.responses)
+        ? fixtures.responses
+        : fixtures.responses[tool ? tool.function.name : "content"] || [];
+      if (!responses.length) {
+        throw new Error(
+          `No mock responses for ${tool ? tool.function.name : "content"} in ${fixturesPath}`
+        );
+      }
+      const fixture = responses[hash.readUInt32BE(0) % responses.length];
+      let message;
+
+      if (fixture.cards && tool) {
+        message = {
+          role: "assistant",
+          content: null,
+          tool_calls: [
+            {
+              id: `call_${hash.toString("hex").slice(0, 24)}`,
+              type: "function",
+              function: {
+                name: tool.function.name,
+                arguments: JSON.stringify({ cards: fixture.cards }),
+              },
+            },
+          ],
+        };
+      } else {
+        message = {
+          role: "assistant",
+          content: fixture.content || JSON.stringify(fixture.cards || []),
+        };
+      }
+
+      const output =
+        message.content || message.tool_calls[0].function.arguments;
+      const promptTokens = countTokens(input, request.model);
+      const completionTokens = countTokens(output, request.model);
+      return {
+        id: `mock-${hash.toString("hex").slice(0, 12)}`,
+        object: "chat.completion",
+        model: request.model,
+        choices: [
+          {
+            index: 0,
+            message,
+            finish_reason: message.tool_calls ? "tool_calls" : "stop",
+          },
+        ],
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens,
+        },
+      };
+    },
+    listModels: async () => fixtures.models || ["mock"],
+  };
+}
+
+export { providerNames, createProvider };
@@ -0,0 +1,315 @@
+/**
+ * Automatic main-content detection, in the manner of Mozilla's Readability.
+ *
+ * Rather than relying on the include/exclude lists in settings, which have to be worked out for each site, the
+ * page's main content is found by scoring its elements:
+ *  1. Elements that are never content (scripts, navigation, forms, dialogs) are removed, as are those whose ID or
+ *     class marks them as boilerplate (e.g. 'sidebar', 'cookie-banner', 'comments'), unless it also marks them as
+ *     content (e.g. 'article', 'main').
+ *  2. Every paragraph of 25 characters or more scores points for its length and number of commas. Its parent is
+ *     given the points, and its grandparent half of them; the more paragraphs an element holds, the higher it scores.
+ *  3. Each scored element's total is weighted by its tag and by its ID/class, then scaled down by its link density
+ *     (the share of its text that's inside links), so that menus and link lists lose out to prose.
+ *  4. The top-scoring element is the main content, along with any of its siblings that score nearly as well, that
+ *     are paragraphs of prose themselves (e.g. an introduction just outside the article body), or that are headings
+ *     (e.g. the article's title).
+ *  5. Within those, lists, tables and divs that are mostly links (e.g. 'related articles', share buttons) are removed.
+ */
+
+const removedTags = [
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "iframe",
+  "svg",
+  "canvas",
+  "form",
+  "button",
+  "input",
+  "select",
+  "textarea",
+  "nav",
+  "aside",
+  "footer",
+  "dialog",
+];
+const removedRoles = [
+  "navigation",
+  "banner",
+  "contentinfo",
+  "complementary",
+  "dialog",
+  "alertdialog",
+  "menu",
+  "menubar",
+  "search",
+];
+const unlikelyPattern =
+  /-ad-|ad-break|agegate|banner|breadcrumb|combx|comment|community|consent|cookie|disqus|extra|foot|gdpr|header|legends|menu|modal|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|tags|toolbar|widget/i;
+const maybeContentPattern = /and|article|body|column|content|main|post|shadow/i;
+const positivePattern =
+  /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const negativePattern =
+  /-ad-|hidden|banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+const scoredTags = ["p", "pre", "td", "blockquote"];
+const blockTags = [
+  "address",
+  "article",
+  "aside",
+  "blockquote",
+  "div",
+  "dl",
+  "figure",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "ol",
+  "p",
+  "pre",
+  "section",
+  "table",
+  "ul",
+];
+const tagWeights = {
+  div: 5,
+  article: 5,
+  main: 5,
+  section: 3,
+  pre: 3,
+  td: 3,
+  blockquote: 3,
+  address: -3,
+  ol: -3,
+  ul: -3,
+  dl: -3,
+  dd: -3,
+  dt: -3,
+  li: -3,
+  form: -3,
+  h1: -5,
+  h2: -5,
+  h3: -5,
+  h4: -5,
+  h5: -5,
+  h6: -5,
+  th: -5,
+};
+
+const minParagraphLength = 25;
+const siblingScoreRatio = 0.2;
+const maxLinkDensity = 0.5;
+
+/**
+ * Normalises the whitespace in an element's text.
+ *
+ * @param {Element} element - The element.
+ * @returns {string} - The element's text, with runs of whitespace collapsed and trimmed.
+ */
+function innerText(element) {
+  return element.textContent.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Works out how much of an element's text is inside links.
+ *
+ * @param {Element} element - The element.
+ * @returns {number} - The share of the element's text inside links, from 0 to 1.
+ */
+function linkDensity(element) {
+  const length = innerText(element).length;
+  if (!length) {
+    return 0;
+  }
+  let linkLength = 0;
+  for (const link of element.querySelectorAll("a")) {
+    linkLength += innerText(link).length;
+  }
+  return Math.min(linkLength / length, 1);
+}
+
+/**
+ * Weights an element by its ID and class: those that look like content score higher, and those that look like
+ * boilerplate score lower.
+ *
+ * @param {Element} element - The element.
+ * @returns {number} - The weight: 25 for each of the ID and class that look like content, -25 for each that don't.
+ */
+function classWeight(element) {
+  let weight = 0;
+  for (const name of [element.id, element.getAttribute("class")]) {
+    if (!name) {
+      continue;
+    }
+    if (negativePattern.test(name)) {
+      weight -= 25;
+    }
+    if (positivePattern.test(name)) {
+      weight += 25;
+    }
+  }
+  return weight;
+}
+
+/**
+ * Removes the elements that are never part of the main content, and those whose ID or class marks them as
+ * boilerplate.
+ *
+ * @param {Document} document - The document, which is modified in place.
+ */
+function removeUnlikely(document) {
+  const roles = removedRoles.map((role) => `[role='${role}']`);
+  document
+    .querySelectorAll(
+      removedTags.concat(roles, "[hidden]", "[aria-hidden='true']").join(",")
+    )
+    .forEach((element) => element.remove());
+
+  for (const element of [...document.body.querySelectorAll("*")]) {
+    const tag = element.tagName.toLowerCase();
+    const name = `${element.id} ${element.getAttribute("class") || ""}`;
+    if (
+      !["body", "article", "main", "a"].includes(tag) &&
+      unlikelyPattern.test(name) &&
+      !maybeContentPattern.test(name)
+    ) {
+      element.remove();
+    }
+  }
+}
+
+/**
+ * Scores each element holding paragraphs of text; see the description at the top of this file.
+ *
+ * @param {Document} document - The document, with unlikely elements already removed.
+ * @returns {Map<Element, number>} - Each scored element, with its score scaled by its link density.
+ */
+function scoreElements(document) {
+  const scores = new Map();
+  const paragraphs = [...document.body.querySelectorAll(scoredTags.join(","))];
+
+  // Divs used as paragraphs (holding text, but no other blocks) are scored as paragraphs too.
+  document.body.querySelectorAll("div").forEach((div) => {
+    if (!div.querySelector(blockTags.join(","))) {
+      paragraphs.push(div);
+    }
+  });
+
+  for (const paragraph of paragraphs) {
+    const text = innerText(paragraph);
+    if (text.length < minParagraphLength) {
+      continue;
+    }
+    const points =
+      1 + text.split(",").length + Math.min(Math.floor(text.length / 100), 3);
+    const ancestors = [
+      paragraph.parentElement,
+      paragraph.parentElement?.parentElement,
+    ];
+    ancestors.forEach((ancestor, level) => {
+      if (!ancestor || ancestor === document.documentElement) {
+        return;
+      }
+      if (!scores.has(ancestor)) {
+        const tag = ancestor.tagName.toLowerCase();
+        scores.set(ancestor, (tagWeights[tag] || 0) + classWeight(ancestor));
+      }
+      scores.set(ancestor, scores.get(ancestor) + points / (level + 1));
+    });
+  }
+
+  for (const [element, score] of scores) {
+    scores.set(element, score * (1 - linkDensity(element)));
+  }
+  return scores;
+}
+
+/**
+ * Checks whether a sibling of the top-scoring element is a paragraph of prose in its own right.
+ *
+ * @param {Element} element - The sibling.
+ * @returns {boolean} - True if it's a paragraph of 80 characters or more with few links, or a shorter one ending
+ *   in a full stop with none.
+ */
+function isProse(element) {
+  if (element.tagName !== "P") {
+    return false;
+  }
+  const text = innerText(element);
+  const density = linkDensity(element);
+  return (
+    (text.length > 80 && density < 0.25) ||
+    (text.length > 0 && density === 0 && /\.( |$)/.test(text))
+  );
+}
+
+/**
+ * Removes the lists, tables and divs within the main content that are mostly links (e.g. 'related articles' or
+ * share buttons), and any that hold more images than paragraphs of text.
+ *
+ * @param {Element} element - The main content element, which is modified in place.
+ */
+function cleanContent(element) {
+  for (const candidate of [
+    ...element.querySelectorAll("ul, ol, table, div, section"),
+  ]) {
+    if (!candidate.isConnected) {
+      continue;
+    }
+    const text = innerText(candidate);
+    const paragraphs = candidate.querySelectorAll("p").length;
+    const images = candidate.querySelectorAll("img").length;
+    if (
+      !text ||
+      (linkDensity(candidate) > maxLinkDensity && text.length < 1000) ||
+      (images > paragraphs + 1 && text.length < 200)
+    ) {
+      candidate.remove();
+    }
+  }
+}
+
+/**
+ * Finds the main content of a document; see the description at the top of this file.
+ *
+ * The document is modified in place: boilerplate is removed from it.
+ *
+ * @param {Document} document - The document.
+ * @returns {Array<Element>} - The elements making up the main content, in document order; the body, if no element
+ *   scored at all (e.g. a page with no paragraphs of prose).
+ */
+function findMainContent(document) {
+  if (!document.body) {
+    return [];
+  }
+  removeUnlikely(document);
+  const scores = scoreElements(document);
+
+  let top = null;
+  for (const [element, score] of scores) {
+    if (!top || score > scores.get(top)) {
+      top = element;
+    }
+  }
+  if (!top || top === document.body) {
+    cleanContent(document.body);
+    return [document.body];
+  }
+
+  const threshold = Math.max(10, scores.get(top) * siblingScoreRatio);
+  const content = [...top.parentElement.children].filter(
+    (sibling) =>
+      sibling === top ||
+      (scores.get(sibling) || 0) >= threshold ||
+      isProse(sibling) ||
+      /^H[1-6]$/.test(sibling.tagName)
+  );
+  content.forEach(cleanContent);
+  return content;
+}
+
+export { findMainContent };
@@ -0,0 +1,263 @@
+import { readFileSync } from "fs";
+import { homedir } from "os";
+import { findProfile } from "./scraping_profiles.js";
+
+/**
+ * Per-site request profiles, for scraping pages behind a login or a proxy.
+ *
+ * They're kept in settings as requestProfiles, an object of named profiles, each with:
+ *  - match: the URL patterns the profile applies to, the same as scraping profiles (see: matchesPattern() in
+ *    './scraping_profiles.js'); the most specific matching profile is used.
+ *  - cookiesFile: the path of a cookies.txt file in the Netscape format that browser extensions export, whose
+ *    cookies for the page's host and path are sent with each request.
+ *  - headers: extra request headers, by name (e.g. { "Accept-Language": "en" }).
+ *  - bearerTokenEnv: the name of an environment variable holding a token, sent as 'Authorization: Bearer <token>'.
+ *  - proxy: the URL of an HTTP proxy to send requests through (e.g. 'http://proxy.example.com:3128').
+ *
+ * e.g.: { "Work wiki": { "match": ["wiki.example.com"], "cookiesFile": "~/wiki-cookies.txt",
+ *         "headers": { "X-Api-Key": "$WIKI_API_KEY" }, "bearerTokenEnv": "WIKI_TOKEN" } }
+ *
+ * Secrets are never kept in settings.json itself: cookies stay in their own file, tokens in environment variables,
+ * and a header or proxy value of the form '$NAME' is read from the environment variable NAME when the request is
+ * sent. Headers that carry credentials (see: isSensitiveHeader()) and proxies with a password must be given that
+ * way (see: validateHeader() and validateProxy() in './input_validation.js').
+ *
+ * Every page is fetched with the profile matching its URL (see: politeGet() in './polite_fetch.js'), checked again
+ * on each redirect, so that credentials for one site are never sent to another.
+ */
+
+const envReferencePattern = /^\$([A-Za-z_][A-Za-z0-9_]*)$/;
+const sensitiveHeaderPattern =
+  /^(authorization|proxy-authorization|cookie)$|auth|token|secret|key|password|session/i;
+
+/**
+ * Checks whether a value refers to an environment variable ('$NAME') rather than being given in full.
+ *
+ * @param {string} value - The value.
+ * @returns {boolean} - True if it's an environment variable reference.
+ */
+function isEnvReference(value) {
+  return envReferencePattern.test(String(value).trim());
+}
+
+/**
+ * Checks whether a request header is likely to carry credentials (e.g. Authorization, Cookie, X-Api-Key), in which
+ * case its value must be read from an environment variable rather than kept in settings.
+ *
+ * @param {string} name - The header name.
+ * @returns {boolean} - True if the header is sensitive.
+ */
+function isSensitiveHeader(name) {
+  return sensitiveHeaderPattern.test(name.trim());
+}
+
+/**
+ * Resolves a value that may refer to an environment variable.
+ *
+ * @param {string} value - The value, or '$NAME' to read it from the environment variable NAME.
+ * @param {string} purpose - What the value is for, to say so if the variable isn't set.
+ * @returns {string} - The value.
+ * @throws {Error} - Throws an error if the environment variable isn't set.
+ */
+function resolveValue(value, purpose) {
+  const match = String(value).trim().match(envReferencePattern);
+  if (!match) {
+    return value;
+  }
+  const resolved = process.env[match[1]];
+  if (!resolved) {
+    throw new Error(
+      `The ${match[1]} environment variable (for ${purpose}) is not set`
+    );
+  }
+  return resolved;
+}
+
+/**
+ * Expands a leading '~' in a path to the home directory.
+ *
+ * @param {string} filepath - The path.
+ * @returns {string} - The path, expanded.
+ */
+function expandHome(filepath) {
+  return filepath.replace(/^~(?=$|[\\/])/, homedir());
+}
+
+/**
+ * Parses a cookies.txt file in the Netscape format: a line per cookie, of seven tab-separated fields (domain,
+ * whether subdomains are included, path, whether it's secure-only, expiry as a Unix time, name and value). Lines
+ * starting with '#' are comments, except for those starting with '#HttpOnly_', which are cookies.
+ *
+ * @param {string} text - The contents of the file.
+ * @returns {Array<{domain: string, includeSubdomains: boolean, path: string, secure: boolean, expires: number,
+ *   name: string, value: string}>} - The cookies.
+ */
+function parseCookies(text) {
+  let cookies = [];
+  for (let line of text.split(/\r?\n/)) {
+    if (line.startsWith("#HttpOnly_")) {
+      line = line.slice("#HttpOnly_".length);
+    } else if (line.startsWith("#") || !line.trim()) {
+      continue;
+    }
+    const fields = line.split("\t");
+    if (fields.length < 7) {
+      continue;
+    }
+    const [domain, includeSubdomains, path, secure, expires, name, ...value] =
+      fields;
+    cookies.push({
+      domain: domain.toLowerCase(),
+      includeSubdomains: includeSubdomains.toUpperCase() === "TRUE",
+      path: path || "/",
+      secure: secure.toUpperCase() === "TRUE",
+      expires: Number(expires) || 0,
+      name,
+      value: value.join("\t"),
+    });
+  }
+  return cookies;
+}
+
+/**
+ * Reads the cookies from a cookies.txt file; see parseCookies().
+ *
+ * @param {string} filepath - The path of the file; a leading '~' is the home directory.
+ * @returns {Array<Object>} - The cookies.
+ * @throws {Error} - Throws an error if the file can't be read, or holds no cookies.
+ */
+function readCookiesFile(filepath) {
+  let text;
+  try {
+    text = readFileSync(expandHome(filepath), "utf8");
+  } catch (error) {
+    throw new Error(
+      `Could not read cookies from ${filepath}: ${error.message}`
+    );
+  }
+  const cookies = parseCookies(text);
+  if (!cookies.length) {
+    throw new Error(
+      `No cookies found in ${filepath} (expected cookies.txt format)`
+    );
+  }
+  return cookies;
+}
+
+/**
+ * Builds the Cookie header for a URL from the cookies that apply to it: those for its host (or a parent domain, if
+ * they include subdomains) and a prefix of its path, that haven't expired, and, if secure-only, only over https.
+ *
+ * @param {string} url - The URL.
+ * @param {Array<Object>} cookies - The cookies; see parseCookies().
+ * @returns {string} - The Cookie header; empty if no cookie applies.
+ */
+function cookieHeader(url, cookies) {
+  const parsed = new URL(url);
+  const host = parsed.hostname.toLowerCase();
+  const now = Date.now() / 1000;
+  return cookies
+    .filter((cookie) => {
+      const domain = cookie.domain.replace(/^\./, "");
+      const subdomains =
+        cookie.includeSubdomains || cookie.domain.startsWith(".");
+      return (
+        (host === domain || (subdomains && host.endsWith(`.${domain}`))) &&
+        parsed.pathname.startsWith(cookie.path) &&
+        (!cookie.secure || parsed.protocol === "https:") &&
+        (!cookie.expires || cookie.expires > now)
+      );
+    })
+    .map((cookie) => `${cookie.name}=${cookie.value}`)
+    .join("; ");
+}
+
+/**
+ * Turns a proxy URL into axios's proxy option.
+ *
+ * @param {string} proxy - The proxy URL, or '$NAME' to read it from the environment variable NAME.
+ * @returns {{protocol: string, host: string, port: number, auth?: {username: string, password: string}}} - The
+ *   proxy option.
+ * @throws {Error} - Throws an error if the environment variable isn't set, or the URL is invalid.
+ */
+function proxyOption(proxy) {
+  const value = resolveValue(proxy, "the proxy");
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error(
+      `Invalid proxy URL${isEnvReference(proxy) ? ` in ${proxy}` : `: ${value}`}`
+    );
+  }
+  return {
+    protocol: url.protocol.replace(/:$/, ""),
+    host: url.hostname,
+    port: Number(url.port) || (url.protocol === "https:" ? 443 : 80),
+    ...(url.username && {
+      auth: {
+        username: decodeURIComponent(url.username),
+        password: decodeURIComponent(url.password),
+      },
+    }),
+  };
+}
+
+/**
+ * Works out the proxy to send a request to a URL through: that of the request profile matching it, if any.
+ *
+ * @param {string} url - The URL.
+ * @param {Object<string, Object>} [profiles={}] - The request profiles, by name.
+ * @returns {Object|null} - The axios proxy option (see: proxyOption()), or null to use the default.
+ */
+function requestProxy(url, profiles = {}) {
+  const match = findProfile(url, profiles);
+  return match?.profile.proxy ? proxyOption(match.profile.proxy) : null;
+}
+
+/**
+ * Works out the headers and proxy to request a URL with, from the request profile matching it (see:
+ * findProfile() in './scraping_profiles.js'): its headers, the bearer token from bearerTokenEnv as an Authorization
+ * header, and the Cookie header from its cookies file.
+ *
+ * @param {string} url - The URL.
+ * @param {Object<string, Object>} [profiles={}] - The request profiles, by name.
+ * @returns {{profile: string|null, headers: Object<string, string>, proxy: Object|null}} - The name of the profile
+ *   used (null if none matches), the headers to send, and the axios proxy option (null to use the default).
+ * @throws {Error} - Throws an error if an environment variable the profile refers to isn't set, or its cookies file
+ *   can't be read.
+ */
+function requestOptions(url, profiles = {}) {
+  const match = findProfile(url, profiles);
+  if (!match) {
+    return { profile: null, headers: {}, proxy: null };
+  }
+  const { cookiesFile, headers = {}, bearerTokenEnv, proxy } = match.profile;
+
+  let resolved = {};
+  for (const [name, value] of Object.entries(headers)) {
+    resolved[name] = resolveValue(value, `the ${name} header`);
+  }
+  if (bearerTokenEnv) {
+    resolved.Authorization = `Bearer ${resolveValue(`$${bearerTokenEnv}`, "the bearer token")}`;
+  }
+  if (cookiesFile) {
+    const cookie = cookieHeader(url, readCookiesFile(cookiesFile));
+    if (cookie) {
+      resolved.Cookie = cookie;
+    }
+  }
+  return {
+    profile: match.name,
+    headers: resolved,
+    proxy: proxy ? proxyOption(proxy) : null,
+  };
+}
+
+export {
+  isEnvReference,
+  isSensitiveHeader,
+  readCookiesFile,
+  requestOptions,
+  requestProxy,
+};
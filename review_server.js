@@ -0,0 +1,599 @@
+import { createServer } from "http";
+import { randomBytes } from "crypto";
+import { spawn } from "child_process";
+import { deckNamesAndIds, createDeck } from "./anki.js";
+import {
+  flagDuplicates,
+  withoutFlags,
+  addCardsToAnki,
+  printAddReport,
+  finishAdding,
+} from "./anki_helper.js";
+import { findPassage, describeProvenance } from "./provenance.js";
+
+/**
+ * Browser-based review.
+ *
+ * With the reviewMode setting set to "browser", the generated cards are reviewed on a page served from
+ * localhost instead of one at a time in the terminal (see: reviewCards() in './anki_helper.js'). The page shows
+ * every card in a table, where each can be edited inline, given its own tags and deck, and selected for addition
+ * (singly, or in bulk); selecting a card shows the passage of the source text it most likely came from, with the
+ * passage highlighted (see: findPassage() in './provenance.js'). Likely duplicates and the closest card already in
+ * the deck are shown as in terminal review (see: flagDuplicates() in './anki_helper.js'), and checked again whenever
+ * a card is edited, so that they're always those of the card as it stands.
+ *
+ * Submitting the page adds the selected cards through AnkiConnect (see: addCardsToAnki() in './anki_helper.js'),
+ * creating any deck typed in that doesn't exist yet, and shows what became of each card. The server then stops.
+ * If the run's cards are being exported to a file instead (see: './exporters.js'), the selected cards are collected
+ * for export.
+ *
+ * The server only listens on 127.0.0.1, on the port in reviewPort (0 picks any free port), and only answers
+ * requests carrying the random token in the URL it prints, so other pages open in the browser can't submit cards.
+ */
+
+// The largest request body accepted, in bytes.
+const maxBodySize = 5 * 1024 * 1024;
+
+/**
+ * Reviews the generated cards in the browser, and adds those submitted to Anki.
+ *
+ * @param {Object} settings - The settings object; see buildNote() and flagDuplicates() in './anki_helper.js'.
+ * @param {string} settings.ankiUrl - The URL of the AnkiConnect API.
+ * @param {number} [settings.reviewPort=0] - The port to serve the review page on; 0 for any free port.
+ * @param {Array<Object>} cards - The generated cards.
+ * @param {string} deckName - The deck the cards go to, unless another is chosen for a card on the page.
+ * @param {Array<string>} tags - The tags each card starts with on the page.
+ * @param {Array<Object>} segments - The segments of text the cards were generated from; see './sources.js'.
+ * @param {Array<Object>} [exported] - If the cards are to be exported to a file instead of added to Anki, where to
+ *   collect them; see finishAdding() in './anki_helper.js'.
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the cards that were added (or collected for export).
+ */
+async function reviewInBrowser(
+  settings,
+  cards,
+  deckName,
+  tags,
+  segments,
+  exported
+) {
+  if (!cards.length) {
+    console.log("\nNo cards to review.");
+    return [];
+  }
+  const decks = Object.keys((await deckNamesAndIds(settings.ankiUrl)) || {});
+  const flagged = await flagDuplicates(settings, deckName, cards);
+  const items = flagged.map((card, id) => ({
+    id,
+    card,
+    from: describeProvenance(card),
+    passage: findPassage(card, segments),
+  }));
+
+  const review = {
+    items,
+    decks,
+    deckName,
+    tags: tags || [],
+    cloze: settings.cardMode === "cloze",
+  };
+  const accept = exported
+    ? async (selected) =>
+        selected.map((entry) => ({ ...entry, status: "exported" }))
+    : (selected) => addSubmitted(settings, review, selected);
+  const report = await serveReview(settings, review, accept);
+
+  if (exported) {
+    return finishAdding(settings, deckName, report, exported);
+  }
+  printAddReport(report);
+  return report
+    .filter(({ status }) => status === "added")
+    .map(({ card }) => withoutFlags(card));
+}
+
+/**
+ * Serves the review page until it's submitted or cancelled.
+ *
+ * Routes (each requiring the token):
+ *  - GET /: the review page.
+ *  - GET /cards: the cards to review, with the decks and default tags, as JSON.
+ *  - POST /check: a card, as edited, in the same form as for /submit; it's checked against the deck again (see:
+ *    checkEdited()), and its duplicate and near-duplicate flags are sent back.
+ *  - POST /submit: the selected cards, as edited; see validateSubmission(). They're passed to accept, and the
+ *    status of each card is sent back.
+ *  - POST /cancel: ends review without adding any cards.
+ *
+ * @param {Object} settings - The settings object; see reviewInBrowser().
+ * @param {Object} review - The data sent to the page: items, decks, deckName, tags and cloze.
+ * @param {function(Array<Object>): Promise<Array<{card: Object, status: string}>>} accept - Adds (or collects) the
+ *   cards submitted, resolving to a report entry per card, in order; see addSubmitted().
+ * @returns {Promise<Array<{card: Object, status: string}>>} - A promise that resolves to the report of the cards
+ *   submitted (see: addCardsToAnki() in './anki_helper.js'); empty if review was cancelled.
+ */
+function serveReview(settings, review, accept) {
+  const token = randomBytes(16).toString("hex");
+
+  return new Promise((resolve, reject) => {
+    const server = createServer(async (request, response) => {
+      const url = new URL(request.url, "http://127.0.0.1");
+      if (url.searchParams.get("token") !== token) {
+        return send(response, 403, "text/plain", "Forbidden");
+      }
+
+      try {
+        if (request.method === "GET" && url.pathname === "/") {
+          send(response, 200, "text/html; charset=utf-8", reviewPage);
+        } else if (request.method === "GET" && url.pathname === "/cards") {
+          send(response, 200, "application/json", JSON.stringify(review));
+        } else if (request.method === "POST" && url.pathname === "/check") {
+          const { selected, error } = validateSubmission(
+            await readBody(request),
+            review
+          );
+          if (error || selected.length !== 1) {
+            return send(
+              response,
+              400,
+              "text/plain",
+              error ? error.message : "Check one card at a time"
+            );
+          }
+          const flags = await checkEdited(settings, review, selected[0]);
+          send(response, 200, "application/json", JSON.stringify(flags));
+        } else if (request.method === "POST" && url.pathname === "/submit") {
+          const { selected, error } = validateSubmission(
+            await readBody(request),
+            review
+          );
+          if (error) {
+            return send(response, 400, "text/plain", error.message);
+          }
+          const report = await accept(selected);
+          send(
+            response,
+            200,
+            "application/json",
+            JSON.stringify(
+              report.map(({ status }, i) => ({ id: selected[i].id, status }))
+            )
+          );
+          finish(report);
+        } else if (request.method === "POST" && url.pathname === "/cancel") {
+          send(response, 200, "text/plain", "Cancelled");
+          console.log("Review cancelled; no cards added.");
+          finish([]);
+        } else {
+          send(response, 404, "text/plain", "Not found");
+        }
+      } catch (error) {
+        console.error(`Error handling review request: ${error.message}`);
+        send(response, 500, "text/plain", error.message);
+      }
+    });
+
+    const finish = (report) => {
+      server.close();
+      server.closeAllConnections();
+      resolve(report);
+    };
+
+    server.on("error", (error) => {
+      reject(new Error(`Unable to start the review server: ${error.message}`));
+    });
+    server.listen(settings.reviewPort || 0, "127.0.0.1", () => {
+      const address = `http://127.0.0.1:${server.address().port}/?token=${token}`;
+      console.log(
+        `\nReview the ${review.items.length} generated cards at ${address}\n` +
+          "Submit or cancel the review on the page to carry on."
+      );
+      openBrowser(address);
+    });
+  });
+}
+
+/**
+ * Checks the cards submitted from the page, and merges the edits into the generated cards.
+ *
+ * @param {string} body - The request body: JSON of { cards: [{ id, front, back, extra, tags, deckName }] }.
+ * @param {Object} review - The data sent to the page; see serveReview().
+ * @returns {Object} An object containing:
+ *   - {Array<{id: number, card: Object, tags: Array<string>, deckName: string}>} selected - The cards to add.
+ *   - {Error|null} error - An error object if the submission is invalid, otherwise null.
+ */
+function validateSubmission(body, review) {
+  let submitted;
+  try {
+    submitted = JSON.parse(body).cards;
+  } catch (error) {
+    return { selected: [], error: new Error("Submission is not valid JSON") };
+  }
+  if (!Array.isArray(submitted)) {
+    return { selected: [], error: new Error("Submission has no cards") };
+  }
+
+  let selected = [];
+  for (const entry of submitted) {
+    const item = review.items[entry.id];
+    if (!item) {
+      return { selected: [], error: new Error(`Unknown card: ${entry.id}`) };
+    }
+    const front = String(entry.front || "").trim();
+    if (!front) {
+      return {
+        selected: [],
+        error: new Error(`Card ${entry.id + 1} has no front`),
+      };
+    }
+    const { extra, ...card } = item.card;
+    const newExtra = String(entry.extra || "").trim();
+    selected.push({
+      id: item.id,
+      card: {
+        ...card,
+        front,
+        back: String(entry.back || "").trim(),
+        ...(newExtra ? { extra: newExtra } : {}),
+      },
+      tags: (Array.isArray(entry.tags) ? entry.tags : [])
+        .map((tag) => String(tag).trim().replace(/\s+/g, "_"))
+        .filter(Boolean),
+      deckName: String(entry.deckName || "").trim() || review.deckName,
+    });
+  }
+  return { selected, error: null };
+}
+
+/**
+ * Checks an edited card against its deck again (see: flagDuplicates() in './anki_helper.js'), and keeps its new flags
+ * in place of those it was generated with.
+ *
+ * @param {Object} settings - The settings object; see reviewInBrowser().
+ * @param {Object} review - The data sent to the page; see serveReview(). The card's item is updated.
+ * @param {{id: number, card: Object, deckName: string}} entry - The edited card; see validateSubmission().
+ * @returns {Promise<{duplicate: boolean, closest: Object|null, similar: boolean}>} - A promise that resolves to
+ *   whether Anki would reject the card as a duplicate, the closest card already in the deck, and whether it's a likely
+ *   near-duplicate of it.
+ */
+async function checkEdited(settings, review, entry) {
+  // A deck typed in that doesn't exist yet would make every card look like one Anki rejects.
+  const deckName = review.decks.includes(entry.deckName)
+    ? entry.deckName
+    : review.deckName;
+  const [checked] = await flagDuplicates(settings, deckName, [
+    withoutFlags(entry.card),
+  ]);
+  const flags = {
+    duplicate: Boolean(checked.duplicate),
+    closest: checked.closest || null,
+    similar: Boolean(checked.similar),
+  };
+  const item = review.items[entry.id];
+  item.card = { ...withoutFlags(item.card), ...flags };
+  return flags;
+}
+
+/**
+ * Adds the submitted cards to Anki, first creating any of their decks that don't exist yet.
+ *
+ * @param {Object} settings - The settings object; see reviewInBrowser().
+ * @param {Object} review - The data sent to the page; see serveReview(). New decks are added to its decks.
+ * @param {Array<{card: Object, tags: Array<string>, deckName: string}>} selected - The cards to add.
+ * @returns {Promise<Array<{card: Object, status: string, noteId: number|null}>>} - A promise that resolves to the
+ *   report of the cards added.
+ */
+async function addSubmitted(settings, review, selected) {
+  for (const deckName of new Set(selected.map((entry) => entry.deckName))) {
+    if (!review.decks.includes(deckName)) {
+      await createDeck(settings.ankiUrl, deckName);
+      review.decks.push(deckName);
+    }
+  }
+  return addCardsToAnki(settings, review.deckName, selected);
+}
+
+/**
+ * Reads the body of a request, up to maxBodySize.
+ *
+ * @param {http.IncomingMessage} request - The request.
+ * @returns {Promise<string>} - A promise that resolves to the body.
+ * @throws {Error} - Throws an error if the body is too large.
+ */
+async function readBody(request) {
+  let body = "";
+  for await (const chunk of request) {
+    body += chunk;
+    if (body.length > maxBodySize) {
+      throw new Error("Request body too large");
+    }
+  }
+  return body;
+}
+
+/**
+ * Sends a response.
+ *
+ * @param {http.ServerResponse} response - The response.
+ * @param {number} status - The HTTP status code.
+ * @param {string} contentType - The content type.
+ * @param {string} body - The body.
+ */
+function send(response, status, contentType, body) {
+  response.writeHead(status, {
+    "Content-Type": contentType,
+    "Cache-Control": "no-store",
+  });
+  response.end(body);
+}
+
+/**
+ * Opens a URL in the default browser. Failing to (e.g. on a machine with no desktop) is ignored, as the URL is
+ * printed to open by hand.
+ *
+ * @param {string} url - The URL to open.
+ */
+function openBrowser(url) {
+  const [command, args] =
+    process.platform === "darwin"
+      ? ["open", [url]]
+      : process.platform === "win32"
+        ? ["cmd", ["/c", "start", "", url]]
+        : ["xdg-open", [url]];
+  try {
+    const child = spawn(command, args, { detached: true, stdio: "ignore" });
+    child.on("error", () => {});
+    child.unref();
+  } catch (error) {
+    // The URL has been printed; it can be opened by hand.
+  }
+}
+
+/**
+ * The review page. Card text is only ever set with textContent and value, so that HTML in generated cards and
+ * source text is shown rather than run.
+ */
+const reviewPage = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Review flashcards</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 0; display: flex; height: 100vh; }
+  main { flex: 3; overflow: auto; padding: 1em; }
+  aside { flex: 1; overflow: auto; padding: 1em; border-left: 1px solid #ccc; background: #fafafa; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border-bottom: 1px solid #ddd; padding: 0.3em; vertical-align: top; text-align: left; }
+  tr.current { background: #eef4ff; }
+  tr.duplicate textarea { border-color: #c00; }
+  textarea { width: 100%; min-height: 3em; box-sizing: border-box; font: inherit; }
+  input[type=text] { width: 100%; box-sizing: border-box; }
+  .toolbar { display: flex; flex-wrap: wrap; gap: 0.5em; align-items: center; margin-bottom: 1em; }
+  .flag { font-size: 0.85em; color: #555; }
+  .flag.warn { color: #c00; }
+  .status-added, .status-exported { color: #070; }
+  .status-queued { color: #a60; }
+  .status-duplicate, .status-failed { color: #c00; }
+  mark { background: #ffe97a; }
+  #message { font-weight: bold; }
+</style>
+</head>
+<body>
+<main>
+  <div class="toolbar">
+    <button id="select-all">Select all</button>
+    <button id="select-none">Select none</button>
+    <button id="select-new">Select all but likely duplicates</button>
+    <span id="count"></span>
+  </div>
+  <div class="toolbar">
+    <label>Tags for selected <input id="bulk-tags" type="text" placeholder="tag1, tag2"></label>
+    <button id="apply-tags">Set tags</button>
+    <label>Deck for selected <input id="bulk-deck" type="text" list="decks"></label>
+    <button id="apply-deck">Set deck</button>
+  </div>
+  <datalist id="decks"></datalist>
+  <table>
+    <thead>
+      <tr><th></th><th>#</th><th>Front</th><th>Back</th><th>Extra</th><th>Tags</th><th>Deck</th><th>Checks</th><th>Status</th></tr>
+    </thead>
+    <tbody id="cards"></tbody>
+  </table>
+  <div class="toolbar">
+    <button id="submit">Add selected cards to Anki</button>
+    <button id="cancel">Cancel</button>
+    <span id="message"></span>
+  </div>
+</main>
+<aside>
+  <h3>Source</h3>
+  <div id="from"></div>
+  <h4 id="heading"></h4>
+  <div id="passage">Select a card to see the passage it came from.</div>
+</aside>
+<script>
+  const token = new URLSearchParams(location.search).get("token");
+  const rows = [];
+  let review;
+
+  function element(tag, props, children) {
+    const node = Object.assign(document.createElement(tag), props || {});
+    (children || []).forEach((child) => node.append(child));
+    return node;
+  }
+
+  function showPassage(row) {
+    rows.forEach((other) => other.tr.classList.toggle("current", other === row));
+    const passage = row.item.passage;
+    document.getElementById("from").textContent = row.item.from || "";
+    document.getElementById("heading").textContent = passage && passage.heading ? passage.heading : "";
+    const container = document.getElementById("passage");
+    container.replaceChildren();
+    if (!passage) {
+      container.textContent = "No matching passage found in the source text.";
+      return;
+    }
+    passage.blocks.forEach((block, i) => {
+      const text = i === passage.match ? element("mark", { textContent: block }) : block;
+      container.append(element("p", {}, [text]));
+    });
+    container.querySelector("mark").scrollIntoView({ block: "center" });
+  }
+
+  function updateCount() {
+    const selected = rows.filter((row) => row.select.checked).length;
+    document.getElementById("count").textContent = selected + " of " + rows.length + " selected";
+  }
+
+  function checks(card) {
+    if (card.duplicate) {
+      return element("div", { className: "flag warn", textContent: "Likely duplicate: Anki would reject this card." });
+    }
+    if (card.closest) {
+      return element("div", {
+        className: "flag" + (card.similar ? " warn" : ""),
+        textContent: (card.similar ? "Possible near-duplicate of: " : "Closest existing card: ") +
+          card.closest.front + " (" + Math.round(card.closest.score * 100) + "% similar)",
+      });
+    }
+    return "";
+  }
+
+  function addRow(item) {
+    const card = item.card;
+    const row = {
+      item,
+      select: element("input", { type: "checkbox", checked: !card.duplicate }),
+      front: element("textarea", { value: card.front }),
+      back: element("textarea", { value: card.back || "", disabled: review.cloze }),
+      extra: element("textarea", { value: card.extra || "" }),
+      tags: element("input", { type: "text", value: review.tags.join(", ") }),
+      deck: element("input", { type: "text", value: review.deckName }),
+      checks: element("td", {}, [checks(card)]),
+      status: element("td"),
+    };
+    row.deck.setAttribute("list", "decks");
+    row.select.addEventListener("change", updateCount);
+    [row.front, row.back, row.extra, row.deck].forEach((field) => field.addEventListener("change", () => recheck(row)));
+    row.tr = element("tr", { className: card.duplicate ? "duplicate" : "" }, [
+      element("td", {}, [row.select]),
+      element("td", { textContent: item.id + 1 }),
+      element("td", {}, [row.front]),
+      element("td", {}, [row.back]),
+      element("td", {}, [row.extra]),
+      element("td", {}, [row.tags]),
+      element("td", {}, [row.deck]),
+      row.checks,
+      row.status,
+    ]);
+    row.tr.addEventListener("focusin", () => showPassage(row));
+    row.tr.addEventListener("click", () => showPassage(row));
+    rows.push(row);
+    document.getElementById("cards").append(row.tr);
+  }
+
+  function entry(row) {
+    return {
+      id: row.item.id,
+      front: row.front.value,
+      back: row.back.value,
+      extra: row.extra.value,
+      tags: splitTags(row.tags.value),
+      deckName: row.deck.value,
+    };
+  }
+
+  // An edited card is checked against the deck again, so that its flags are those of the card as it stands.
+  async function recheck(row) {
+    if (!row.front.value.trim()) {
+      return;
+    }
+    row.checks.replaceChildren(element("div", { className: "flag", textContent: "Checking..." }));
+    try {
+      const flags = await (await post("/check", { cards: [entry(row)] })).json();
+      row.item.card = Object.assign({}, row.item.card, flags);
+      row.tr.className = flags.duplicate ? "duplicate" : "";
+      row.checks.replaceChildren(checks(row.item.card));
+    } catch (error) {
+      row.checks.replaceChildren(element("div", { className: "flag warn", textContent: "Unable to check: " + error.message }));
+    }
+  }
+
+  function setSelection(predicate) {
+    rows.forEach((row) => { row.select.checked = predicate(row); });
+    updateCount();
+  }
+
+  function splitTags(text) {
+    return text.split(",").map((tag) => tag.trim()).filter(Boolean);
+  }
+
+  function finish(message) {
+    document.querySelectorAll("button, input, textarea").forEach((node) => { node.disabled = true; });
+    document.getElementById("message").textContent = message;
+  }
+
+  async function post(path, body) {
+    const response = await fetch(path + "?token=" + token, { method: "POST", body: JSON.stringify(body || {}) });
+    if (!response.ok) {
+      throw new Error(await response.text());
+    }
+    return response;
+  }
+
+  document.getElementById("select-all").onclick = () => setSelection(() => true);
+  document.getElementById("select-none").onclick = () => setSelection(() => false);
+  document.getElementById("select-new").onclick = () => setSelection((row) => !row.item.card.duplicate);
+  document.getElementById("apply-tags").onclick = () => {
+    const tags = document.getElementById("bulk-tags").value;
+    rows.filter((row) => row.select.checked).forEach((row) => { row.tags.value = tags; });
+  };
+  document.getElementById("apply-deck").onclick = () => {
+    const deck = document.getElementById("bulk-deck").value.trim();
+    rows.filter((row) => row.select.checked && deck).forEach((row) => { row.deck.value = deck; });
+  };
+
+  document.getElementById("submit").onclick = async () => {
+    const selected = rows.filter((row) => row.select.checked);
+    const empty = selected.find((row) => !row.front.value.trim());
+    if (empty) {
+      document.getElementById("message").textContent = "Card " + (empty.item.id + 1) + " has no front.";
+      return;
+    }
+    try {
+      const response = await post("/submit", { cards: selected.map(entry) });
+      const report = await response.json();
+      report.forEach(({ id, status }) => {
+        rows[id].status.textContent = status;
+        rows[id].status.className = "status-" + status;
+      });
+      const exported = report.filter(({ status }) => status === "exported").length;
+      const added = report.filter(({ status }) => status === "added").length;
+      const queued = report.filter(({ status }) => status === "queued").length;
+      finish(exported
+        ? exported + " cards accepted for export. You can close this page."
+        : queued
+        ? "Anki couldn't be reached; " + queued + " cards queued in the outbox. You can close this page."
+        : added + " of " + report.length + " cards added. You can close this page.");
+    } catch (error) {
+      document.getElementById("message").textContent = "Error: " + error.message;
+    }
+  };
+
+  document.getElementById("cancel").onclick = async () => {
+    await post("/cancel");
+    finish("Review cancelled; no cards added. You can close this page.");
+  };
+
+  fetch("/cards?token=" + token)
+    .then((response) => response.json())
+    .then((data) => {
+      review = data;
+      data.decks.forEach((deck) => document.getElementById("decks").append(element("option", { value: deck })));
+      data.items.forEach(addRow);
+      updateCount();
+    });
+</script>
+</body>
+</html>
+`;
+
+export { reviewInBrowser };
@@ -1,5 +1,17 @@
-import axios from "axios";
 import { JSDOM } from "jsdom";
+import { findMainContent } from "./readability.js";
+import { outlineBlocks } from "./html_outline.js";
+import { findProfile, scrapingFilters } from "./scraping_profiles.js";
+import { politeGet } from "./polite_fetch.js";
+import { readCachedPage, cachePage } from "./cache.js";
+import { log } from "./logger.js";
+
+/**
+ * How the text of a page is picked out:
+ *  - "selectors": by the include/exclude lists in settings.
+ *  - "auto": by finding the page's main content automatically; see './readability.js'.
+ */
+const extractionModes = ["selectors", "auto"];
 
 /**
  * **************************************************************************
@@ -9,18 +21,35 @@ import { JSDOM } from "jsdom";
  *  USE AT YOUR OWN RISK                                                    *
  * **************************************************************************
  *
- * Extracts text from a webpage by fetching HTML content and extracting textContent from the desired elements.
+ * Extracts text from a webpage by fetching HTML content and outlining the text of the desired elements.
+ * The page is fetched politely: robots.txt is honored, requests to each host are spaced out, and transient failures
+ * are retried (see: './polite_fetch.js'). If the page is cached, the cached copy is used unless it has changed (see:
+ * fetchPage()).
  * Elements to exclude can be specified by tag name or by ID.
- * Whitespace is normalised and trimmed, with empty strings excluded from final output.
+ * Whitespace is normalised and trimmed (except in code blocks), with empty strings excluded from final output.
  * If no includeElements are specified, all elements are included
+ * If one of scrapingProfiles matches the URL, its include/exclude selectors are used in place of the lists given
+ * (see: './scraping_profiles.js').
+ * In "auto" extraction mode, the lists are ignored, and the page's main content is found instead (see: extractPage()).
+ * The page title is kept alongside the text, and headings are kept as blocks of their own (see: extractPage()),
+ * so that each card can record where on the page it came from.
+ * With extractImages on in fetchSettings, the page's images and figures are kept too, with their alt text and captions
+ * (see: './media.js').
  *
  * @param {string} url - The URL of the web page to scrape.
  * @param {string[]} [excludeElements=[]] - An array of tag names to exclude from the scraping.
  * @param {string[]} [excludeIDs=[]] - An array of element IDs to exclude from the scraping.
  * @param {string[]} [excludeClasses=[]] - An array of element classes to exclude from the scraping.
  * @param {string[]} [includeElements=[]] - An array of tag names to include in the scraping.
- * @returns {Promise<string[]>} - A promise that resolves to an array of text content from the web page.
- * @throws {Error} - Throws an error if the URL is invalid or if there is an issue fetching or processing the URL.
+ * @param {string} [extractionMode="selectors"] - How the text is picked out; one of extractionModes.
+ * @param {Object<string, Object>} [scrapingProfiles={}] - Per-site scraping profiles, by name.
+ * @param {Object} [fetchSettings={}] - The settings to fetch the page with (userAgent, obeyRobotsTxt, requestDelay,
+ *   requestTimeout, maxRetries; see politeGet() in './polite_fetch.js'), to cache it with (cache, logDirectory;
+ *   see './cache.js'), and whether to keep its images (extractImages).
+ * @returns {Promise<{title: string, text: string[]}>} - A promise that resolves to the page title and an array of text
+ *   content from the web page; the text is empty if the page couldn't be processed.
+ * @throws {Error} - Throws an error if the URL is invalid, or saying why the page couldn't be fetched (e.g. it's
+ *   disallowed by robots.txt, or the server responded 'HTTP 404 Not Found').
  *
  */
 async function scrapePage(
@@ -28,12 +57,182 @@ async function scrapePage(
   excludeElements = [],
   excludeIDs = [],
   excludeClasses = [],
-  includeElements = []
+  includeElements = [],
+  extractionMode = "selectors",
+  scrapingProfiles = {},
+  fetchSettings = {}
 ) {
+  const html = await fetchPage(url, fetchSettings);
+
+  const filters = scrapingFilters(
+    url,
+    { excludeElements, excludeIDs, excludeClasses, includeElements },
+    scrapingProfiles
+  );
+  if (filters.profile && extractionMode !== "auto") {
+    log(`Using the "${filters.profile}" scraping profile.`);
+  }
+
+  try {
+    return extractPage(
+      html,
+      filters.excludeElements,
+      filters.excludeIDs,
+      filters.excludeClasses,
+      filters.includeElements,
+      extractionMode,
+      url,
+      Boolean(fetchSettings.extractImages)
+    );
+  } catch (error) {
+    console.error(`Error processing the URL: ${error}`);
+    return { title: "", text: [] };
+  }
+}
+
+/**
+ * Fetches the HTML of a webpage, politely (see: politeGet() in './polite_fetch.js').
+ *
+ * If the page is cached (see: './cache.js'), the server is asked only for a copy newer than the cached one, with the
+ * ETag and Last-Modified date it sent last time; if the page hasn't changed, the cached HTML is used. Otherwise the
+ * page is fetched in full, and cached for next time.
+ *
+ * Pages fetched with a request profile (see: './request_profiles.js') are never cached, nor looked up in the cache:
+ * they may hold content only its cookies or token can see, which shouldn't outlive the session on disk, or be
+ * served to a run without the profile.
+ *
+ * @param {string} url - The URL of the web page.
+ * @param {Object} [fetchSettings={}] - The settings to fetch and cache the page with.
+ * @returns {Promise<string>} - A promise that resolves to the HTML.
+ * @throws {Error} - Throws an error if the URL is invalid, or saying why the page couldn't be fetched.
+ */
+async function fetchPage(url, fetchSettings = {}) {
   if (!url || typeof url !== "string") {
     throw new Error("Invalid URL provided");
   }
 
+  const profiled = Boolean(findProfile(url, fetchSettings.requestProfiles));
+  const cached = profiled ? null : readCachedPage(fetchSettings, url);
+  let conditions = {};
+  if (cached?.etag) {
+    conditions["If-None-Match"] = cached.etag;
+  }
+  if (cached?.lastModified) {
+    conditions["If-Modified-Since"] = cached.lastModified;
+  }
+
+  const page = await politeGet(url, fetchSettings, conditions);
+  if (page.status === 304) {
+    if (!cached) {
+      throw new Error(`HTTP 304 Not Modified, with no cached copy: ${url}`);
+    }
+    log(`Unchanged since ${cached.cached}; using the cached page.`);
+    return cached.html;
+  }
+  if (!page.profiles.length) {
+    cachePage(fetchSettings, url, {
+      html: page.data,
+      etag: page.headers.etag,
+      lastModified: page.headers["last-modified"],
+    });
+  }
+  return page.data;
+}
+
+/**
+ * Fetches a webpage once and extracts its text in every extraction mode, so that they can be compared.
+ * In "selectors" mode, the scraping profile matching the URL is used, if any (see: scrapePage()).
+ *
+ * @param {string} url - The URL of the web page.
+ * @param {Object} settings - The settings object containing various configurations.
+ * @param {Array<string>} settings.excludeElements - List of elements to exclude in "selectors" mode.
+ * @param {Array<string>} settings.excludeIDs - List of element IDs to exclude in "selectors" mode.
+ * @param {Array<string>} settings.excludeClasses - List of element classes to exclude in "selectors" mode.
+ * @param {Array<string>} settings.includeElements - List of elements to include in "selectors" mode.
+ * @param {Object<string, Object>} settings.scrapingProfiles - Per-site scraping profiles, by name.
+ * @param {boolean} settings.extractImages - Whether to keep the page's images.
+ * @returns {Promise<Object<string, {title: string, text: string[]}>>} - A promise that resolves to the page as
+ *   extracted in each mode, keyed by mode.
+ * @throws {Error} - Throws an error saying why the page couldn't be fetched.
+ */
+async function comparePage(url, settings) {
+  const html = await fetchPage(url, settings);
+  const filters = scrapingFilters(url, settings, settings.scrapingProfiles);
+  return Object.fromEntries(
+    extractionModes.map((mode) => [
+      mode,
+      extractPage(
+        html,
+        filters.excludeElements,
+        filters.excludeIDs,
+        filters.excludeClasses,
+        filters.includeElements,
+        mode,
+        url,
+        Boolean(settings.extractImages)
+      ),
+    ])
+  );
+}
+
+/**
+ * Extracts text from an HTML document, applying the same include/exclude filtering as scrapePage().
+ * Used by scrapePage() for fetched pages and by readSourceFile() in './file_import.js' for saved HTML files.
+ *
+ * The document is walked once, and its text emitted as an outline of headings, paragraphs, lists, code blocks and
+ * tables, each element's text appearing only once (see: outlineBlocks() in './html_outline.js'). Only the text of
+ * elements in includeElements (and of everything within them) is emitted, or all text if includeElements is empty;
+ * excluded elements are skipped along with everything within them.
+ *
+ * Headings (h1-h6) are always extracted, whether or not they're in includeElements, as blocks marked with
+ * leading '#'s by level (e.g. '## Mitochondria'), the same as Markdown headings; chunking keeps them with the
+ * text that follows, and each card is given the nearest heading above the text it came from.
+ *
+ * In "auto" extraction mode, the include/exclude lists are ignored. The document's main content is found by
+ * findMainContent() in './readability.js', with navigation, sidebars, cookie banners, comments and the like
+ * removed, and all of its text is emitted, outlined in the same way.
+ *
+ * With extractImages, images and figures within the extracted text are kept as Markdown images, with their alt text
+ * and captions, their URLs resolved against the page's URL (see: outlineBlocks() in './html_outline.js').
+ *
+ * @param {string} html - The HTML document.
+ * @param {string[]} [excludeElements=[]] - An array of tag names to exclude from the scraping.
+ * @param {string[]} [excludeIDs=[]] - An array of element IDs to exclude from the scraping.
+ * @param {string[]} [excludeClasses=[]] - An array of element classes to exclude from the scraping.
+ * @param {string[]} [includeElements=[]] - An array of tag names to include in the scraping.
+ * @param {string} [extractionMode="selectors"] - How the text is picked out; one of extractionModes.
+ * @param {string|null} [pageUrl=null] - The URL the document came from, to resolve image URLs against.
+ * @param {boolean} [extractImages=false] - Whether to keep images and figures.
+ * @returns {{title: string, text: string[]}} - The document's title, and an array of text content from the document.
+ */
+function extractPage(
+  html,
+  excludeElements = [],
+  excludeIDs = [],
+  excludeClasses = [],
+  includeElements = [],
+  extractionMode = "selectors",
+  pageUrl = null,
+  extractImages = false
+) {
+  const dom = new JSDOM(html, pageUrl ? { url: pageUrl } : undefined);
+  const document = dom.window.document;
+  const title = document.title.replace(/\s+/g, " ").trim();
+
+  if (extractionMode === "auto") {
+    const filters = {
+      isExcluded: () => false,
+      isIncluded: null,
+      images: extractImages,
+    };
+    return {
+      title,
+      text: findMainContent(document).flatMap((content) =>
+        outlineBlocks(content, filters)
+      ),
+    };
+  }
+
   const excludeElementSelectors = excludeElements.join(",");
   const excludeIdSelectors = excludeIDs.map((id) => `[id*='${id}']`).join(", ");
   const excludeClassSelectors = excludeClasses
@@ -47,44 +246,50 @@ async function scrapePage(
     .filter(Boolean)
     .join(", ");
   const includeSelectors = includeElements.join(",");
-  let elements;
-
-  try {
-    const response = await axios.get(url);
-    const html = response.data;
-    const dom = new JSDOM(html);
-    const document = dom.window.document;
-    let outputTexts = [];
 
-    if (includeSelectors) {
-      elements = document.querySelectorAll(includeSelectors);
-    } else {
-      elements = document.querySelectorAll("*");
-    }
-
-    if (combinedExcludeSelectors) {
-      elements.forEach((element) => {
-        if (element.closest(combinedExcludeSelectors)) {
-          return;
-        }
-        const text = element.textContent.replace(/\s+/g, " ").trim();
-        if (text) {
-          outputTexts.push(text);
-        }
-      });
-    } else {
-      elements.forEach((element) => {
-        const text = element.textContent.replace(/\s+/g, " ").trim();
-        if (text) {
-          outputTexts.push(text);
-        }
-      });
-    }
+  return {
+    title,
+    text: document.body
+      ? outlineBlocks(document.body, {
+          isExcluded: (element) =>
+            Boolean(combinedExcludeSelectors) &&
+            element.matches(combinedExcludeSelectors),
+          isIncluded: includeSelectors
+            ? (element) => element.matches(includeSelectors)
+            : null,
+          images: extractImages,
+        })
+      : [],
+  };
+}
 
-    return outputTexts;
-  } catch (error) {
-    console.error(`Error fetching or processing the URL: ${error}`);
-    return [];
-  }
+/**
+ * Extracts the text from an HTML document, without its title; see extractPage().
+ *
+ * @param {string} html - The HTML document.
+ * @param {string[]} [excludeElements=[]] - An array of tag names to exclude from the scraping.
+ * @param {string[]} [excludeIDs=[]] - An array of element IDs to exclude from the scraping.
+ * @param {string[]} [excludeClasses=[]] - An array of element classes to exclude from the scraping.
+ * @param {string[]} [includeElements=[]] - An array of tag names to include in the scraping.
+ * @param {string} [extractionMode="selectors"] - How the text is picked out; one of extractionModes.
+ * @returns {string[]} - An array of text content from the document.
+ */
+function extractText(
+  html,
+  excludeElements = [],
+  excludeIDs = [],
+  excludeClasses = [],
+  includeElements = [],
+  extractionMode = "selectors"
+) {
+  return extractPage(
+    html,
+    excludeElements,
+    excludeIDs,
+    excludeClasses,
+    includeElements,
+    extractionMode
+  ).text;
 }
 export default scrapePage;
+export { extractionModes, comparePage, extractPage, extractText };
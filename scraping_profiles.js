@@ -0,0 +1,118 @@
+/**
+ * Per-site scraping profiles.
+ *
+ * The include/exclude lists in settings apply to every site; profiles let each site have its own. They're kept in
+ * settings as scrapingProfiles, an object of named profiles, each with:
+ *  - match: the URL patterns the profile applies to (see: matchesPattern()).
+ *  - include: CSS selectors of the elements to take text from (e.g. 'article', 'div.body'); all elements if empty.
+ *  - exclude: CSS selectors of the elements to leave out, along with everything in them (e.g. '.headerlink').
+ *
+ * e.g.: { "Python docs": { "match": ["docs.python.org"], "include": ["div.body"], "exclude": [".headerlink"] } }
+ *
+ * When a page is scraped in "selectors" mode, the profile matching its URL is used in place of the lists in settings
+ * (see: scrapePage() in './scrape_page.js'); if no profile matches, the lists in settings are used.
+ */
+
+/**
+ * Escapes a URL pattern for use in a regular expression, turning each '*' into a wildcard.
+ *
+ * @param {string} pattern - The pattern.
+ * @returns {RegExp} - A regular expression matching the whole of a string against the pattern, ignoring case.
+ */
+function patternRegExp(pattern) {
+  const escaped = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+/**
+ * Checks whether a URL matches a profile's URL pattern. Patterns take three forms:
+ *  - A hostname (e.g. 'docs.python.org'), matching pages on that host; '*.example.com' matches any subdomain of
+ *    example.com.
+ *  - A host and path (e.g. 'docs.python.org/3/library/*'), matching the URL without its protocol.
+ *  - A full URL (e.g. 'https://example.com/docs/*'), matching the whole URL.
+ * In each, '*' matches anything.
+ *
+ * @param {string} url - The URL.
+ * @param {string} pattern - The pattern.
+ * @returns {boolean} - True if the URL matches.
+ */
+function matchesPattern(url, pattern) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  const regExp = patternRegExp(pattern.trim());
+  if (pattern.includes("://")) {
+    return regExp.test(parsed.href);
+  } else if (pattern.includes("/")) {
+    return regExp.test(`${parsed.host}${parsed.pathname}${parsed.search}`);
+  }
+  return regExp.test(parsed.hostname);
+}
+
+/**
+ * Finds the profile that applies to a URL. If more than one does, the one with the most specific matching pattern
+ * (the longest, not counting wildcards) is used.
+ *
+ * @param {string} url - The URL.
+ * @param {Object<string, {match: string[], include: string[], exclude: string[]}>} [profiles={}] - The profiles,
+ *   by name.
+ * @returns {{name: string, profile: Object}|null} - The name of the matching profile and the profile itself, or
+ *   null if none matches.
+ */
+function findProfile(url, profiles = {}) {
+  let best = null;
+  let bestLength = -1;
+  for (const [name, profile] of Object.entries(profiles)) {
+    for (const pattern of profile.match || []) {
+      const length = pattern.replace(/\*/g, "").length;
+      if (length > bestLength && matchesPattern(url, pattern)) {
+        best = { name, profile };
+        bestLength = length;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Works out the include/exclude lists to scrape a page with: those of the profile matching its URL (see:
+ * findProfile()), or, if none matches, the defaults given. A profile's selectors go in excludeElements and
+ * includeElements, which take any CSS selector.
+ *
+ * @param {string} url - The URL of the page.
+ * @param {Object} defaults - The lists to use if no profile matches (e.g. the settings object).
+ * @param {string[]} [defaults.excludeElements=[]] - Tag names to exclude.
+ * @param {string[]} [defaults.excludeIDs=[]] - Element IDs to exclude.
+ * @param {string[]} [defaults.excludeClasses=[]] - Element classes to exclude.
+ * @param {string[]} [defaults.includeElements=[]] - Tag names to include.
+ * @param {Object<string, Object>} [profiles={}] - The profiles, by name.
+ * @returns {{profile: string|null, excludeElements: string[], excludeIDs: string[], excludeClasses: string[],
+ *   includeElements: string[]}} - The name of the profile used (null for the defaults), and the lists.
+ */
+function scrapingFilters(url, defaults, profiles = {}) {
+  const match = findProfile(url, profiles);
+  if (!match) {
+    return {
+      profile: null,
+      excludeElements: defaults.excludeElements || [],
+      excludeIDs: defaults.excludeIDs || [],
+      excludeClasses: defaults.excludeClasses || [],
+      includeElements: defaults.includeElements || [],
+    };
+  }
+  return {
+    profile: match.name,
+    excludeElements: match.profile.exclude || [],
+    excludeIDs: [],
+    excludeClasses: [],
+    includeElements: match.profile.include || [],
+  };
+}
+
+export { findProfile, matchesPattern, scrapingFilters };
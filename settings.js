@@ -1,7 +1,27 @@
 import { readFileSync, writeFileSync } from "fs";
 import inquirer from "inquirer";
 import { getModels } from "./utils.js";
-import { validateDirectory } from "./input_validation.js";
+import { providerNames } from "./providers.js";
+import { cardModes } from "./generate_flashcard_text.js";
+import { extractionModes } from "./scrape_page.js";
+import { modelNames, modelFieldNames } from "./anki.js";
+import {
+  cardParts,
+  defaultNoteType,
+  defaultFieldMapping,
+} from "./anki_helper.js";
+import {
+  validateDirectory,
+  validateURL,
+  validateUrlPattern,
+  validateSelector,
+  validateHeader,
+  validateProxy,
+  validateEnvName,
+  validateCookiesFile,
+} from "./input_validation.js";
+import { findProfile } from "./scraping_profiles.js";
+import { requestOptions } from "./request_profiles.js";
 
 /**
  * Prompts the user to confirm settings and allows adjustments until confirmed.
@@ -36,14 +56,16 @@ async function confirmSettings() {
 /**
  * Loads settings from a JSON file.
  *
+ * @param {string} [filepath="settings.json"] - The path of the settings file; other files can be passed
+ *                                              with --settings in headless mode (see: './cli.js').
  * @returns {Object|null} The parsed settings object if successful, otherwise null.
  */
-function loadSettings() {
+function loadSettings(filepath = "settings.json") {
   try {
-    const data = readFileSync("settings.json", "utf8");
+    const data = readFileSync(filepath, "utf8");
     return JSON.parse(data);
   } catch (error) {
-    console.error("Error reading settings.json:", error);
+    console.error(`Error reading ${filepath}:`, error);
     return null;
   }
 }
@@ -98,9 +120,26 @@ async function promptSettings(settings) {
  *  - includeElements: HTML element tags to include in scraping
  *                     (includes all elements if empty).
  *
+ * The extraction mode is chosen from extractionModes in './scrape_page.js'; in "auto" mode, the lists above are
+ * ignored and the main content of each page is found automatically.
+ *
+ * Per-site scraping profiles, used in place of the lists above for the pages they match, are created and edited
+ * in editScrapingProfiles(); per-site request profiles (cookies, headers, tokens and proxies for pages behind a
+ * login) in editRequestProfiles().
+ *
  * If the model setting is selected, the user is prompted to select a model from
- * a list of current models fetched by getModels(), found in './utils.js'.
+ * a list of current models fetched by getModels(), found in './utils.js', from the chosen provider.
  * Available models are filterd to exclude those which process/generate audio/images.
+ * If no models can be listed (e.g. the server isn't running), a model ID can be entered instead.
+ *
+ * The provider setting is chosen from providerNames in './providers.js'; baseUrl may be left empty
+ * to use the hosted OpenAI API.
+ *
+ * The note type and field mapping are edited together in editNoteType(), and the card mode is chosen
+ * from the modes in './generate_flashcard_text.js'.
+ *
+ * Numeric settings (e.g. maxChunkTokens, monthlyBudget) must be 0 or greater, and are saved as numbers;
+ * 0 disables the limit in question. Settings that are on or off (e.g. tagSource) are toggled with a yes/no prompt.
  *
  * @param {Object} settings - The current settings object.
  * @param {string} settings.logDirectory - The directory where logs are stored.
@@ -108,7 +147,21 @@ async function promptSettings(settings) {
  * @param {Array<string>} settings.excludeIDs - List of element IDs to exclude.
  * @param {Array<string>} settings.excludeClassess - List of element classes to exclude.
  * @param {Array<string>} settings.includeElements - List of elements to include.
+ * @param {string} settings.extractionMode - How the text of pages is picked out ("selectors" or "auto").
+ * @param {Object<string, Object>} settings.scrapingProfiles - Per-site include/exclude selectors, by profile name.
+ * @param {Object<string, Object>} settings.requestProfiles - Per-site cookies, headers and proxies, by profile name.
  * @param {string} settings.model - The model to use.
+ * @param {string} settings.provider - The provider to send requests to.
+ * @param {string} settings.baseUrl - The base URL of the provider's API.
+ * @param {string} settings.noteType - The note type cards are added as.
+ * @param {Object} settings.fieldMapping - The card part to put in each of the note type's fields.
+ * @param {string} settings.cardMode - The kind of cards to generate ("basic" or "cloze").
+ * @param {boolean} settings.tagSource - Whether to tag each card with its source.
+ * @param {string} settings.similarityMethod - How new cards are compared with the deck ("local" or "embeddings").
+ * @param {string} settings.reviewMode - How generated cards are reviewed ("terminal" or "browser").
+ * @param {number} settings.reviewPort - The port the browser review page is served on; 0 for any free port.
+ * @param {number} settings.maxChunkTokens - The maximum number of tokens of page text sent per request.
+ * @param {number} settings.monthlyBudget - The monthly spend cap in USD.
  * @returns {Promise<Object>} The updated settings object.
  */
 async function promptSettingsAdjustments(settings) {
@@ -125,14 +178,100 @@ async function promptSettingsAdjustments(settings) {
     if (settingToChange === "Done editing") {
       editing = false;
     } else if (settingToChange === "model") {
-      const models = await getModels();
-      const { model } = await inquirer.prompt({
+      let models = [];
+      try {
+        models = await getModels(settings);
+      } catch (error) {
+        console.error(`Error listing models: ${error.message}`);
+      }
+      const { model } = await inquirer.prompt(
+        models.length
+          ? {
+              type: "list",
+              name: "model",
+              message: "Select a model to use:",
+              choices: models,
+            }
+          : {
+              type: "input",
+              name: "model",
+              message: "No models listed; enter a model ID:",
+              default: settings.model,
+              validate: (input) => (input ? true : "model cannot be empty."),
+            }
+      );
+      settings[settingToChange] = model;
+    } else if (settingToChange === "provider") {
+      const { provider } = await inquirer.prompt({
         type: "list",
-        name: "model",
-        message: "Select a model to use:",
-        choices: models,
+        name: "provider",
+        message: "Select a provider:",
+        choices: providerNames,
+        default: settings.provider,
       });
-      settings[settingToChange] = model;
+      settings[settingToChange] = provider;
+    } else if (typeof settings[settingToChange] === "boolean") {
+      const { enabled } = await inquirer.prompt({
+        type: "confirm",
+        name: "enabled",
+        message: `Enable ${settingToChange}?`,
+        default: settings[settingToChange],
+      });
+      settings[settingToChange] = enabled;
+    } else if (settingToChange === "similarityMethod") {
+      const { similarityMethod } = await inquirer.prompt({
+        type: "list",
+        name: "similarityMethod",
+        message: "Select how to compare new cards with those in the deck:",
+        choices: ["local", "embeddings"],
+        default: settings.similarityMethod,
+      });
+      settings[settingToChange] = similarityMethod;
+    } else if (settingToChange === "reviewMode") {
+      const { reviewMode } = await inquirer.prompt({
+        type: "list",
+        name: "reviewMode",
+        message: "Select how to review generated cards:",
+        choices: ["terminal", "browser"],
+        default: settings.reviewMode,
+      });
+      settings[settingToChange] = reviewMode;
+    } else if (settingToChange === "extractionMode") {
+      const { extractionMode } = await inquirer.prompt({
+        type: "list",
+        name: "extractionMode",
+        message: "Select how the text of web pages is picked out:",
+        choices: extractionModes,
+        default: settings.extractionMode,
+      });
+      settings[settingToChange] = extractionMode;
+    } else if (settingToChange === "requestProfiles") {
+      await editRequestProfiles(settings);
+    } else if (settingToChange === "scrapingProfiles") {
+      await editScrapingProfiles(settings);
+    } else if (settingToChange === "cardMode") {
+      const { cardMode } = await inquirer.prompt({
+        type: "list",
+        name: "cardMode",
+        message: "Select the kind of cards to generate:",
+        choices: Object.keys(cardModes),
+        default: settings.cardMode,
+      });
+      settings[settingToChange] = cardMode;
+      if (
+        isClozeNoteType(settings.noteType || defaultNoteType) !==
+        (cardMode === "cloze")
+      ) {
+        console.log(
+          `Note: cards are added as ${settings.noteType || defaultNoteType} notes; change the note type to ` +
+            `${cardMode === "cloze" ? "a Cloze one" : "one that isn't Cloze"} to match.`
+        );
+      }
+    } else if (
+      settingToChange === "noteType" ||
+      settingToChange === "fieldMapping"
+    ) {
+      await editNoteType(settings, settingToChange === "noteType");
     } else if (
       settingToChange !== "excludeElements" &&
       settingToChange !== "excludeIDs" &&
@@ -151,13 +290,42 @@ async function promptSettingsAdjustments(settings) {
             return result.validPath
               ? true
               : `Error with LogPath: ${result.error}`;
+          } else if (settingToChange === "baseUrl") {
+            // Empty uses the hosted OpenAI API.
+            return !input || validateURL(input).validUrl
+              ? true
+              : "baseUrl must be a URL (e.g. http://localhost:11434/v1), or empty.";
+          } else if (settingToChange === "reviewPort") {
+            return input !== "" &&
+              Number.isInteger(Number(input)) &&
+              Number(input) >= 0 &&
+              Number(input) <= 65535
+              ? true
+              : "reviewPort must be a port number (0 to 65535); 0 picks any free port.";
+          } else if (settingToChange === "requestTimeout") {
+            return Number(input) > 0
+              ? true
+              : "requestTimeout must be a number of seconds, greater than 0.";
+          } else if (settingToChange === "maxRetries") {
+            return input !== "" &&
+              Number.isInteger(Number(input)) &&
+              Number(input) >= 0
+              ? true
+              : "maxRetries must be a whole number, 0 or greater.";
+          } else if (typeof settings[settingToChange] === "number") {
+            return input !== "" && Number(input) >= 0
+              ? true
+              : `${settingToChange} must be a number, 0 or greater.`;
           } else {
             return input ? true : `${settingToChange} cannot be empty.`;
           }
         },
       });
 
-      settings[settingToChange] = newValue;
+      settings[settingToChange] =
+        typeof settings[settingToChange] === "number"
+          ? Number(newValue)
+          : newValue;
     } else if (
       settingToChange === "excludeElements" ||
       settingToChange === "excludeIDs" ||
@@ -179,18 +347,32 @@ async function promptSettingsAdjustments(settings) {
  * @returns {Promise<void>} - A promise that resolves when the editing is complete and settings are saved.
  */
 async function editListSettings(settings, settingToChange) {
+  await editList(settings, settingToChange);
+  saveSettings(settings);
+}
+
+/**
+ * Edits a list held in an object (e.g. the settings, or a scraping profile), letting the user add, remove, or edit
+ * items in it until done. The list is created if the object doesn't have it yet.
+ *
+ * @param {Object} owner - The object holding the list.
+ * @param {string} key - The key of the list within the object.
+ * @param {function(string): (boolean|string)} [validate] - Validates new and edited items, as an inquirer validate
+ *   function: true if valid, otherwise a message saying why not.
+ * @returns {Promise<void>} - A promise that resolves when the editing is complete.
+ */
+async function editList(owner, key, validate) {
   let editing = true;
+  owner[key] = owner[key] || [];
 
   while (editing) {
-    console.log(
-      `Current list ${settingToChange}: ${settings[settingToChange]}`
-    );
+    console.log(`Current list ${key}: ${owner[key]}`);
 
     const { action } = await inquirer.prompt([
       {
         type: "list",
         name: "action",
-        message: `What would you like to do with the ${settingToChange} list?`,
+        message: `What would you like to do with the ${key} list?`,
         choices: ["Add Item", "Remove Item", "Edit Item", "Done"],
       },
     ]);
@@ -200,24 +382,23 @@ async function editListSettings(settings, settingToChange) {
         type: "input",
         name: "newItem",
         message: "Enter the new item to add:",
+        validate,
       });
-      settings[settingToChange].push(newItem);
-    } else if (action === "Remove Item") {
+      owner[key].push(newItem);
+    } else if (action === "Remove Item" && owner[key].length) {
       const { itemToRemove } = await inquirer.prompt({
         type: "list",
         name: "itemToRemove",
         message: "Select an item to remove:",
-        choices: settings[settingToChange],
+        choices: owner[key],
       });
-      settings[settingToChange] = settings[settingToChange].filter(
-        (item) => item !== itemToRemove
-      );
-    } else if (action === "Edit Item") {
+      owner[key] = owner[key].filter((item) => item !== itemToRemove);
+    } else if (action === "Edit Item" && owner[key].length) {
       const { itemToEdit } = await inquirer.prompt({
         type: "list",
         name: "itemToEdit",
         message: "Select an item to edit:",
-        choices: settings[settingToChange],
+        choices: owner[key],
       });
 
       const { updatedItem } = await inquirer.prompt({
@@ -225,15 +406,570 @@ async function editListSettings(settings, settingToChange) {
         name: "updatedItem",
         message: `Enter the new value for "${itemToEdit}":`,
         default: itemToEdit,
+        validate,
       });
 
-      const index = settings[settingToChange].indexOf(itemToEdit);
-      if (index !== -1) settings[settingToChange][index] = updatedItem;
+      const index = owner[key].indexOf(itemToEdit);
+      if (index !== -1) owner[key][index] = updatedItem;
     } else if (action === "Done") {
       editing = false;
     }
   }
+}
+
+/**
+ * Creates, edits and deletes per-site scraping profiles (see: './scraping_profiles.js'), kept in
+ * settings.scrapingProfiles by name. Each profile's URL patterns are validated with validateUrlPattern(), and its
+ * selectors with validateSelector(), both in './input_validation.js'.
+ *
+ * A URL can be tested against the profiles, to see which of them (if any) would be used for it.
+ *
+ * @param {Object} settings - The settings object.
+ * @returns {Promise<void>} - A promise that resolves when editing is done and settings are saved.
+ */
+async function editScrapingProfiles(settings) {
+  const profiles = settings.scrapingProfiles || {};
+  settings.scrapingProfiles = profiles;
+  const validatePattern = validatePatternInput;
+  const validateCss = (input) => {
+    const result = validateSelector(input);
+    return result.validSelector || `Error with selector: ${result.error}`;
+  };
+  let editing = true;
+
+  while (editing) {
+    for (const [name, profile] of Object.entries(profiles)) {
+      console.log(
+        `${name}: matches ${(profile.match || []).join(", ") || "(nothing)"}; ` +
+          `includes ${(profile.include || []).join(", ") || "everything"}; ` +
+          `excludes ${(profile.exclude || []).join(", ") || "nothing"}`
+      );
+    }
+    const { choice } = await inquirer.prompt({
+      type: "list",
+      name: "choice",
+      message: "Select a scraping profile to edit:",
+      choices: Object.keys(profiles).concat(
+        "Add profile",
+        "Test a URL",
+        "Done"
+      ),
+    });
+
+    if (choice === "Done") {
+      editing = false;
+    } else if (choice === "Test a URL") {
+      const { url } = await inquirer.prompt({
+        type: "input",
+        name: "url",
+        message: "Enter a URL to test:",
+        validate: (input) =>
+          validateURL(input).validUrl || "Enter an absolute URL.",
+      });
+      const match = findProfile(url, profiles);
+      console.log(
+        match
+          ? `${url} is scraped with the "${match.name}" profile.`
+          : `${url} matches no profile; it's scraped with the lists in settings.`
+      );
+    } else if (choice === "Add profile") {
+      const { name } = await inquirer.prompt({
+        type: "input",
+        name: "name",
+        message: "Enter a name for the profile (e.g. Python docs):",
+        validate: (input) => {
+          if (!input.trim()) {
+            return "Name cannot be empty.";
+          }
+          return (
+            !(input.trim() in profiles) || "A profile with that name exists."
+          );
+        },
+      });
+      const { pattern } = await inquirer.prompt({
+        type: "input",
+        name: "pattern",
+        message:
+          "Enter a hostname or URL pattern the profile applies to (e.g. docs.python.org, *.example.com/docs/*):",
+        validate: validatePattern,
+      });
+      profiles[name.trim()] = {
+        match: [pattern.trim()],
+        include: [],
+        exclude: [],
+      };
+      await editScrapingProfile(
+        profiles,
+        name.trim(),
+        validatePattern,
+        validateCss
+      );
+    } else {
+      await editScrapingProfile(profiles, choice, validatePattern, validateCss);
+    }
+  }
 
   saveSettings(settings);
 }
+
+/**
+ * Edits one scraping profile: its URL patterns, its include and exclude selectors, or its name; or deletes it.
+ *
+ * @param {Object<string, Object>} profiles - The profiles, by name.
+ * @param {string} name - The name of the profile to edit.
+ * @param {function(string): (boolean|string)} validatePattern - Validates URL patterns; see editList().
+ * @param {function(string): (boolean|string)} validateCss - Validates CSS selectors; see editList().
+ * @returns {Promise<void>} - A promise that resolves when editing the profile is done.
+ */
+async function editScrapingProfile(
+  profiles,
+  name,
+  validatePattern,
+  validateCss
+) {
+  let editing = true;
+
+  while (editing) {
+    const { action } = await inquirer.prompt({
+      type: "list",
+      name: "action",
+      message: `What would you like to do with the "${name}" profile?`,
+      choices: [
+        { name: "Edit URL patterns (match)", value: "match" },
+        { name: "Edit selectors to include (include)", value: "include" },
+        { name: "Edit selectors to exclude (exclude)", value: "exclude" },
+        { name: "Rename", value: "rename" },
+        { name: "Delete", value: "delete" },
+        { name: "Done", value: "done" },
+      ],
+    });
+
+    if (action === "match") {
+      await editList(profiles[name], "match", validatePattern);
+    } else if (action === "include" || action === "exclude") {
+      await editList(profiles[name], action, validateCss);
+    } else if (action === "rename") {
+      name = await renameProfile(profiles, name);
+    } else if (action === "delete") {
+      editing = !(await deleteProfile(profiles, name));
+    } else {
+      editing = false;
+    }
+  }
+}
+
+/**
+ * Prompts for a new name for a profile, and renames it.
+ *
+ * @param {Object<string, Object>} profiles - The profiles, by name.
+ * @param {string} name - The name of the profile.
+ * @returns {Promise<string>} - A promise that resolves to the profile's new name.
+ */
+async function renameProfile(profiles, name) {
+  const { newName } = await inquirer.prompt({
+    type: "input",
+    name: "newName",
+    message: "Enter the new name:",
+    default: name,
+    validate: (input) =>
+      (input.trim() &&
+        (input.trim() === name || !(input.trim() in profiles))) ||
+      "Name must be non-empty and not used by another profile.",
+  });
+  const profile = profiles[name];
+  delete profiles[name];
+  profiles[newName.trim()] = profile;
+  return newName.trim();
+}
+
+/**
+ * Asks the user to confirm deleting a profile, and deletes it if they do.
+ *
+ * @param {Object<string, Object>} profiles - The profiles, by name.
+ * @param {string} name - The name of the profile.
+ * @returns {Promise<boolean>} - A promise that resolves to whether the profile was deleted.
+ */
+async function deleteProfile(profiles, name) {
+  const { confirmDelete } = await inquirer.prompt({
+    type: "confirm",
+    name: "confirmDelete",
+    message: `Delete the "${name}" profile?`,
+    default: false,
+  });
+  if (confirmDelete) {
+    delete profiles[name];
+  }
+  return confirmDelete;
+}
+
+/**
+ * Creates, edits and deletes per-site request profiles (see: './request_profiles.js'), kept in
+ * settings.requestProfiles by name: the cookies file, headers, bearer token and proxy used to fetch the pages each
+ * matches. Values are checked with the validators in './input_validation.js', which refuse to keep secrets in
+ * settings.json: credentials must be given as environment variables ('$NAME') instead.
+ *
+ * A URL can be tested against the profiles, to see which of them (if any) would be used for it, and which headers
+ * would be sent; their values aren't shown.
+ *
+ * @param {Object} settings - The settings object.
+ * @returns {Promise<void>} - A promise that resolves when editing is done and settings are saved.
+ */
+async function editRequestProfiles(settings) {
+  const profiles = settings.requestProfiles || {};
+  settings.requestProfiles = profiles;
+  let editing = true;
+
+  while (editing) {
+    for (const [name, profile] of Object.entries(profiles)) {
+      const sends = [
+        profile.cookiesFile && `cookies from ${profile.cookiesFile}`,
+        Object.keys(profile.headers || {}).length &&
+          `headers ${Object.keys(profile.headers).join(", ")}`,
+        profile.bearerTokenEnv &&
+          `a bearer token from $${profile.bearerTokenEnv}`,
+      ].filter(Boolean);
+      console.log(
+        `${name}: matches ${(profile.match || []).join(", ") || "(nothing)"}; ` +
+          `sends ${sends.join(", ") || "nothing extra"}` +
+          (profile.proxy ? `; via proxy ${profile.proxy}` : "")
+      );
+    }
+    const { choice } = await inquirer.prompt({
+      type: "list",
+      name: "choice",
+      message: "Select a request profile to edit:",
+      choices: Object.keys(profiles).concat(
+        "Add profile",
+        "Test a URL",
+        "Done"
+      ),
+    });
+
+    if (choice === "Done") {
+      editing = false;
+    } else if (choice === "Test a URL") {
+      const { url } = await inquirer.prompt({
+        type: "input",
+        name: "url",
+        message: "Enter a URL to test:",
+        validate: (input) =>
+          validateURL(input).validUrl || "Enter an absolute URL.",
+      });
+      try {
+        const request = requestOptions(url, profiles);
+        console.log(
+          request.profile
+            ? `${url} is fetched with the "${request.profile}" profile, sending ` +
+                `${Object.keys(request.headers).join(", ") || "no extra headers"}` +
+                (request.proxy
+                  ? ` via ${request.proxy.host}:${request.proxy.port}.`
+                  : ".")
+            : `${url} matches no profile; it's fetched without credentials.`
+        );
+      } catch (error) {
+        console.log(
+          `${url} can't be fetched with its profile: ${error.message}`
+        );
+      }
+    } else if (choice === "Add profile") {
+      const { name } = await inquirer.prompt({
+        type: "input",
+        name: "name",
+        message: "Enter a name for the profile (e.g. Work wiki):",
+        validate: (input) => {
+          if (!input.trim()) {
+            return "Name cannot be empty.";
+          }
+          return (
+            !(input.trim() in profiles) || "A profile with that name exists."
+          );
+        },
+      });
+      const { pattern } = await inquirer.prompt({
+        type: "input",
+        name: "pattern",
+        message:
+          "Enter a hostname or URL pattern the profile applies to (e.g. wiki.example.com, *.example.com):",
+        validate: validatePatternInput,
+      });
+      profiles[name.trim()] = { match: [pattern.trim()], headers: {} };
+      await editRequestProfile(profiles, name.trim());
+    } else {
+      await editRequestProfile(profiles, choice);
+    }
+  }
+
+  saveSettings(settings);
+}
+
+/**
+ * Validates a URL pattern as an inquirer validate function; see validateUrlPattern() in './input_validation.js'.
+ *
+ * @param {string} input - The pattern.
+ * @returns {boolean|string} - True if valid, otherwise a message saying why not.
+ */
+function validatePatternInput(input) {
+  const result = validateUrlPattern(input);
+  return result.validPattern || `Error with pattern: ${result.error}`;
+}
+
+/**
+ * Edits one request profile: its URL patterns, cookies file, headers, bearer token or proxy, or its name; or
+ * deletes it. Entering nothing for the cookies file, bearer token or proxy removes it.
+ *
+ * @param {Object<string, Object>} profiles - The profiles, by name.
+ * @param {string} name - The name of the profile to edit.
+ * @returns {Promise<void>} - A promise that resolves when editing the profile is done.
+ */
+async function editRequestProfile(profiles, name) {
+  let editing = true;
+  const setOrRemove = (key, value) => {
+    if (value.trim()) {
+      profiles[name][key] = value.trim();
+    } else {
+      delete profiles[name][key];
+    }
+  };
+
+  while (editing) {
+    const { action } = await inquirer.prompt({
+      type: "list",
+      name: "action",
+      message: `What would you like to do with the "${name}" profile?`,
+      choices: [
+        { name: "Edit URL patterns (match)", value: "match" },
+        {
+          name: "Set the cookies.txt file (cookiesFile)",
+          value: "cookiesFile",
+        },
+        { name: "Edit headers (headers)", value: "headers" },
+        {
+          name: "Set the bearer token's environment variable (bearerTokenEnv)",
+          value: "bearerTokenEnv",
+        },
+        { name: "Set the proxy (proxy)", value: "proxy" },
+        { name: "Rename", value: "rename" },
+        { name: "Delete", value: "delete" },
+        { name: "Done", value: "done" },
+      ],
+    });
+
+    if (action === "match") {
+      await editList(profiles[name], "match", validatePatternInput);
+    } else if (action === "cookiesFile") {
+      const { cookiesFile } = await inquirer.prompt({
+        type: "input",
+        name: "cookiesFile",
+        message:
+          "Enter the path of a cookies.txt file exported from your browser (empty to remove):",
+        default: profiles[name].cookiesFile,
+        validate: (input) => {
+          if (!input.trim()) {
+            return true;
+          }
+          const result = validateCookiesFile(input);
+          return (
+            result.validPath ||
+            `Error with cookies file: ${result.error.message}`
+          );
+        },
+      });
+      setOrRemove("cookiesFile", cookiesFile);
+    } else if (action === "headers") {
+      await editHeaders(profiles[name]);
+    } else if (action === "bearerTokenEnv") {
+      const { bearerTokenEnv } = await inquirer.prompt({
+        type: "input",
+        name: "bearerTokenEnv",
+        message:
+          "Enter the name of the environment variable holding the token (e.g. WIKI_TOKEN; empty to remove):",
+        default: profiles[name].bearerTokenEnv,
+        validate: (input) => {
+          if (!input.trim()) {
+            return true;
+          }
+          const result = validateEnvName(input.replace(/^\$/, ""));
+          return result.validName || `Error with name: ${result.error.message}`;
+        },
+      });
+      setOrRemove("bearerTokenEnv", bearerTokenEnv.replace(/^\s*\$/, ""));
+      if (
+        bearerTokenEnv.trim() &&
+        !process.env[profiles[name].bearerTokenEnv]
+      ) {
+        console.log(
+          `Note: ${profiles[name].bearerTokenEnv} isn't set in this environment yet.`
+        );
+      }
+    } else if (action === "proxy") {
+      const { proxy } = await inquirer.prompt({
+        type: "input",
+        name: "proxy",
+        message:
+          "Enter the proxy URL (e.g. http://proxy.example.com:3128), or $NAME to read it from an environment variable (empty to remove):",
+        default: profiles[name].proxy,
+        validate: (input) => {
+          if (!input.trim()) {
+            return true;
+          }
+          const result = validateProxy(input);
+          return (
+            result.validProxy || `Error with proxy: ${result.error.message}`
+          );
+        },
+      });
+      setOrRemove("proxy", proxy);
+    } else if (action === "rename") {
+      name = await renameProfile(profiles, name);
+    } else if (action === "delete") {
+      editing = !(await deleteProfile(profiles, name));
+    } else {
+      editing = false;
+    }
+  }
+}
+
+/**
+ * Adds, changes and removes the headers of a request profile. Values of headers that may hold secrets must be
+ * given as '$NAME', to be read from the environment variable NAME (see: validateHeader() in './input_validation.js').
+ *
+ * @param {Object} profile - The request profile.
+ * @returns {Promise<void>} - A promise that resolves when editing the headers is done.
+ */
+async function editHeaders(profile) {
+  let editing = true;
+  profile.headers = profile.headers || {};
+
+  while (editing) {
+    for (const [header, value] of Object.entries(profile.headers)) {
+      console.log(`${header}: ${value}`);
+    }
+    const { action } = await inquirer.prompt({
+      type: "list",
+      name: "action",
+      message: "What would you like to do with the headers?",
+      choices: ["Set a header", "Remove a header", "Done"],
+    });
+
+    if (action === "Set a header") {
+      const { header } = await inquirer.prompt({
+        type: "input",
+        name: "header",
+        message: "Enter the header name (e.g. Accept-Language, X-Api-Key):",
+        validate: (input) =>
+          validateHeader(input, "$VALUE").validHeader ||
+          "Not a valid header name.",
+      });
+      const { value } = await inquirer.prompt({
+        type: "input",
+        name: "value",
+        message: `Enter the value of ${header.trim()}, or $NAME to read it from an environment variable:`,
+        default: profile.headers[header.trim()],
+        validate: (input) => {
+          const result = validateHeader(header, input);
+          return (
+            result.validHeader || `Error with header: ${result.error.message}`
+          );
+        },
+      });
+      profile.headers[header.trim()] = value.trim();
+    } else if (
+      action === "Remove a header" &&
+      Object.keys(profile.headers).length
+    ) {
+      const { header } = await inquirer.prompt({
+        type: "list",
+        name: "header",
+        message: "Select a header to remove:",
+        choices: Object.keys(profile.headers),
+      });
+      delete profile.headers[header];
+    } else if (action === "Done") {
+      editing = false;
+    }
+  }
+}
+/**
+ * Whether a note type is for cloze deletions, going by its name (e.g. "Cloze", "Cloze (overlapping)").
+ *
+ * @param {string} noteType - The name of the note type.
+ * @returns {boolean} - True if it's a cloze note type.
+ */
+function isClozeNoteType(noteType) {
+  return /cloze/i.test(noteType);
+}
+
+/**
+ * Edits the note type cards are added as, and which generated card part (see: cardParts in './anki_helper.js') goes
+ * in each of its fields. The note types and their fields are read from Anki through AnkiConnect, so Anki must be running.
+ *
+ * Each field is offered every card part, or nothing to leave the field empty; the current mapping is the default,
+ * or, for a newly chosen note type, the question and answer in its first two fields (the text and extra, for a
+ * cloze note type, as cloze cards have no answer). Choosing a cloze note type switches cardMode to "cloze", and
+ * choosing any other switches it from "cloze" back to "basic", so that the cards generated fit the note type.
+ *
+ * @param {Object} settings - The settings object.
+ * @param {boolean} chooseNoteType - Whether to choose a new note type first, or remap the fields of the current one.
+ * @returns {Promise<void>} - A promise that resolves when the note type and mapping have been updated.
+ */
+async function editNoteType(settings, chooseNoteType) {
+  let noteType = settings.noteType || defaultNoteType;
+  const currentMapping = settings.fieldMapping || defaultFieldMapping;
+
+  if (chooseNoteType) {
+    const noteTypes = await modelNames(settings.ankiUrl);
+    if (!noteTypes) {
+      console.log("Unable to list note types; is Anki running?");
+      return;
+    }
+    ({ noteType } = await inquirer.prompt({
+      type: "list",
+      name: "noteType",
+      message: "Select a note type:",
+      choices: noteTypes,
+      default: noteType,
+    }));
+  }
+
+  const fields = await modelFieldNames(settings.ankiUrl, noteType);
+  if (!fields) {
+    console.log(`Unable to list the fields of ${noteType}; is Anki running?`);
+    return;
+  }
+
+  const cardMode = isClozeNoteType(noteType)
+    ? "cloze"
+    : settings.cardMode === "cloze"
+      ? "basic"
+      : settings.cardMode;
+  if (cardMode !== settings.cardMode) {
+    console.log(`Card mode switched to ${cardMode} to match ${noteType}.`);
+  }
+
+  let fieldMapping = {};
+  for (const [index, field] of fields.entries()) {
+    const guess =
+      (cardMode === "cloze" ? ["question", "extra"] : ["question", "answer"])[
+        index
+      ] || "";
+    const { part } = await inquirer.prompt({
+      type: "list",
+      name: "part",
+      message: `What should go in the ${field} field?`,
+      choices: cardParts.concat({ name: "(leave empty)", value: "" }),
+      default:
+        noteType === settings.noteType && field in currentMapping
+          ? currentMapping[field]
+          : guess,
+    });
+    if (part) {
+      fieldMapping[field] = part;
+    }
+  }
+
+  settings.noteType = noteType;
+  settings.fieldMapping = fieldMapping;
+  settings.cardMode = cardMode;
+}
+
 export { confirmSettings, loadSettings, saveSettings };
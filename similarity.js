@@ -0,0 +1,342 @@
+import { createHash } from "crypto";
+import { findNotes, notesInfo } from "./anki.js";
+import { recordUsage } from "./cost_tracking.js";
+import { createProvider } from "./providers.js";
+import { readCachedEmbeddings, cacheEmbeddings } from "./cache.js";
+
+/**
+ * Near-duplicate detection against the cards already in a deck.
+ *
+ * Anki's own duplicate check (see: flagDuplicates() in './anki_helper.js') only catches cards whose first field
+ * matches an existing note exactly. Here, each generated card's question is compared with the question of every
+ * note in the deck, so that cards worded differently but asking the same thing can be spotted in review.
+ *
+ * The similarityMethod setting chooses how questions are compared:
+ *  - "local": word overlap, computed here with no requests (see: textSimilarity()).
+ *  - "embeddings": cosine similarity of embeddings from the provider, with embeddingModel (e.g. text-embedding-3-small).
+ *    Falls back to "local" if the provider doesn't support embeddings, or the request fails. The deck's notes'
+ *    embeddings are cached on disk by note ID (see: './cache.js'), so only new and changed notes are embedded again.
+ * Scores run from 0 (nothing in common) to 1 (the same); embedding scores run higher than local ones for the same
+ * pair of questions, so similarityThreshold should be raised (to around 0.85) when using embeddings.
+ */
+
+const defaultThreshold = 0.6;
+
+// Inputs per embeddings request.
+const embeddingBatchSize = 256;
+
+// Words too common to say anything about what a question asks.
+const stopWords = new Set(
+  (
+    "a an and are as at be by can did do does for from has have how in is it its of on or that the " +
+    "this to was were what when where which who whom whose why will with would you your"
+  ).split(" ")
+);
+
+/**
+ * Strips the HTML from a note field, leaving its text.
+ *
+ * @param {string} html - The field value.
+ * @returns {string} - The text of the field.
+ */
+function stripHtml(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, " ")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Reduces text to the words that carry its meaning: lowercased, cloze markers and punctuation removed,
+ * stop words dropped, and common suffixes trimmed so that e.g. 'cells' and 'cell' match.
+ *
+ * @param {string} text - The text to reduce.
+ * @returns {string[]} - The remaining words.
+ */
+function contentWords(text) {
+  return text
+    .toLowerCase()
+    .replace(/\{\{c\d+::(.*?)(::.*?)?\}\}/g, "$1")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word && !stopWords.has(word))
+    .map((word) =>
+      word.length > 4 ? word.replace(/(ing|ed|es|s)$/, "") : word
+    );
+}
+
+/**
+ * Scores how alike two pieces of text are from the words they share (the Dice coefficient of their content words).
+ *
+ * @param {string} a - The first text.
+ * @param {string} b - The second text.
+ * @returns {number} - The similarity, from 0 to 1.
+ */
+function textSimilarity(a, b) {
+  const wordsA = new Set(contentWords(a));
+  const wordsB = new Set(contentWords(b));
+  if (!wordsA.size || !wordsB.size) {
+    return 0;
+  }
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) {
+      shared += 1;
+    }
+  }
+  return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+/**
+ * Scores how much of one piece of text is found in another: the share of the first's content words that appear
+ * in the second. Unlike textSimilarity(), this isn't penalised by the second text being much longer, so suits
+ * matching a card to the passage it came from (see: findSections() in './provenance.js').
+ *
+ * @param {string} a - The text to look for.
+ * @param {string} b - The text to look in.
+ * @returns {number} - The share of a's words found in b, from 0 to 1.
+ */
+function textOverlap(a, b) {
+  const wordsA = new Set(contentWords(a));
+  const wordsB = new Set(contentWords(b));
+  if (!wordsA.size) {
+    return 0;
+  }
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) {
+      shared += 1;
+    }
+  }
+  return shared / wordsA.size;
+}
+
+/**
+ * Computes the cosine similarity of two vectors.
+ *
+ * @param {number[]} a - The first vector.
+ * @param {number[]} b - The second vector.
+ * @returns {number} - The cosine similarity.
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Fetches the notes in a deck, with the text of their question and answer fields. The question field is the one
+ * the question is mapped onto in fieldMapping, if the note is of that type; otherwise, the note's first field.
+ * The answer is taken the same way, falling back to the second field.
+ *
+ * @param {Object} settings - The settings object containing various configurations.
+ * @param {string} settings.ankiUrl - The URL of the AnkiConnect API.
+ * @param {string} [settings.noteType] - The note type cards are added as.
+ * @param {Object} [settings.fieldMapping] - The card part to put in each of the note type's fields.
+ * @param {string} deckName - The name of the deck.
+ * @returns {Promise<Array<{noteId: number, front: string, back: string}>>} - A promise that resolves to the notes,
+ *   empty if the deck is empty or Anki can't be reached.
+ */
+async function getDeckNotes(settings, deckName) {
+  const ids = await findNotes(
+    settings.ankiUrl,
+    `deck:"${deckName.replace(/"/g, '\\"')}"`
+  );
+  if (!ids || !ids.length) {
+    return [];
+  }
+  const notes = await notesInfo(settings.ankiUrl, ids);
+  if (!notes) {
+    return [];
+  }
+
+  const mappedField = (note, part) =>
+    note.modelName === (settings.noteType || "Basic") && settings.fieldMapping
+      ? Object.keys(settings.fieldMapping).find(
+          (field) => settings.fieldMapping[field] === part
+        )
+      : undefined;
+
+  return notes.map((note) => {
+    const fields = Object.entries(note.fields)
+      .sort(([, a], [, b]) => a.order - b.order)
+      .map(([name]) => name);
+    const frontField = mappedField(note, "question") || fields[0];
+    const backField = mappedField(note, "answer") || fields[1];
+    return {
+      noteId: note.noteId,
+      front: stripHtml(note.fields[frontField]?.value || ""),
+      back: stripHtml(note.fields[backField]?.value || ""),
+    };
+  });
+}
+
+/**
+ * Embeds texts with the provider's embeddings API, in batches, recording the usage to the spend ledger.
+ *
+ * @param {Object} provider - The provider; see './providers.js'.
+ * @param {string[]} texts - The texts to embed.
+ * @param {Object} settings - The settings object; see findClosestNotes().
+ * @returns {Promise<Array<number[]>>} - A promise that resolves to an embedding per text, in order.
+ */
+async function embedTexts(provider, texts, settings) {
+  let vectors = [];
+  for (let i = 0; i < texts.length; i += embeddingBatchSize) {
+    const { embeddings, usage } = await provider.createEmbeddings(
+      texts.slice(i, i + embeddingBatchSize),
+      settings.embeddingModel
+    );
+    recordUsage(
+      settings.logDirectory,
+      settings.embeddingModel,
+      "similarity check",
+      {
+        prompt_tokens: usage ? usage.prompt_tokens : 0,
+        completion_tokens: 0,
+      },
+      provider.name
+    );
+    vectors = vectors.concat(embeddings);
+  }
+  return vectors;
+}
+
+/**
+ * Embeds the questions of a deck's notes, reusing the embeddings cached for notes whose question hasn't changed (see:
+ * readCachedEmbeddings() in './cache.js'), and caching the rest.
+ *
+ * @param {Object} provider - The provider; see './providers.js'.
+ * @param {Array<{noteId: number, front: string}>} notes - The deck's notes; see getDeckNotes().
+ * @param {Object} settings - The settings object; see findClosestNotes().
+ * @param {string} deckName - The name of the deck.
+ * @returns {Promise<Array<number[]>>} - A promise that resolves to an embedding per note, in order.
+ */
+async function embedNotes(provider, notes, settings, deckName) {
+  const key = {
+    provider: provider.name,
+    endpoint: provider.endpoint,
+    model: settings.embeddingModel,
+    deckName,
+  };
+  const cached = readCachedEmbeddings(settings, key);
+  const hashes = notes.map((note) =>
+    createHash("sha256").update(note.front).digest("hex")
+  );
+  const missing = notes
+    .map((note, i) => i)
+    .filter((i) => cached[notes[i].noteId]?.hash !== hashes[i]);
+  if (!missing.length) {
+    return notes.map((note) => cached[note.noteId].vector);
+  }
+
+  const vectors = await embedTexts(
+    provider,
+    missing.map((i) => notes[i].front),
+    settings
+  );
+  const embedded = {};
+  notes.forEach((note, i) => {
+    embedded[note.noteId] = cached[note.noteId];
+  });
+  missing.forEach((i, j) => {
+    embedded[notes[i].noteId] = { hash: hashes[i], vector: vectors[j] };
+  });
+  cacheEmbeddings(settings, key, embedded);
+  return notes.map((note) => embedded[note.noteId].vector);
+}
+
+/**
+ * Scores every generated card against every existing note, with embeddings if chosen and available,
+ * otherwise with textSimilarity().
+ *
+ * @param {string[]} questions - The generated cards' questions.
+ * @param {Array<{noteId: number, front: string}>} notes - The existing notes.
+ * @param {Object} settings - The settings object; see findClosestNotes().
+ * @param {string} deckName - The name of the deck the notes are in, to cache their embeddings by.
+ * @returns {Promise<Array<number[]>>} - A promise that resolves to a row of scores per generated card.
+ */
+async function scoreQuestions(questions, notes, settings, deckName) {
+  if (settings.similarityMethod === "embeddings") {
+    try {
+      const provider = createProvider(settings);
+      if (!provider.createEmbeddings) {
+        throw new Error(`the ${provider.name} provider doesn't support them`);
+      }
+      const existingVectors = await embedNotes(
+        provider,
+        notes,
+        settings,
+        deckName
+      );
+      const vectors = await embedTexts(provider, questions, settings);
+      return vectors.map((vector) =>
+        existingVectors.map((other) => cosineSimilarity(vector, other))
+      );
+    } catch (error) {
+      console.error(
+        `Unable to use embeddings (${error.message}); using local text similarity.`
+      );
+    }
+  }
+  return questions.map((question) =>
+    notes.map((note) => textSimilarity(question, note.front))
+  );
+}
+
+/**
+ * Finds, for each generated card, the most similar note already in the deck. Each card is returned with:
+ *  - closest: the closest existing note's front and back, and its similarity score (omitted if the deck is empty).
+ *  - similar: true if the score reaches similarityThreshold, marking the card as a likely near-duplicate.
+ *
+ * @param {Object} settings - The settings object containing various configurations.
+ * @param {string} settings.ankiUrl - The URL of the AnkiConnect API.
+ * @param {string} [settings.similarityMethod="local"] - "local" or "embeddings".
+ * @param {number} [settings.similarityThreshold=0.6] - The score from which a card counts as a near-duplicate.
+ * @param {string} [settings.embeddingModel] - The embeddings model, for "embeddings".
+ * @param {string} settings.logDirectory - The directory where the spend ledger is kept, for "embeddings".
+ * @param {string} deckName - The name of the deck the cards are to be added to.
+ * @param {Array<Object>} cards - The generated cards.
+ * @returns {Promise<Array<Object>>} - A promise that resolves to the cards, with their closest existing notes.
+ */
+async function findClosestNotes(settings, deckName, cards) {
+  const notes = await getDeckNotes(settings, deckName);
+  if (!notes.length || !cards.length) {
+    return cards;
+  }
+
+  const threshold = settings.similarityThreshold || defaultThreshold;
+  const scores = await scoreQuestions(
+    cards.map((card) => card.front),
+    notes,
+    settings,
+    deckName
+  );
+
+  return cards.map((card, i) => {
+    let best = 0;
+    scores[i].forEach((score, j) => {
+      if (score > scores[i][best]) {
+        best = j;
+      }
+    });
+    const score = Math.round(scores[i][best] * 100) / 100;
+    return {
+      ...card,
+      closest: { front: notes[best].front, back: notes[best].back, score },
+      similar: score >= threshold,
+    };
+  });
+}
+
+export { stripHtml, textSimilarity, textOverlap, findClosestNotes };
@@ -0,0 +1,142 @@
+import { openSync } from "fs";
+import { ReadStream } from "tty";
+import scrapePage from "./scrape_page.js";
+import { splitParagraphs } from "./utils.js";
+import { readSourceFile } from "./file_import.js";
+import { readDocument } from "./document_import.js";
+
+/**
+ * Text sources for flashcard generation.
+ *
+ * Every source resolves to segments of text, each with the same array of text blocks that scrapePage()
+ * in './scrape_page.js' produces, so that the rest of the pipeline (generation, review, Anki) doesn't
+ * need to care where the text came from. Each segment has:
+ *  - location: where in the source the text came from (e.g. 'p. 21'), or null if the source isn't divided.
+ *  - title: the page title, for web pages (optional).
+ *  - text: the array of text blocks.
+ * Only documents are divided into more than one segment (one per PDF page or EPUB chapter); every other
+ * source is a single segment.
+ *
+ * A source is an object with a type property, plus:
+ *  - url: the URL to scrape, for type "url".
+ *  - extractionMode: how the page's text is picked out, for type "url" (optional; see extractionModes in
+ *    './scrape_page.js'). Defaults to extractionMode in settings.
+ *  - text: the raw text, for types "paste" and "stdin".
+ *  - path and lineRange: the file to read and the lines to read from it, for type "file".
+ *  - path, and pages or chapters: the PDF/EPUB to read and the pages/chapters to read from it, for type "document".
+ */
+
+/**
+ * Fetches the text for a source, as segments of text blocks.
+ *
+ * @param {Object} source - The source chosen in mainUserInputHandler() in './main_user_prompts.js'.
+ * @param {string} source.type - One of "url", "paste", "stdin", "file" or "document".
+ * @param {Object} settings - The settings object containing various configurations.
+ * @param {Array<string>} settings.excludeElements - List of elements to exclude during page scraping.
+ * @param {Array<string>} settings.excludeIDs - List of element IDs to exclude during page scraping.
+ * @param {Array<string>} settings.excludeClasses - List of element clasess to exclude during page scraping.
+ * @param {Array<string>} settings.includeElements - List of elements to include during page scraping.
+ * @param {string} settings.extractionMode - How the text of web pages and HTML is picked out ("selectors" or "auto").
+ * @param {Object<string, Object>} settings.scrapingProfiles - Per-site include/exclude selectors, used in place of
+ *   the lists above for the pages they match (see: './scraping_profiles.js').
+ * @param {string} settings.userAgent - The User-Agent web pages are fetched with; see './polite_fetch.js' for
+ *   this and the other fetch settings (obeyRobotsTxt, requestDelay, requestTimeout, maxRetries).
+ * @returns {Promise<Array<{location: string|null, title?: string|null, text: string[]}>>} - A promise that resolves to the source's segments;
+ *   empty if no text was found.
+ * @throws {Error} - Throws an error if the source type is not recognised, or saying why a web page couldn't be
+ *   fetched.
+ */
+async function getSourceSegments(source, settings) {
+  let text;
+
+  if (source.type === "document") {
+    return readDocument(source, settings);
+  } else if (source.type === "url") {
+    const page = await scrapePage(
+      source.url,
+      settings.excludeElements,
+      settings.excludeIDs,
+      settings.excludeClasses,
+      settings.includeElements,
+      source.extractionMode || settings.extractionMode,
+      settings.scrapingProfiles,
+      settings
+    );
+    return page.text.length
+      ? [{ location: null, title: page.title || null, text: page.text }]
+      : [];
+  } else if (source.type === "paste" || source.type === "stdin") {
+    text = splitParagraphs(source.text);
+  } else if (source.type === "file") {
+    text = readSourceFile(source.path, source.lineRange, settings);
+  } else {
+    throw new Error(`Unknown source type: ${source.type}`);
+  }
+
+  return text.length ? [{ location: null, text }] : [];
+}
+
+/**
+ * Describes a source for the spend ledger and console output.
+ *
+ * @param {Object} source - The source object.
+ * @returns {string} - The URL for URL sources, the path (and line/page range or chapters) for files and documents,
+ *   otherwise a short description of the source.
+ */
+function describeSource(source) {
+  if (source.type === "url") {
+    return source.url;
+  } else if (source.type === "file") {
+    return source.lineRange
+      ? `${source.path} (lines ${source.lineRange})`
+      : source.path;
+  } else if (source.type === "document") {
+    if (source.pages) {
+      return `${source.path} (pp. ${source.pages})`;
+    }
+    return source.chapters && source.chapters.length
+      ? `${source.path} (chapters ${source.chapters.join(", ")})`
+      : source.path;
+  } else if (source.type === "paste") {
+    return "pasted text";
+  }
+  return "stdin";
+}
+
+/**
+ * Reads all text piped to the script on stdin (e.g. `cat notes.txt | npm start`).
+ *
+ * Once stdin has been read, prompts need another way to read from the user, so the controlling
+ * terminal is reopened and swapped in as process.stdin for inquirer to use (unless running headless,
+ * where there are no prompts and may be no terminal).
+ * If stdin is a terminal (nothing was piped), nothing is read.
+ *
+ * @param {boolean} [reopenTerminal=true] - Whether to reopen the terminal for prompts once stdin has been read.
+ * @returns {Promise<string|null>} - A promise that resolves to the piped text, or null if nothing was piped.
+ */
+async function readPipedStdin(reopenTerminal = true) {
+  if (process.stdin.isTTY) {
+    return null;
+  }
+
+  let text = "";
+  for await (const chunk of process.stdin) {
+    text += chunk;
+  }
+
+  if (!reopenTerminal) {
+    return text.trim() ? text : null;
+  }
+
+  try {
+    const terminal = process.platform === "win32" ? "CONIN$" : "/dev/tty";
+    const input = new ReadStream(openSync(terminal, "r"));
+    Object.defineProperty(process, "stdin", { value: input });
+  } catch (error) {
+    console.error(`Unable to reopen the terminal for prompts: ${error}`);
+  }
+
+  return text.trim() ? text : null;
+}
+
+export { getSourceSegments, describeSource, readPipedStdin };
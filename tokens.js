@@ -0,0 +1,288 @@
+import { encodingForModel, getEncoding } from "js-tiktoken";
+
+/**
+ * Token counting and chunking helpers.
+ *
+ * Token counts are computed with js-tiktoken using the encoding for the selected model,
+ * falling back to o200k_base (the gpt-4o/o1 family encoding) for models js-tiktoken
+ * doesn't recognise yet.
+ */
+
+/**
+ * Context window and maximum output tokens per model family.
+ * Matched by prefix against the model ID, so more specific prefixes must come first
+ * (e.g. 'gpt-4o-mini' before 'gpt-4o', 'gpt-4o' before 'gpt-4').
+ */
+const modelLimits = [
+  { prefix: "gpt-4.1", contextWindow: 1047576, maxOutput: 32768 },
+  { prefix: "gpt-4o-mini", contextWindow: 128000, maxOutput: 16384 },
+  { prefix: "gpt-4o", contextWindow: 128000, maxOutput: 16384 },
+  { prefix: "gpt-4-turbo", contextWindow: 128000, maxOutput: 4096 },
+  { prefix: "gpt-4-32k", contextWindow: 32768, maxOutput: 4096 },
+  { prefix: "gpt-4", contextWindow: 8192, maxOutput: 4096 },
+  { prefix: "gpt-3.5-turbo", contextWindow: 16385, maxOutput: 4096 },
+  { prefix: "o1-mini", contextWindow: 128000, maxOutput: 65536 },
+  { prefix: "o1-preview", contextWindow: 128000, maxOutput: 32768 },
+  { prefix: "o1", contextWindow: 200000, maxOutput: 100000 },
+];
+const defaultLimits = { contextWindow: 8192, maxOutput: 4096 };
+
+// Tokens set aside for the model's response in each request.
+const reservedOutputTokens = 4096;
+
+// Per-message overhead added by the chat format (role markers &c.); approximate.
+const messageOverheadTokens = 4;
+
+const encoders = {};
+
+/**
+ * Returns a (cached) tiktoken encoder for the given model.
+ *
+ * @param {string} model - The model ID.
+ * @returns {Tiktoken} - The encoder for the model.
+ */
+function getEncoder(model) {
+  if (!encoders[model]) {
+    try {
+      encoders[model] = encodingForModel(model);
+    } catch (error) {
+      encoders[model] = getEncoding("o200k_base");
+    }
+  }
+  return encoders[model];
+}
+
+/**
+ * Counts the tokens in a string of text for the given model.
+ *
+ * @param {string} text - The text to count.
+ * @param {string} model - The model ID.
+ * @returns {number} - The number of tokens.
+ */
+function countTokens(text, model) {
+  return getEncoder(model).encode(text).length;
+}
+
+/**
+ * Looks up the context window and maximum output size of a model.
+ * Unknown models are given a conservative default.
+ *
+ * @param {string} model - The model ID.
+ * @returns {{contextWindow: number, maxOutput: number}} - The model's token limits.
+ */
+function getModelLimits(model) {
+  const match = modelLimits.find((limits) => model.startsWith(limits.prefix));
+  return match
+    ? { contextWindow: match.contextWindow, maxOutput: match.maxOutput }
+    : defaultLimits;
+}
+
+/**
+ * Works out how many tokens of page text can go into a single request, leaving room for the
+ * system message (context) and the model's response. maxChunkTokens caps the chunk size below
+ * the model's limit, as very long inputs tend to produce fewer, vaguer cards.
+ *
+ * @param {string} context - The system message sent with each request.
+ * @param {string} model - The model ID.
+ * @param {number} [maxChunkTokens] - Optional upper bound on tokens per chunk.
+ * @returns {number} - The token budget for the user message of each request.
+ * @throws {Error} - Throws an error if the context alone leaves no room for page text.
+ */
+function getChunkBudget(context, model, maxChunkTokens) {
+  const { contextWindow, maxOutput } = getModelLimits(model);
+  const outputTokens = Math.min(reservedOutputTokens, maxOutput);
+  const contextTokens = countTokens(context, model) + messageOverheadTokens * 2;
+  let budget = contextWindow - outputTokens - contextTokens;
+
+  if (maxChunkTokens > 0) {
+    budget = Math.min(budget, maxChunkTokens);
+  }
+  if (budget <= 0) {
+    throw new Error(
+      `Context is too long for ${model}; no room left for page text`
+    );
+  }
+  return budget;
+}
+
+/**
+ * Checks whether a block of text is a heading, as marked up with leading '#'s.
+ *
+ * @param {string} text - The block of text.
+ * @returns {boolean} - True if the block is a heading.
+ */
+function isHeading(text) {
+  return /^#{1,6}\s/.test(text);
+}
+
+/**
+ * Gets the level of a heading, from the number of leading '#'s.
+ *
+ * @param {string} text - The heading block (e.g. '## Mitochondria').
+ * @returns {number} - The heading level, from 1 to 6.
+ */
+function headingLevel(text) {
+  return text.match(/^#+/)[0].length;
+}
+
+/**
+ * Splits a single block that is too large for one chunk into smaller pieces, first on blank lines,
+ * then on line breaks, then on sentence boundaries. Pieces still too large after that (e.g. one
+ * enormous sentence) are cut by token count as a last resort. Pieces split on lines are rejoined with the
+ * line breaks they were split on, so that lists, tables and code blocks keep a line per item, row or line.
+ *
+ * @param {string} block - The oversized block of text.
+ * @param {string} model - The model ID.
+ * @param {number} budget - The maximum tokens per piece.
+ * @returns {string[]} - The block split into pieces, each within budget.
+ */
+function splitBlock(block, model, budget) {
+  const separators = [
+    [/\n\s*\n/, "\n\n"],
+    [/\n/, "\n"],
+    [/(?<=[.!?])\s+/, " "],
+  ];
+
+  for (const [separator, joiner] of separators) {
+    const parts = block.split(separator).filter((part) => part.trim());
+    if (parts.length > 1) {
+      return packBlocks(parts, model, budget, joiner);
+    }
+  }
+
+  const encoder = getEncoder(model);
+  const tokens = encoder.encode(block);
+  let pieces = [];
+  for (let i = 0; i < tokens.length; i += budget) {
+    pieces.push(encoder.decode(tokens.slice(i, i + budget)));
+  }
+  return pieces;
+}
+
+/**
+ * Greedily packs blocks of text into chunks that fit within the token budget, keeping blocks whole
+ * wherever possible. A heading is never left dangling at the end of a chunk; it is carried over
+ * to start the next chunk alongside the content it introduces.
+ *
+ * So that the model knows which section a chunk's text belongs to, each chunk after the first starts with the
+ * headings it falls under (e.g. '# Cells' then '## Mitochondria'), as kept in the heading hierarchy; if those
+ * would take up more than half the budget, only the nearest heading is carried, or none if even that would. The
+ * headings and the separators between blocks count towards the budget, and a block that doesn't fit alongside the
+ * headings (or is too large for a chunk of its own) is split into pieces that do (see: splitBlock()), so that no
+ * chunk goes over budget.
+ *
+ * @param {string[]} blocks - The blocks of text to pack.
+ * @param {string} model - The model ID.
+ * @param {number} budget - The maximum tokens per chunk.
+ * @param {string} [separator="\n"] - The string used to join blocks within a chunk.
+ * @returns {string[]} - The packed chunks.
+ */
+function packBlocks(blocks, model, budget, separator = "\n") {
+  let chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  let headings = [];
+  const separatorTokens = countTokens(separator, model);
+
+  // The tokens the current chunk would take with a block of the given size added.
+  const withBlock = (blockTokens) =>
+    current.length
+      ? currentTokens + separatorTokens + blockTokens
+      : blockTokens;
+  const add = (block, blockTokens) => {
+    currentTokens = withBlock(blockTokens);
+    current.push(block);
+  };
+
+  const flush = () => {
+    while (current.length && isHeading(current[current.length - 1])) {
+      current.pop();
+    }
+    if (current.some((block) => !isHeading(block))) {
+      chunks.push(current.join(separator));
+    }
+    current = [...headings];
+    while (
+      current.length &&
+      countTokens(current.join(separator), model) > budget / 2
+    ) {
+      current = current.length > 1 ? current.slice(-1) : [];
+    }
+    currentTokens = countTokens(current.join(separator), model);
+  };
+
+  for (const block of blocks) {
+    const blockTokens = countTokens(block, model);
+
+    if (withBlock(blockTokens) > budget) {
+      flush();
+    }
+    if (withBlock(blockTokens) > budget) {
+      const pieceBudget = Math.max(1, budget - withBlock(0));
+      for (const piece of splitBlock(block, model, pieceBudget)) {
+        const pieceTokens = countTokens(piece, model);
+        if (withBlock(pieceTokens) > budget) {
+          flush();
+        }
+        add(piece, pieceTokens);
+      }
+      continue;
+    }
+
+    add(block, blockTokens);
+    if (isHeading(block)) {
+      headings = headings
+        .filter((heading) => headingLevel(heading) < headingLevel(block))
+        .concat(block);
+    }
+  }
+
+  flush();
+  return chunks;
+}
+
+/**
+ * Splits the text extracted from a page into chunks small enough to send as separate requests.
+ * Each element of pageTextArray is treated as a paragraph (or heading); chunks are only broken
+ * between elements unless a single element is too large on its own.
+ *
+ * @param {Array<string>} pageTextArray - An array of text extracted from the page.
+ * @param {string} context - The system message sent with each request.
+ * @param {string} model - The model ID.
+ * @param {number} [maxChunkTokens] - Optional upper bound on tokens per chunk.
+ * @returns {string[]} - The chunks of text, one per request.
+ */
+function chunkText(pageTextArray, context, model, maxChunkTokens) {
+  const budget = getChunkBudget(context, model, maxChunkTokens);
+  return packBlocks(pageTextArray, model, budget);
+}
+
+/**
+ * Chunks each segment of a source separately (see: getSourceSegments() in './sources.js'), so that
+ * no chunk spans two segments and every chunk can be traced back to the page or chapter it came from.
+ *
+ * @param {Array<{location: string|null, title?: string, text: string[]}>} segments - The segments of text to chunk.
+ * @param {string} context - The system message sent with each request.
+ * @param {string} model - The model ID.
+ * @param {number} [maxChunkTokens] - Optional upper bound on tokens per chunk.
+ * @returns {Array<{location: string|null, title: string|null, text: string}>} - The chunks of text, one per request,
+ *   with the locations and titles of their segments.
+ */
+function chunkSegments(segments, context, model, maxChunkTokens) {
+  return segments.flatMap((segment) =>
+    chunkText(segment.text, context, model, maxChunkTokens).map((text) => ({
+      location: segment.location,
+      title: segment.title || null,
+      text,
+    }))
+  );
+}
+
+export {
+  countTokens,
+  getModelLimits,
+  isHeading,
+  chunkText,
+  chunkSegments,
+  reservedOutputTokens,
+};
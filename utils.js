@@ -1,38 +1,61 @@
-import { existsSync, appendFileSync, writeFileSync } from "fs";
+import { existsSync, appendFileSync, readFileSync, writeFileSync } from "fs";
 import { join } from "path";
-import openAI from "openai";
-import { apiKey } from "./constants.js";
+import { createProvider } from "./providers.js";
+import { log } from "./logger.js";
+
+const logHeader = "Date Generated,Front,Back,Source,Title,Heading,Location";
 
 /**
  * Writes logs of flashcards to a CSV file. If the file already exists, the logs are appended to it.
- * The CSV file contains the date generated, front text, and back text of each card.
+ * The CSV file contains the date generated, front text, and back text of each card, followed by where it came from:
+ * the source URL/path, page title, section heading and page/chapter (see: './provenance.js'), each empty if unknown.
  * Only those cards selected for addition are logged; cards not added are not logged.
  *
+ * Logs written before provenance was recorded have only the first three columns; their header is updated
+ * to the full set of columns before new rows are appended.
+ *
  * @param {string} directory - The directory where the CSV file will be saved.
- * @param {Array} cards - An array of card objects, each containing 'front' and 'back' properties.
+ * @param {Array} cards - An array of card objects, each containing 'front' and 'back' properties, and their provenance.
  */
 function writeLogs(directory, cards) {
   const dateGenerated = new Date().toISOString().split("T")[0];
   const filepath = join(directory, "cards_generated.csv");
+  const quote = (value) => `"${(value || "").replace(/"/g, '""').trim()}"`;
   let csvData = "";
 
   if (!existsSync(filepath)) {
-    csvData += "Date Generated,Front,Back\n";
+    csvData += `${logHeader}\n`;
   }
 
   for (const card of cards) {
-    const front = card.front.replace(/"/g, '""').trim();
-    const back = card.back.replace(/"/g, '""').trim();
-    csvData += `"${dateGenerated}","${front}","${back}"\n`;
+    csvData +=
+      [
+        dateGenerated,
+        card.front,
+        card.back,
+        card.source,
+        card.title,
+        card.heading,
+        card.location,
+      ]
+        .map(quote)
+        .join(",") + "\n";
   }
 
   try {
     if (existsSync(filepath)) {
+      const existing = readFileSync(filepath, "utf8");
+      if (existing.startsWith("Date Generated,Front,Back\n")) {
+        writeFileSync(
+          filepath,
+          existing.replace("Date Generated,Front,Back\n", `${logHeader}\n`)
+        );
+      }
       appendFileSync(filepath, csvData);
-      console.log(`Logs appended to ${filepath}`);
+      log(`Logs appended to ${filepath}`);
     } else {
       writeFileSync(filepath, csvData);
-      console.log(`Logs written to ${filepath}`);
+      log(`Logs written to ${filepath}`);
     }
   } catch (error) {
     console.error(`Error writing logs to ${filepath}:`, error);
@@ -40,25 +63,31 @@ function writeLogs(directory, cards) {
 }
 
 /**
- * Retrieves a list of model IDs from the OpenAI API which are able to fulfill chat requests, on the assumption that those
- * models able to do so are named like "gpt" or "o1" and do not include "audio" or "realtime" in their names.
+ * Retrieves a list of model IDs able to fulfill chat requests from the provider chosen in the settings
+ * (see: './providers.js'). For the hosted OpenAI API, it's assumed that those models able to do so are named like
+ * "gpt" or "o1" and do not include "audio" or "realtime" in their names; compatible servers list every model they serve.
  *
- * @param {string} apiKey - The API key to authenticate with the OpenAI API.
- * @returns {Promise<string[]>} A promise that resolves to an array of gtp/01 model IDs, exluding audio and realtime models.
+ * @param {Object} settings - The settings object, used to choose the provider.
+ * @returns {Promise<string[]>} A promise that resolves to an array of model IDs.
  */
-async function getModels() {
-  const openai = new openAI({ apiKey: apiKey });
-  let ids = [];
-  const list = await openai.models.list();
-  for (const model of list.data) {
-    if (
-      model.id.match(/gpt|o1/gi) &&
-      !model.id.match(/audio|realtime|tts|embedding|dall/gi)
-    ) {
-      ids.push(model.id);
-    }
-  }
-  return ids;
+async function getModels(settings) {
+  return createProvider(settings).listModels();
+}
+
+/**
+ * Splits plain text into paragraphs on blank lines, normalising whitespace within each paragraph the same way
+ * scrapePage() in './scrape_page.js' does. Markdown-style headings ('# Heading') are kept as blocks of their own
+ * so that chunking can keep them with the text that follows.
+ *
+ * @param {string} text - The text to split.
+ * @returns {string[]} - The non-empty paragraphs.
+ */
+function splitParagraphs(text) {
+  return text
+    .replace(/^(#{1,6}\s.*)$/gm, "\n$1\n")
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
 }
 
-export { writeLogs, getModels };
+export { writeLogs, getModels, splitParagraphs };